@@ -6,7 +6,7 @@ export default [
         ignores: [
             ".dev-server/",
             ".vscode/",
-            "*.test.js",
+            "**/*.test.js",
             "test/**/*.js",
             "*.config.mjs",
             "build",
@@ -0,0 +1,872 @@
+/**
+ * AC Infinity account
+ * Bundles client, state tree, connection state and polling of one cloud account
+ */
+
+'use strict';
+
+const ACInfinityClient = require('./client');
+const StateManager = require('./stateManager');
+const PollScheduler = require('./pollScheduler');
+const RetryPolicy = require('./retryPolicy');
+const SettingsFingerprints = require('./settingsFingerprints');
+const DeviceFilter = require('./deviceFilter');
+const Migrator = require('./migrations');
+const { mapWithConcurrency } = require('./concurrency');
+const { CIRCUIT_STATE } = require('./circuitBreaker');
+const { AuthError, NetworkError, CircuitOpenError, AbortedError } = require('./errors');
+const {
+    API_ENDPOINTS,
+    DEFAULT_POLL_CONCURRENCY,
+    DEFAULT_STARTUP_RETRY_BASE_DELAY,
+    DEFAULT_STARTUP_RETRY_MAX_DELAY,
+    DEVICE_ACCESS,
+} = require('./constants');
+const { instanceObjects } = require('../io-package.json');
+
+// Reasons for a poll
+const POLL_TRIGGER = {
+    SCHEDULE: 'schedule', // regular polling timer
+    REFRESH: 'refresh', // data refresh after a write
+};
+
+class Account {
+    /**
+     * Creates a new account
+     *
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {object} options - Account settings
+     * @param {string|null} options.name - Account name, null for the account configured in the main settings
+     * @param {string} options.email - AC Infinity account email
+     * @param {string} options.password - AC Infinity account password
+     * @param {object} options.clientOptions - Options passed to the ACInfinityClient
+     * @param {object} [options.polling] - Polling schedule settings passed to the PollScheduler
+     * @param {number} [options.settingsResyncInterval] - Minutes after which unchanged settings are fetched anyway
+     * @param {number} [options.pollConcurrency] - Number of ports and controllers whose settings are fetched in parallel
+     * @param {number} [options.stateHeartbeat] - Minutes after which unchanged values are written again, 0 to never
+     * @param {number} [options.removeMissingAfter] - Hours after which vanished controllers and ports are deleted, 0 to keep them
+     * @param {Array<object>} [options.deviceFilters] - Rows of the device table (account, deviceId, portId, access)
+     * @param {() => void} [options.onConnectionChange] - Called when the connection state of the account changes
+     */
+    constructor(adapter, options) {
+        this.adapter = adapter;
+        this.name = options.name;
+        // The main account keeps the original object tree, further accounts live below accounts.<name>
+        this.root = this.name ? `accounts.${this.name}.` : '';
+        this.email = options.email;
+        this.onConnectionChange = options.onConnectionChange || null;
+        this.isConnected = false; // logged in
+        this.connectionState = false; // published in info.connection
+        this.isLoginInProgress = false;
+        this.scheduler = new PollScheduler(options.polling);
+        this.fingerprints = new SettingsFingerprints({ resyncInterval: options.settingsResyncInterval });
+        this.pollConcurrency = Math.max(1, options.pollConcurrency || DEFAULT_POLL_CONCURRENCY);
+        this.filter = new DeviceFilter(options.deviceFilters, this.name);
+        this.lastDevices = []; // unfiltered device list of the last fetch, offered in the device table
+        this.slowPollWarned = false;
+        this.pollTimer = null;
+        this.nextPollAt = 0;
+        this.currentPoll = null; // promise of the running poll
+        this.followUpPoll = null; // refresh queued behind the running poll
+        this.followUpScope = null; // scope of the queued refresh, null for all devices
+        this.pollErrors = 0;
+        this.skippedPolls = 0;
+        this.stopped = false;
+        this.startupRetry = new RetryPolicy({
+            baseDelay: DEFAULT_STARTUP_RETRY_BASE_DELAY,
+            maxDelay: DEFAULT_STARTUP_RETRY_MAX_DELAY,
+        });
+        this.startupTimer = null;
+        this.cancelStartupWait = null;
+
+        const prefix = this.name ? `[${this.name}] ` : '';
+        this.log = {
+            silly: message => adapter.log.silly(`${prefix}${message}`),
+            debug: message => adapter.log.debug(`${prefix}${message}`),
+            info: message => adapter.log.info(`${prefix}${message}`),
+            warn: message => adapter.log.warn(`${prefix}${message}`),
+            error: message => adapter.log.error(`${prefix}${message}`),
+        };
+
+        const clientOptions = options.clientOptions || {};
+        this.client = new ACInfinityClient(options.email, options.password, this.log, {
+            ...clientOptions,
+            breaker: { ...clientOptions.breaker, onChange: snapshot => this.onCloudStateChange(snapshot) },
+            onApiDrift: summary => this.onApiDrift(summary),
+            // Own writes do not always show up in the device list, so the next poll fetches the settings again
+            onWrite: (deviceId, portId) => this.fingerprints.invalidate(deviceId, portId),
+        });
+        this.stateManager = new StateManager(adapter, {
+            root: this.root,
+            refresh: scope => this.requestPoll(POLL_TRIGGER.REFRESH, scope),
+            heartbeat: options.stateHeartbeat,
+            removeMissingAfter: options.removeMissingAfter,
+        });
+
+        // Wichtig: Den Client an den StateManager weitergeben
+        this.stateManager.setClient(this.client);
+    }
+
+    /**
+     * Creates the info channel of an additional account, migrates its objects and resets its status states
+     *
+     * @returns {Promise<void>}
+     */
+    async createObjects() {
+        if (this.name) {
+            await this.adapter.setObjectNotExistsAsync('accounts', {
+                type: 'folder',
+                common: { name: 'Accounts' },
+                native: {},
+            });
+            await this.adapter.setObjectNotExistsAsync(`accounts.${this.name}`, {
+                type: 'folder',
+                common: { name: this.name },
+                native: { email: this.email },
+            });
+            // Same info states as the instance itself
+            for (const obj of instanceObjects) {
+                if (obj._id === 'info' || obj._id.startsWith('info.')) {
+                    await this.adapter.setObjectNotExistsAsync(`${this.root}${obj._id}`, {
+                        type: obj.type,
+                        common: obj.common,
+                        native: obj.native,
+                    });
+                }
+            }
+        }
+
+        // Objects of older releases are brought to the current layout before anything writes to them
+        await new Migrator(this.adapter, { root: this.root, log: this.log }).run();
+
+        await this.setConnected(false);
+        // Objects of the last run stay usable, but their values are not current until the first poll
+        await this.setStale(true);
+        await this.adapter.setStateAsync(`${this.root}info.cloudState`, { val: CIRCUIT_STATE.CLOSED, ack: true });
+        await this.adapter.setStateAsync(`${this.root}info.nextRetry`, { val: null, ack: true });
+        await this.adapter.setStateAsync(`${this.root}info.apiDrift`, { val: '{}', ack: true });
+        await this.adapter.setStateAsync(`${this.root}info.pollErrors`, { val: 0, ack: true });
+        await this.adapter.setStateAsync(`${this.root}info.skippedPolls`, { val: 0, ack: true });
+    }
+
+    /**
+     * Starts the account and polling, retrying the startup with backoff until the cloud is reachable
+     * Rejected credentials are retried at the longest delay, so the account is not locked by repeated logins.
+     *
+     * @returns {Promise<void>}
+     */
+    async run() {
+        for (let attempt = 1; !this.stopped; attempt++) {
+            try {
+                await this.start();
+                if (this.stopped) {
+                    return;
+                }
+                await this.adapter.setStateAsync(`${this.root}info.nextRetry`, { val: null, ack: true });
+                this.startPolling();
+                return;
+            } catch (error) {
+                await this.setConnected(false);
+                if (this.stopped) {
+                    return;
+                }
+
+                const rejected = error instanceof AuthError && error.endpoint === API_ENDPOINTS.LOGIN;
+                const delay = rejected ? this.startupRetry.maxDelay : this.startupRetry.getDelay(attempt);
+                const retryAt = new Date(Date.now() + delay);
+                this.log.error(`Initialization error: ${error.message}`);
+                this.log.warn(
+                    `${rejected ? 'Login rejected, please check the credentials. ' : ''}Retrying startup in ${Math.round(delay / 1000)} seconds`,
+                );
+                await this.adapter.setStateAsync(`${this.root}info.nextRetry`, {
+                    val: retryAt.toISOString(),
+                    ack: true,
+                });
+                await this.waitForStartupRetry(delay);
+            }
+        }
+    }
+
+    /**
+     * Waits before the next startup attempt; stop() ends the wait early
+     *
+     * @param {number} delay - Delay in milliseconds
+     * @returns {Promise<void>}
+     */
+    waitForStartupRetry(delay) {
+        return new Promise(resolve => {
+            this.cancelStartupWait = resolve;
+            this.startupTimer = setTimeout(() => {
+                this.startupTimer = null;
+                this.cancelStartupWait = null;
+                resolve();
+            }, delay);
+        });
+    }
+
+    /**
+     * Logs in, creates the device objects and fetches the first data
+     * Re-enables polling after an earlier stop(); a stop() while starting keeps the account stopped.
+     *
+     * @returns {Promise<void>}
+     */
+    async start() {
+        this.stopped = false;
+        this.log.info(`Logging in with email: ${this.email}`);
+        await this.client.login();
+
+        // If we got here, login was successful
+        this.log.info('Login successful');
+        await this.setConnected(true);
+
+        // Store token information
+        await this.adapter.setStateAsync(`${this.root}info.token`, { val: this.client.token, ack: true });
+
+        // Initialize account by fetching devices and setting up states
+        await this.initialize();
+    }
+
+    /**
+     * Starts polling for regular updates unless the account has been stopped meanwhile
+     */
+    startPolling() {
+        if (this.stopped) {
+            return;
+        }
+        const { interval, fastInterval, idleInterval } = this.scheduler;
+        this.log.info(
+            `Setting polling interval to ${interval} seconds (${fastInterval} s after commands, ${idleInterval} s when idle)`,
+        );
+        this.scheduleNextPoll();
+    }
+
+    /**
+     * Schedules the next poll according to the adaptive schedule
+     *
+     * @param {number} [delay] - Delay in seconds, defaults to the scheduler's current interval
+     */
+    scheduleNextPoll(delay = this.scheduler.getDelay()) {
+        if (this.stopped) {
+            return;
+        }
+        if (this.pollTimer) {
+            clearTimeout(this.pollTimer);
+        }
+        this.nextPollAt = Date.now() + delay * 1000;
+        this.log.debug(`Next poll in ${delay} seconds`);
+        this.pollTimer = setTimeout(async () => {
+            this.pollTimer = null;
+            try {
+                await this.requestPoll(POLL_TRIGGER.SCHEDULE);
+            } catch (error) {
+                this.log.error(`Scheduled poll failed: ${error.message}`);
+            } finally {
+                // A failed poll must not end the polling for good
+                this.scheduleNextPoll();
+            }
+        }, delay * 1000);
+    }
+
+    /**
+     * Switches to fast polling after a user command and moves the next poll forward if needed
+     */
+    requestFastPolling() {
+        this.scheduler.boost();
+        // A running poll schedules its successor itself
+        if (this.currentPoll || !this.pollTimer) {
+            return;
+        }
+        const delay = this.scheduler.getDelay();
+        if (this.nextPollAt - Date.now() > delay * 1000) {
+            this.scheduleNextPoll(delay);
+        }
+    }
+
+    /**
+     * Starts a poll unless one is already running
+     * A scheduled poll that meets a running one is skipped and counted; a refresh is queued once behind it,
+     * so data written in the meantime is read again.
+     *
+     * @param {string} trigger - One of POLL_TRIGGER
+     * @param {{deviceId: string|number, portId?: number}|null} [scope] - Limits a refresh to one device or port
+     * @returns {Promise<void>}
+     */
+    async requestPoll(trigger, scope = null) {
+        if (this.stopped) {
+            return;
+        }
+        if (this.currentPoll) {
+            if (trigger === POLL_TRIGGER.SCHEDULE) {
+                this.skippedPolls++;
+                this.log.debug('Previous poll still running, skipping scheduled poll');
+                await this.adapter
+                    .setStateAsync(`${this.root}info.skippedPolls`, { val: this.skippedPolls, ack: true })
+                    .catch(error => this.log.warn(`Could not update info.skippedPolls: ${error.message}`));
+                return;
+            }
+            if (this.followUpPoll) {
+                // Refreshes of different scopes are merged into one full refresh
+                if (!Account.isSameScope(this.followUpScope, scope)) {
+                    this.followUpScope = null;
+                }
+                return this.followUpPoll;
+            }
+            this.followUpScope = scope;
+            this.followUpPoll = this.currentPoll.then(() => {
+                const followUpScope = this.followUpScope;
+                this.followUpPoll = null;
+                this.followUpScope = null;
+                return this.requestPoll(trigger, followUpScope);
+            });
+            return this.followUpPoll;
+        }
+
+        this.currentPoll = this.poll(scope).finally(() => {
+            this.currentPoll = null;
+        });
+        return this.currentPoll;
+    }
+
+    /**
+     * Whether two refresh scopes cover the same device or port
+     *
+     * @param {{deviceId: string|number, portId?: number}|null} a - First scope
+     * @param {{deviceId: string|number, portId?: number}|null} b - Second scope
+     * @returns {boolean} - True if both limit the refresh to the same device or port
+     */
+    static isSameScope(a, b) {
+        return !!a && !!b && String(a.deviceId) === String(b.deviceId) && a.portId === b.portId;
+    }
+
+    /**
+     * Runs one polling update
+     * Only called through requestPoll, so two polls never run at the same time.
+     *
+     * @param {{deviceId: string|number, portId?: number}|null} [scope] - Limits the update to one device or port
+     * @returns {Promise<void>}
+     */
+    async poll(scope = null) {
+        if (!this.client.isCloudAvailable()) {
+            this.log.debug('Cloud circuit is open, skipping polling update');
+            await this.setStale(true).catch(error => this.log.warn(`Could not update info.stale: ${error.message}`));
+            return;
+        }
+        const startedAt = Date.now();
+        try {
+            if (!(await this.updateDeviceData(scope))) {
+                // Logged out, e.g. after a failed re-login: the values age until a login succeeds
+                await this.setStale(true);
+                this.log.info('Not logged in, attempting to re-login before the next poll');
+                await this.relogin();
+                return;
+            }
+            // Poll health only describes full polls
+            if (!scope) {
+                await this.adapter.setStateAsync(`${this.root}info.lastPoll`, {
+                    val: new Date().toISOString(),
+                    ack: true,
+                });
+                await this.reportPollDuration(Date.now() - startedAt);
+            }
+        } catch (error) {
+            if (error instanceof AbortedError) {
+                // Shutdown cancelled the requests, the adapter may already be disconnected
+                this.log.debug(`Polling update cancelled: ${error.message}`);
+                return;
+            }
+            await this.setStale(true).catch(() => {});
+            if (error instanceof CircuitOpenError) {
+                this.log.debug(`Polling update skipped: ${error.message}`);
+                return;
+            }
+            this.pollErrors++;
+            await this.adapter
+                .setStateAsync(`${this.root}info.pollErrors`, { val: this.pollErrors, ack: true })
+                .catch(() => {});
+            this.log.error(`Error during polling update: ${error.message}`);
+            if (error instanceof AuthError) {
+                this.log.info('Authentication error detected, attempting to re-login');
+                await this.relogin();
+            }
+        }
+    }
+
+    /**
+     * Logs in again after the session was lost
+     * A failed login clears the login flag, so the next poll tries again instead of polling without a session.
+     *
+     * @returns {Promise<boolean>} - True if the login succeeded, false if it failed or another login is running
+     */
+    async relogin() {
+        if (this.isLoginInProgress) {
+            this.log.debug('Login already in progress, skipping duplicate re-login');
+            return false;
+        }
+        this.isLoginInProgress = true;
+        try {
+            await this.client.login();
+            this.log.info('Re-login successful');
+            await this.setConnected(true);
+            return true;
+        } catch (error) {
+            this.log.error(`Failed to re-login: ${error.message}`);
+            await this.setConnected(false).catch(() => {});
+            return false;
+        } finally {
+            this.isLoginInProgress = false;
+        }
+    }
+
+    /**
+     * Publishes the duration of a poll and warns once while polls take longer than the polling interval
+     *
+     * @param {number} duration - Duration of the poll in milliseconds
+     * @returns {Promise<void>}
+     */
+    async reportPollDuration(duration) {
+        await this.adapter.setStateAsync(`${this.root}info.lastPollDuration`, { val: duration, ack: true });
+
+        const interval = this.scheduler.getDelay();
+        if (duration > interval * 1000) {
+            if (!this.slowPollWarned) {
+                this.slowPollWarned = true;
+                this.log.warn(
+                    `Polling took ${(duration / 1000).toFixed(1)} seconds, longer than the interval of ${interval} seconds. Increase the polling interval or the number of parallel requests.`,
+                );
+            }
+        } else {
+            this.slowPollWarned = false;
+        }
+        this.log.debug(`Polling update finished in ${duration} ms`);
+    }
+
+    /**
+     * Reads all devices of the account again, e.g. when the refresh button is pressed
+     *
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        this.log.info('Manual refresh requested');
+        this.fingerprints.clear();
+        await this.requestPoll(POLL_TRIGGER.REFRESH);
+    }
+
+    /**
+     * Stops polling
+     */
+    stop() {
+        this.stopped = true;
+        if (this.pollTimer) {
+            clearTimeout(this.pollTimer);
+            this.pollTimer = null;
+        }
+        if (this.startupTimer) {
+            clearTimeout(this.startupTimer);
+            this.startupTimer = null;
+            this.cancelStartupWait();
+            this.cancelStartupWait = null;
+        }
+        this.isConnected = false;
+    }
+
+    /**
+     * Stops the account for good on shutdown
+     * Queued user commands are sent right away and may finish within the budget; everything still running
+     * afterwards is cancelled, so nothing is written once the adapter has been unloaded.
+     *
+     * @param {number} [budget] - Milliseconds to wait for queued user commands, 0 to cancel them
+     * @returns {Promise<void>}
+     */
+    async shutdown(budget = 0) {
+        this.stop();
+
+        if (budget > 0) {
+            let timer;
+            const timedOut = await Promise.race([
+                this.stateManager.flushPendingWrites().then(() => false),
+                new Promise(resolve => {
+                    timer = setTimeout(() => resolve(true), budget);
+                }),
+            ]);
+            clearTimeout(timer);
+            if (timedOut) {
+                this.log.warn(`Pending commands did not finish within ${budget} ms and were cancelled`);
+            }
+        }
+
+        const dropped = this.stateManager.dispose();
+        const cancelled = this.client.close();
+        if (dropped + cancelled > 0) {
+            this.log.info(`Discarded ${dropped} pending change(s) and ${cancelled} queued request(s) on shutdown`);
+        }
+    }
+
+    /**
+     * Marks the values of the account as outdated, e.g. while the cloud is unreachable
+     *
+     * @param {boolean} stale - Whether the values may be outdated
+     * @returns {Promise<void>}
+     */
+    async setStale(stale) {
+        await this.adapter.setStateChangedAsync(`${this.root}info.stale`, { val: stale, ack: true });
+    }
+
+    /**
+     * Updates the login flag and the published connection state
+     *
+     * @param {boolean} connected - Whether the account is logged in
+     * @returns {Promise<void>}
+     */
+    async setConnected(connected) {
+        this.isConnected = connected;
+        await this.setConnectionState(connected);
+    }
+
+    /**
+     * Publishes the connection state without touching the login flag
+     *
+     * @param {boolean} connected - Whether the cloud is reachable for this account
+     * @returns {Promise<void>}
+     */
+    async setConnectionState(connected) {
+        this.connectionState = connected;
+        // info.connection of the instance is maintained by the adapter across all accounts
+        if (this.name) {
+            await this.adapter.setStateChangedAsync(`${this.root}info.connection`, { val: connected, ack: true });
+        }
+        if (this.onConnectionChange) {
+            this.onConnectionChange();
+        }
+    }
+
+    /**
+     * Publishes the API drift summary to info.apiDrift
+     *
+     * @param {object} summary - Deviations per endpoint
+     */
+    async onApiDrift(summary) {
+        try {
+            await this.adapter.setStateAsync(`${this.root}info.apiDrift`, { val: JSON.stringify(summary), ack: true });
+        } catch (error) {
+            this.log.debug(`Could not publish API drift: ${error.message}`);
+        }
+    }
+
+    /**
+     * Publishes circuit breaker changes to the info states
+     *
+     * @param {{state: string, lastError: string|null, nextRetry: Date|null}} snapshot - Breaker status
+     */
+    async onCloudStateChange(snapshot) {
+        try {
+            await this.adapter.setStateChangedAsync(`${this.root}info.cloudState`, { val: snapshot.state, ack: true });
+            await this.adapter.setStateChangedAsync(`${this.root}info.lastError`, {
+                val: snapshot.lastError,
+                ack: true,
+            });
+            await this.adapter.setStateChangedAsync(`${this.root}info.nextRetry`, {
+                val:
+                    snapshot.state === CIRCUIT_STATE.OPEN && snapshot.nextRetry
+                        ? snapshot.nextRetry.toISOString()
+                        : null,
+                ack: true,
+            });
+
+            if (snapshot.state === CIRCUIT_STATE.OPEN) {
+                this.log.warn(
+                    `AC Infinity cloud unreachable, pausing requests until ${snapshot.nextRetry ? snapshot.nextRetry.toISOString() : 'unknown'} (last error: ${snapshot.lastError})`,
+                );
+                await this.setConnectionState(false);
+            } else if (snapshot.state === CIRCUIT_STATE.HALF_OPEN) {
+                this.log.info('Probing AC Infinity cloud');
+            } else if (this.isConnected) {
+                await this.setConnectionState(true);
+            }
+        } catch (error) {
+            this.log.debug(`Could not publish cloud state: ${error.message}`);
+        }
+    }
+
+    /**
+     * Initialize account by fetching devices and setting up states
+     */
+    async initialize() {
+        this.log.info('Initializing adapter and fetching devices');
+
+        try {
+            // Fetch all devices
+            const { devices, ignored } = await this.fetchDevices();
+
+            // Debug log - check structure
+            if (devices && devices.length > 0) {
+                this.log.debug(`First device sample: ${JSON.stringify(devices[0]).substring(0, 1000)}...`);
+            }
+
+            this.log.info(`Found ${devices.length} devices`);
+
+            // Create device information in state tree
+            await this.stateManager.initializeDevices(devices, ignored);
+
+            // Perform initial data update; refreshes triggered meanwhile wait for it
+            const initialUpdate = this.updateDeviceData();
+            this.currentPoll = initialUpdate
+                .catch(() => {})
+                .finally(() => {
+                    this.currentPoll = null;
+                });
+            await initialUpdate;
+
+            this.log.info('Adapter initialization completed successfully');
+        } catch (error) {
+            this.log.error(`Failed to initialize adapter: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Fetches the device list and applies the device filter
+     *
+     * @returns {Promise<{devices: Array<object>, ignored: Array<string>}>} - Devices to process and object paths of
+     *     ignored controllers and ports
+     */
+    async fetchDevices() {
+        const devices = await this.client.getDevicesList();
+        this.lastDevices = devices;
+        return this.filter.apply(devices);
+    }
+
+    /**
+     * Update all device data
+     * Sensor values come with the device list; port and controller settings are fetched in parallel afterwards.
+     *
+     * @param {{deviceId: string|number, portId?: number}|null} [scope] - Only update this device or port and
+     *     fetch its settings regardless of the fingerprints
+     * @returns {Promise<boolean>} - False if the update was skipped because the account is not logged in
+     */
+    async updateDeviceData(scope = null) {
+        if (!this.isConnected) {
+            this.log.debug('Not connected, skipping update');
+            return false;
+        }
+
+        this.log.debug(scope ? `Refreshing ${JSON.stringify(scope)}` : 'Updating device data');
+        try {
+            // Get latest device data
+            let { devices, ignored } = await this.fetchDevices();
+
+            this.log.debug(`Fetched ${devices.length} devices for update`);
+            if (scope) {
+                devices = devices.filter(device => device.deviceId === String(scope.deviceId));
+                if (devices.length === 0) {
+                    this.log.warn(`Device ${scope.deviceId} not found, nothing to refresh`);
+                    return true;
+                }
+            } else {
+                this.scheduler.observe(devices);
+                // Controllers and ports added or removed in the app
+                await this.stateManager.reconcileDevices(devices, ignored);
+            }
+
+            const tasks = [];
+            for (const device of devices) {
+                this.log.debug(`Updating device ${device.deviceId} (${device.deviceName})`);
+                this.log.debug(`Device ${device.deviceId} sensors: ${JSON.stringify(device.sensors)}`);
+
+                await this.stateManager.updateDeviceData(device);
+
+                // Offline controllers cannot change their settings, so they are not fetched until they return
+                if (!device.online) {
+                    this.log.debug(`Device ${device.deviceId} is offline, skipping settings update`);
+                    continue;
+                }
+
+                if (device.ports.length === 0) {
+                    this.log.debug(`No ports found for device ${device.deviceId}`);
+                }
+                for (const port of device.ports) {
+                    if (scope && scope.portId !== undefined && port.portId !== scope.portId) {
+                        continue;
+                    }
+                    if (scope) {
+                        this.fingerprints.invalidate(device.deviceId, port.portId);
+                    }
+                    tasks.push(() => this.updatePortSettings(device, port));
+                }
+                if (!scope || scope.portId === undefined) {
+                    if (scope) {
+                        this.fingerprints.invalidate(device.deviceId, 0);
+                    }
+                    tasks.push(() => this.updateControllerSettings(device));
+                }
+            }
+
+            // The request queue still applies its own rate and concurrency limits below this
+            await mapWithConcurrency(tasks, this.pollConcurrency, task => task());
+            if (!scope) {
+                await this.setStale(false);
+            }
+            return true;
+        } catch (error) {
+            this.log.error(`Error updating device data: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Fetches and updates the mode and advanced settings of one port if they may have changed
+     *
+     * @param {object} device - Controller model (ACInfinityController) from the device list
+     * @param {object} port - Port model (ACInfinityPort) of the controller
+     * @returns {Promise<void>}
+     */
+    async updatePortSettings(device, port) {
+        const portId = port.portId;
+        const fingerprint = SettingsFingerprints.forPort(port);
+        if (!this.fingerprints.needsRefresh(device.deviceId, portId, fingerprint)) {
+            this.log.debug(`Settings of device ${device.deviceId}, port ${portId} unchanged, skipping fetch`);
+            return;
+        }
+        this.log.debug(`Fetching settings for device ${device.deviceId}, port ${portId}`);
+        let complete = true;
+
+        try {
+            const portSettings = await this.client.getDeviceModeSettings(device.deviceId, portId);
+            await this.stateManager.updatePortSettings(device.deviceId, portId, portSettings);
+        } catch (portError) {
+            // Cloud unreachable: abort this cycle instead of failing every remaining request
+            if (portError instanceof NetworkError) {
+                throw portError;
+            }
+            complete = false;
+            this.log.warn(
+                `Error fetching port mode settings for device ${device.deviceId}, port ${portId}: ${portError.message}`,
+            );
+        }
+
+        try {
+            const advancedSettings = await this.client.getDeviceSettings(device.deviceId, portId);
+            await this.stateManager.updateAdvancedSettings(device.deviceId, portId, advancedSettings);
+        } catch (advError) {
+            if (advError instanceof NetworkError) {
+                throw advError;
+            }
+            complete = false;
+            this.log.warn(
+                `Error fetching advanced settings for device ${device.deviceId}, port ${portId}: ${advError.message}`,
+            );
+        }
+
+        // Only remember the fingerprint if both requests succeeded, otherwise retry next poll
+        if (complete) {
+            this.fingerprints.markFetched(device.deviceId, portId, fingerprint);
+        }
+    }
+
+    /**
+     * Fetches and updates the advanced settings of a controller if they may have changed
+     *
+     * @param {object} device - Controller model (ACInfinityController) from the device list
+     * @returns {Promise<void>}
+     */
+    async updateControllerSettings(device) {
+        const fingerprint = SettingsFingerprints.forController(device);
+        if (!this.fingerprints.needsRefresh(device.deviceId, 0, fingerprint)) {
+            this.log.debug(`Controller settings of device ${device.deviceId} unchanged, skipping fetch`);
+            return;
+        }
+        try {
+            const controllerSettings = await this.client.getDeviceSettings(device.deviceId, 0);
+            await this.stateManager.updateAdvancedSettings(device.deviceId, 0, controllerSettings);
+            this.fingerprints.markFetched(device.deviceId, 0, fingerprint);
+        } catch (ctrlError) {
+            if (ctrlError instanceof NetworkError) {
+                throw ctrlError;
+            }
+            this.log.warn(`Error fetching controller settings for device ${device.deviceId}: ${ctrlError.message}`);
+        }
+    }
+
+    /**
+     * Rejects a write to a controller or port that is read-only or ignored in the device filter
+     * The state is set back to the last value confirmed by the cloud, or read again if none is known.
+     *
+     * @param {string} id - State ID without namespace and account prefix
+     * @returns {Promise<boolean>} - True if the write was rejected
+     */
+    async rejectFilteredWrite(id) {
+        const match = /^devices\.([^.]+)(?:\.ports\.(\d+))?\.(.+)$/.exec(id);
+        if (!match || match[3] === 'info.refresh') {
+            return false;
+        }
+        const access = this.filter.getAccess(match[1], match[2] ? Number(match[2]) : 0);
+        if (access === DEVICE_ACCESS.ENABLED) {
+            return false;
+        }
+
+        this.log.warn(
+            `Rejected change of ${id}: ${match[2] ? 'port' : 'controller'} is ${access} in the device filter`,
+        );
+        const confirmed = this.stateManager.valueCache.get(id);
+        this.stateManager.invalidateValue(id);
+        if (confirmed) {
+            await this.stateManager.updateState(id, confirmed.val);
+        } else if (access === DEVICE_ACCESS.READ_ONLY) {
+            // No confirmed value yet: read the device or port again, the invalidated state is written back
+            const scope = match[2] ? { deviceId: match[1], portId: Number(match[2]) } : { deviceId: match[1] };
+            await this.requestPoll(POLL_TRIGGER.REFRESH, scope);
+        }
+        return true;
+    }
+
+    /**
+     * Processes a user state change below the account's root
+     *
+     * @param {string} id - State ID without namespace and account prefix
+     * @param {ioBroker.State} state - State object
+     */
+    async handleStateChange(id, state) {
+        if (await this.rejectFilteredWrite(id)) {
+            return;
+        }
+
+        // The state is unconfirmed now, so the next value from the cloud has to be written even if it is unchanged
+        this.stateManager.invalidateValue(id);
+
+        try {
+            // Überprüfen, ob wir angemeldet sind
+            if (!this.isConnected || !this.client.isLoggedIn()) {
+                this.log.info(
+                    `Not logged in, trying to log in again. isConnected: ${this.isConnected}, isLoggedIn: ${this.client.isLoggedIn()}`,
+                );
+                if (!(await this.relogin())) {
+                    this.log.warn(`Not logged in, state change cannot be processed: ${id}`);
+                    return;
+                }
+            }
+
+            if (id === 'info.refresh') {
+                await this.refresh();
+                await this.adapter.setStateAsync(`${this.root}${id}`, { val: state.val, ack: true });
+                return;
+            }
+
+            // Lasse den StateManager die Änderung verarbeiten
+            this.log.debug(`Forwarding state change to StateManager: ${id} = ${state.val}`);
+            await this.stateManager.handleStateChange(id, state);
+            this.log.debug(`StateManager processed state change: ${id}`);
+
+            // Nach Benutzerbefehlen schneller abfragen, damit die Rückmeldung zeitnah ankommt
+            if (!id.endsWith('.info.refresh')) {
+                this.requestFastPolling();
+            }
+        } catch (error) {
+            this.log.error(`Error processing state change: ${error.message}`);
+            if (error.stack) {
+                this.log.debug(`Stack trace: ${error.stack}`);
+            }
+        }
+    }
+}
+
+module.exports = Account;
+module.exports.POLL_TRIGGER = POLL_TRIGGER;
@@ -0,0 +1,289 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const Account = require('./account');
+const { POLL_TRIGGER } = require('./account');
+const { API_ENDPOINTS } = require('./constants');
+
+/**
+ * Builds an adapter stub that keeps the written states
+ *
+ * @returns {object} - Adapter stub, written states in adapter.states
+ */
+function fakeAdapter() {
+    const states = new Map();
+    const write = async (id, state) => {
+        states.set(id, state.val);
+    };
+    return {
+        namespace: 'acinfinity.0',
+        log: { silly() {}, debug() {}, info() {}, warn() {}, error() {} },
+        states,
+        setStateAsync: write,
+        setStateChangedAsync: write,
+    };
+}
+
+/**
+ * Creates an account on a stub adapter
+ *
+ * @param {object} adapter - Adapter stub
+ * @returns {Account} - Account
+ */
+function createAccount(adapter) {
+    return new Account(adapter, { name: null, email: 'grow@example.com', password: 'secret', clientOptions: {} });
+}
+
+/**
+ * Returns a promise together with the function that resolves it
+ *
+ * @returns {{promise: Promise<void>, resolve: () => void}} - Deferred promise
+ */
+function deferred() {
+    let resolve;
+    const promise = new Promise(res => {
+        resolve = res;
+    });
+    return { promise, resolve };
+}
+
+describe('Account', () => {
+    let adapter;
+    let account;
+
+    beforeEach(() => {
+        adapter = fakeAdapter();
+        account = createAccount(adapter);
+    });
+
+    afterEach(() => {
+        account.stop();
+        account.client.close();
+    });
+
+    describe('poll()', () => {
+        it('reports a poll skipped for a missing login as stale and logs in again', async () => {
+            const login = sinon.stub(account.client, 'login').resolves();
+            const fetch = sinon.stub(account, 'fetchDevices').resolves({ devices: [], ignored: [] });
+
+            await account.poll();
+
+            expect(login.calledOnce).to.equal(true);
+            expect(fetch.called).to.equal(false);
+            expect(adapter.states.get('info.stale')).to.equal(true);
+            expect(adapter.states.has('info.lastPoll')).to.equal(false);
+            expect(adapter.states.has('info.lastPollDuration')).to.equal(false);
+            expect(account.isConnected).to.equal(true);
+
+            // The next poll fetches the data again
+            await account.poll();
+            expect(fetch.calledOnce).to.equal(true);
+            expect(adapter.states.get('info.stale')).to.equal(false);
+            expect(adapter.states.has('info.lastPoll')).to.equal(true);
+        });
+
+        it('keeps trying to log in while the login fails', async () => {
+            const login = sinon.stub(account.client, 'login').rejects(new Error('cloud down'));
+
+            await account.poll();
+            await account.poll();
+
+            expect(login.calledTwice).to.equal(true);
+            expect(account.isConnected).to.equal(false);
+            expect(adapter.states.get('info.stale')).to.equal(true);
+            expect(adapter.states.has('info.lastPoll')).to.equal(false);
+        });
+    });
+
+    describe('onApiDrift()', () => {
+        it('publishes the drift summary of the client to info.apiDrift', async () => {
+            account.client.schemaValidator.validate(
+                API_ENDPOINTS.DEVICE_LIST,
+                { devId: '1', devName: 'Zelt', devType: 11, online: 1, deviceInfo: { ports: [] }, region: 'eu' },
+                'device 1',
+            );
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(JSON.parse(adapter.states.get('info.apiDrift'))).to.deep.equal({
+                devInfoListAll: { missing: [], unknown: ['region'], typeChanged: [] },
+            });
+        });
+    });
+
+    describe('requestPoll()', () => {
+        let polls;
+        let running;
+
+        beforeEach(() => {
+            polls = [];
+            running = [];
+            sinon.stub(account, 'poll').callsFake(scope => {
+                const poll = deferred();
+                polls.push(scope);
+                running.push(poll);
+                return poll.promise;
+            });
+        });
+
+        it('skips and counts scheduled polls while a poll is running', async () => {
+            const first = account.requestPoll(POLL_TRIGGER.SCHEDULE);
+            await account.requestPoll(POLL_TRIGGER.SCHEDULE);
+            await account.requestPoll(POLL_TRIGGER.SCHEDULE);
+
+            expect(polls).to.have.length(1);
+            expect(account.skippedPolls).to.equal(2);
+            expect(adapter.states.get('info.skippedPolls')).to.equal(2);
+
+            running[0].resolve();
+            await first;
+            expect(account.currentPoll).to.equal(null);
+        });
+
+        it('queues a single follow-up for refreshes during a running poll', async () => {
+            account.requestPoll(POLL_TRIGGER.SCHEDULE);
+            const scope = { deviceId: '1', portId: 2 };
+            const refreshes = [
+                account.requestPoll(POLL_TRIGGER.REFRESH, scope),
+                account.requestPoll(POLL_TRIGGER.REFRESH, { deviceId: 1, portId: 2 }),
+                account.requestPoll(POLL_TRIGGER.REFRESH, scope),
+            ];
+
+            running[0].resolve();
+            await new Promise(resolve => setImmediate(resolve));
+            expect(polls).to.deep.equal([null, scope]);
+
+            running[1].resolve();
+            await Promise.all(refreshes);
+            expect(polls).to.have.length(2);
+        });
+
+        it('merges refreshes of different scopes into a full poll', async () => {
+            account.requestPoll(POLL_TRIGGER.SCHEDULE);
+            const refreshes = [
+                account.requestPoll(POLL_TRIGGER.REFRESH, { deviceId: '1', portId: 1 }),
+                account.requestPoll(POLL_TRIGGER.REFRESH, { deviceId: '1', portId: 2 }),
+            ];
+
+            running[0].resolve();
+            await new Promise(resolve => setImmediate(resolve));
+            expect(polls).to.deep.equal([null, null]);
+
+            running[1].resolve();
+            await Promise.all(refreshes);
+        });
+
+        it('does not poll after stop()', async () => {
+            account.stop();
+            await account.requestPoll(POLL_TRIGGER.REFRESH);
+            expect(polls).to.deep.equal([]);
+        });
+    });
+
+    describe('shutdown()', () => {
+        let clock;
+        let write;
+
+        beforeEach(async () => {
+            clock = sinon.useFakeTimers({ now: 1000000 });
+            sinon.spy(adapter.log, 'warn');
+            sinon.spy(adapter.log, 'info');
+            write = sinon.stub(account.client, 'updateDeviceModeSettings');
+            await account.stateManager.portModeHandler.handlePortModeChange('1', 2, ['timer', 'toOnMinutes'], 10);
+            await account.stateManager.portModeHandler.handlePortModeChange('1', 2, ['timer', 'toOffMinutes'], 5);
+        });
+
+        afterEach(() => {
+            clock.restore();
+        });
+
+        it('sends pending commands that finish within the budget', async () => {
+            write.callsFake(() => new Promise(resolve => setTimeout(() => resolve(true), 500)));
+
+            const shutdown = account.shutdown(2000);
+            await clock.tickAsync(500);
+            await shutdown;
+
+            expect(write.calledOnce).to.equal(true);
+            expect(adapter.states.get('devices.1.ports.2.mode.timer.toOnMinutes')).to.equal(10);
+            expect(adapter.log.warn.called).to.equal(false);
+            expect(adapter.log.info.calledWithMatch(/^Discarded/)).to.equal(false);
+            expect(clock.countTimers()).to.equal(0);
+        });
+
+        it('cancels commands still running after the budget', async () => {
+            write.returns(new Promise(() => {}));
+            const close = sinon.spy(account.client, 'close');
+
+            let finished = false;
+            const shutdown = account.shutdown(2000).then(() => {
+                finished = true;
+            });
+            await clock.tickAsync(1999);
+            expect(finished).to.equal(false);
+
+            await clock.tickAsync(1);
+            await shutdown;
+            expect(
+                adapter.log.warn.calledWith('Pending commands did not finish within 2000 ms and were cancelled'),
+            ).to.equal(true);
+            expect(close.calledOnce).to.equal(true);
+        });
+
+        it('logs how many changes and requests were discarded', async () => {
+            sinon.stub(account.client, 'close').returns(1);
+
+            await account.shutdown(0);
+
+            expect(write.called).to.equal(false);
+            expect(
+                adapter.log.info.calledWith('Discarded 2 pending change(s) and 1 queued request(s) on shutdown'),
+            ).to.equal(true);
+            await clock.tickAsync(5000);
+            expect(write.called).to.equal(false);
+        });
+    });
+
+    describe('rejectFilteredWrite()', () => {
+        const id = 'devices.1.ports.2.mode.onSpeed';
+        let updateState;
+        let requestPoll;
+
+        beforeEach(() => {
+            account.client.close();
+            account = new Account(adapter, {
+                name: null,
+                email: 'grow@example.com',
+                password: 'secret',
+                clientOptions: {},
+                deviceFilters: [{ deviceId: '1', portId: 2, access: 'readonly' }],
+            });
+            updateState = sinon.stub(account.stateManager, 'updateState').resolves();
+            requestPoll = sinon.stub(account, 'requestPoll').resolves();
+        });
+
+        it('lets writes to enabled ports through', async () => {
+            expect(await account.rejectFilteredWrite('devices.1.ports.1.mode.onSpeed')).to.equal(false);
+            expect(updateState.called).to.equal(false);
+        });
+
+        it('sets a rejected value back to the confirmed one', async () => {
+            account.stateManager.valueCache.set(id, { val: 5, writtenAt: Date.now() });
+
+            expect(await account.rejectFilteredWrite(id)).to.equal(true);
+
+            expect(updateState.calledOnceWith(id, 5)).to.equal(true);
+            expect(requestPoll.called).to.equal(false);
+        });
+
+        it('reads the port again when no confirmed value is known', async () => {
+            account.stateManager.valueCache.set(id, null);
+
+            expect(await account.rejectFilteredWrite(id)).to.equal(true);
+
+            expect(updateState.called).to.equal(false);
+            expect(requestPoll.calledOnceWith(POLL_TRIGGER.REFRESH, { deviceId: '1', portId: 2 })).to.equal(true);
+            expect(account.stateManager.valueCache.get(id)).to.equal(null);
+        });
+    });
+});
@@ -0,0 +1,160 @@
+/**
+ * Declared shapes of the AC Infinity cloud responses
+ * Used by the SchemaValidator to detect API drift
+ *
+ * Each schema lists the fields the adapter relies on (required) and the fields it knows
+ * about without depending on them (optional). Types are checked with typeof; null is
+ * accepted for every field because the cloud sends null for unset values.
+ */
+
+'use strict';
+
+const {
+    API_ENDPOINTS,
+    CONTROLLER_PROPERTY_KEY,
+    PORT_PROPERTY_KEY,
+    ADVANCED_SETTINGS_KEY,
+    PORT_CONTROL_KEY,
+} = require('./constants');
+
+const ID = ['string', 'number'];
+
+// Entry of deviceInfo.ports in devInfoListAll
+const PORT_SCHEMA = {
+    required: {
+        [PORT_PROPERTY_KEY.PORT]: 'number',
+        [PORT_PROPERTY_KEY.SPEAK]: 'number',
+        [PORT_PROPERTY_KEY.ONLINE]: 'number',
+    },
+    optional: {
+        [PORT_PROPERTY_KEY.NAME]: 'string',
+        [PORT_PROPERTY_KEY.STATE]: 'number',
+        [PORT_PROPERTY_KEY.REMAINING_TIME]: 'number',
+        curMode: 'number',
+        atType: 'number',
+        loadType: 'number',
+        portResistance: 'number',
+        abnormalState: 'number',
+        overcurrentStatus: 'number',
+        devId: ID,
+    },
+};
+
+// deviceInfo object in devInfoListAll
+const DEVICE_INFO_SCHEMA = {
+    required: {
+        [CONTROLLER_PROPERTY_KEY.PORTS]: 'array',
+    },
+    optional: {
+        [CONTROLLER_PROPERTY_KEY.TEMPERATURE]: 'number',
+        temperatureF: 'number',
+        [CONTROLLER_PROPERTY_KEY.HUMIDITY]: 'number',
+        [CONTROLLER_PROPERTY_KEY.VPD]: 'number',
+        [CONTROLLER_PROPERTY_KEY.HW_VERSION]: 'string',
+        [CONTROLLER_PROPERTY_KEY.SW_VERSION]: 'string',
+        versions: 'object',
+        co2: 'number',
+        soilMoisture: 'number',
+        waterLevel: 'number',
+        tTrend: 'number',
+        hTrend: 'number',
+        sensors: 'array',
+    },
+    items: {
+        [CONTROLLER_PROPERTY_KEY.PORTS]: PORT_SCHEMA,
+    },
+};
+
+// Entry of the devInfoListAll array
+const DEVICE_SCHEMA = {
+    required: {
+        [CONTROLLER_PROPERTY_KEY.DEVICE_ID]: ID,
+        [CONTROLLER_PROPERTY_KEY.DEVICE_NAME]: 'string',
+        [CONTROLLER_PROPERTY_KEY.DEVICE_TYPE]: ID,
+        [CONTROLLER_PROPERTY_KEY.ONLINE]: 'number',
+        [CONTROLLER_PROPERTY_KEY.DEVICE_INFO]: 'object',
+    },
+    optional: {
+        [CONTROLLER_PROPERTY_KEY.MAC_ADDR]: 'string',
+        [CONTROLLER_PROPERTY_KEY.HW_VERSION]: 'string',
+        [CONTROLLER_PROPERTY_KEY.SW_VERSION]: 'string',
+        [CONTROLLER_PROPERTY_KEY.TEMPERATURE]: 'number',
+        [CONTROLLER_PROPERTY_KEY.HUMIDITY]: 'number',
+        [CONTROLLER_PROPERTY_KEY.VPD]: 'number',
+        [CONTROLLER_PROPERTY_KEY.TIME_ZONE]: 'string',
+        devCode: 'string',
+        devPortCount: 'number',
+        devOfflineTime: 'number',
+        devCreateTime: 'number',
+        timeZone: 'string',
+        isShare: 'number',
+        co2: 'number',
+        soilMoisture: 'number',
+        waterLevel: 'number',
+    },
+    children: {
+        [CONTROLLER_PROPERTY_KEY.DEVICE_INFO]: DEVICE_INFO_SCHEMA,
+    },
+};
+
+// getdevModeSettingList response
+const MODE_SETTINGS_SCHEMA = {
+    required: {
+        [PORT_CONTROL_KEY.DEV_ID]: ID,
+        [PORT_CONTROL_KEY.MODE_SET_ID]: ID,
+        [PORT_CONTROL_KEY.AT_TYPE]: 'number',
+        [PORT_CONTROL_KEY.ON_SPEED]: 'number',
+        [PORT_CONTROL_KEY.OFF_SPEED]: 'number',
+    },
+    optional: {
+        ...Object.fromEntries(Object.values(PORT_CONTROL_KEY).map(key => [key, ID])),
+        curMode: 'number',
+        externalPort: 'number',
+        speak: 'number',
+        vpdstatus: 'number',
+        vpdnums: 'number',
+        devMacAddr: 'string',
+        ipcSetting: 'object',
+        devSetting: 'object',
+    },
+};
+
+// getDevSetting response (controller with port 0, or a single port)
+const DEVICE_SETTINGS_SCHEMA = {
+    required: {
+        [ADVANCED_SETTINGS_KEY.DEV_ID]: ID,
+    },
+    optional: {
+        ...Object.fromEntries(Object.values(ADVANCED_SETTINGS_KEY).map(key => [key, ID])),
+        setId: ID,
+        devMacAddr: 'string',
+        portResistance: 'number',
+        devTimeZone: 'string',
+        sensorSetting: 'object',
+        sensorTransBuff: 'object',
+        subDeviceVersion: ID,
+        secFucReportTime: 'number',
+        updateAllPort: 'number',
+        calibrationTime: 'number',
+        sensorTransBuffStr: 'string',
+        sensorSettingStr: 'string',
+        portParamData: 'string',
+        paramSensors: 'string',
+        sensorOneType: 'number',
+        sensorTwoType: 'number',
+        zoneSensorType: 'number',
+        isShare: 'number',
+        targetVpdSwitch: 'number',
+    },
+};
+
+// Schema per endpoint; for list responses the schema describes one entry
+const RESPONSE_SCHEMAS = {
+    [API_ENDPOINTS.DEVICE_LIST]: DEVICE_SCHEMA,
+    [API_ENDPOINTS.DEVICE_MODE_SETTINGS]: MODE_SETTINGS_SCHEMA,
+    [API_ENDPOINTS.DEVICE_SETTINGS]: DEVICE_SETTINGS_SCHEMA,
+};
+
+module.exports = {
+    RESPONSE_SCHEMAS,
+};
@@ -0,0 +1,178 @@
+/**
+ * Circuit breaker for the AC Infinity cloud
+ * Stops calling the cloud after repeated failures and probes again on a growing delay
+ * While half-open only a single probe request is let through; the others are rejected until it settles.
+ */
+
+'use strict';
+
+const {
+    DEFAULT_BREAKER_THRESHOLD,
+    DEFAULT_BREAKER_RESET_DELAY,
+    DEFAULT_BREAKER_MAX_RESET_DELAY,
+} = require('./constants');
+const { CircuitOpenError } = require('./errors');
+
+/**
+ * Circuit states as published in info.cloudState
+ */
+const CIRCUIT_STATE = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open',
+};
+
+class CircuitBreaker {
+    /**
+     * Creates a new circuit breaker
+     *
+     * @param {object} [options] - Breaker options
+     * @param {number} [options.failureThreshold] - Consecutive failures before the circuit opens
+     * @param {number} [options.resetDelay] - Delay before the first probe in milliseconds
+     * @param {number} [options.maxResetDelay] - Upper bound for the probe delay in milliseconds
+     * @param {(error: any) => boolean} [options.isFailure] - Decides whether an error object counts as a cloud failure
+     * @param {(snapshot: object) => void} [options.onChange] - Called when state or last error changes
+     */
+    constructor(options = {}) {
+        this.failureThreshold = Math.max(1, options.failureThreshold || DEFAULT_BREAKER_THRESHOLD);
+        this.resetDelay = Math.max(1000, options.resetDelay || DEFAULT_BREAKER_RESET_DELAY);
+        this.maxResetDelay = Math.max(this.resetDelay, options.maxResetDelay || DEFAULT_BREAKER_MAX_RESET_DELAY);
+        this.isFailure = options.isFailure || (() => true);
+        this.onChange = options.onChange || null;
+
+        this.state = CIRCUIT_STATE.CLOSED;
+        this.failures = 0;
+        this.openCount = 0;
+        this.nextRetry = null;
+        this.lastError = null;
+        this.probing = false; // a half-open probe is in flight
+        this.recorded = new WeakSet(); // errors already counted, e.g. from a nested login
+    }
+
+    /**
+     * Checks whether a request may be sent right now
+     * Moves an open circuit to half-open once the probe delay has passed
+     *
+     * @returns {boolean} - True if the request may be sent; false while open or while the half-open probe is in flight
+     */
+    canRequest() {
+        if (this.state === CIRCUIT_STATE.OPEN) {
+            if (!this.nextRetry || Date.now() < this.nextRetry.getTime()) {
+                return false;
+            }
+            this.transition(CIRCUIT_STATE.HALF_OPEN);
+        }
+        return this.state !== CIRCUIT_STATE.HALF_OPEN || !this.probing;
+    }
+
+    /**
+     * Runs an operation through the breaker
+     *
+     * @param {() => Promise<any>} operation - Operation to execute
+     * @returns {Promise<any>} - Result of the operation
+     */
+    async execute(operation) {
+        if (!this.canRequest()) {
+            throw new CircuitOpenError(this.nextRetry);
+        }
+        const probe = this.state === CIRCUIT_STATE.HALF_OPEN;
+        if (probe) {
+            this.probing = true;
+        }
+
+        try {
+            const result = await operation();
+            this.recordSuccess();
+            return result;
+        } catch (error) {
+            if (this.isFailure(error) && !this.recorded.has(error)) {
+                this.recorded.add(error);
+                this.recordFailure(error);
+            }
+            throw error;
+        } finally {
+            if (probe) {
+                this.probing = false;
+            }
+        }
+    }
+
+    /**
+     * Records a successful request and closes the circuit
+     */
+    recordSuccess() {
+        this.failures = 0;
+        this.openCount = 0;
+        this.nextRetry = null;
+        if (this.state !== CIRCUIT_STATE.CLOSED) {
+            this.transition(CIRCUIT_STATE.CLOSED);
+        }
+    }
+
+    /**
+     * Records a failed request and opens the circuit if needed
+     *
+     * @param {any} error - The error that occurred
+     */
+    recordFailure(error) {
+        this.failures++;
+        this.lastError = error && error.message ? error.message : String(error);
+
+        // Requests that were already in flight when the circuit opened must not extend the delay
+        if (
+            this.state !== CIRCUIT_STATE.OPEN &&
+            (this.state === CIRCUIT_STATE.HALF_OPEN || this.failures >= this.failureThreshold)
+        ) {
+            this.open();
+        } else {
+            this.notify();
+        }
+    }
+
+    /**
+     * Opens the circuit and schedules the next probe with a growing delay
+     */
+    open() {
+        this.openCount++;
+        const delay = Math.min(this.maxResetDelay, this.resetDelay * Math.pow(2, this.openCount - 1));
+        this.nextRetry = new Date(Date.now() + delay);
+        this.transition(CIRCUIT_STATE.OPEN);
+    }
+
+    /**
+     * Changes the circuit state and notifies the listener
+     *
+     * @param {string} state - New state
+     */
+    transition(state) {
+        this.state = state;
+        this.notify();
+    }
+
+    /**
+     * Returns the current breaker status
+     *
+     * @returns {{state: string, lastError: string|null, nextRetry: Date|null, failures: number}} - Breaker status
+     */
+    getSnapshot() {
+        return {
+            state: this.state,
+            lastError: this.lastError,
+            nextRetry: this.nextRetry,
+            failures: this.failures,
+        };
+    }
+
+    /**
+     * Passes the current status to the listener
+     */
+    notify() {
+        if (this.onChange) {
+            this.onChange(this.getSnapshot());
+        }
+    }
+}
+
+module.exports = CircuitBreaker;
+module.exports.CIRCUIT_STATE = CIRCUIT_STATE;
+module.exports.CircuitOpenError = CircuitOpenError;
@@ -0,0 +1,142 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const CircuitBreaker = require('./circuitBreaker');
+const { CIRCUIT_STATE } = require('./circuitBreaker');
+const { NetworkError, ApiError, CircuitOpenError } = require('./errors');
+
+/**
+ * Returns a promise together with the functions that settle it
+ *
+ * @returns {{promise: Promise<any>, resolve: (value?: any) => void, reject: (error: any) => void}} - Deferred promise
+ */
+function deferred() {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+    return { promise, resolve, reject };
+}
+
+/**
+ * Runs an operation through the breaker and returns its error, if any
+ *
+ * @param {CircuitBreaker} breaker - Breaker under test
+ * @param {() => Promise<any>} operation - Operation to run
+ * @returns {Promise<any>} - Thrown error or undefined
+ */
+async function failureOf(breaker, operation) {
+    try {
+        await breaker.execute(operation);
+        return undefined;
+    } catch (error) {
+        return error;
+    }
+}
+
+const fail = () => Promise.reject(new NetworkError('timeout'));
+const succeed = () => Promise.resolve('ok');
+
+describe('CircuitBreaker', () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers({ now: 1000000 });
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    it('opens after the failure threshold and rejects requests while open', async () => {
+        const changes = [];
+        const breaker = new CircuitBreaker({
+            failureThreshold: 2,
+            resetDelay: 10000,
+            onChange: snapshot => changes.push(snapshot.state),
+        });
+
+        await failureOf(breaker, fail);
+        expect(breaker.state).to.equal(CIRCUIT_STATE.CLOSED);
+        await failureOf(breaker, fail);
+        expect(breaker.state).to.equal(CIRCUIT_STATE.OPEN);
+        expect(breaker.nextRetry.getTime()).to.equal(Date.now() + 10000);
+        expect(changes).to.include(CIRCUIT_STATE.OPEN);
+
+        const operation = sinon.stub().resolves('ok');
+        expect(await failureOf(breaker, operation)).to.be.instanceOf(CircuitOpenError);
+        expect(operation.called).to.equal(false);
+    });
+
+    it('does not count errors that are no cloud failures', async () => {
+        const breaker = new CircuitBreaker({
+            failureThreshold: 1,
+            isFailure: error => error instanceof NetworkError,
+        });
+
+        await failureOf(breaker, () => Promise.reject(new ApiError('bad')));
+        expect(breaker.state).to.equal(CIRCUIT_STATE.CLOSED);
+        expect(breaker.failures).to.equal(0);
+    });
+
+    it('closes again after a successful probe', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1, resetDelay: 10000 });
+        await failureOf(breaker, fail);
+
+        clock.tick(10000);
+        expect(await breaker.execute(succeed)).to.equal('ok');
+        expect(breaker.state).to.equal(CIRCUIT_STATE.CLOSED);
+        expect(breaker.nextRetry).to.equal(null);
+    });
+
+    it('reopens with a doubled delay after a failed probe, up to maxResetDelay', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1, resetDelay: 10000, maxResetDelay: 30000 });
+        await failureOf(breaker, fail);
+
+        const delays = [];
+        for (let i = 0; i < 3; i++) {
+            clock.tick(60000);
+            await failureOf(breaker, fail);
+            expect(breaker.state).to.equal(CIRCUIT_STATE.OPEN);
+            delays.push(breaker.nextRetry.getTime() - Date.now());
+        }
+        expect(delays).to.deep.equal([20000, 30000, 30000]);
+    });
+
+    it('lets exactly one probe through while half-open', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1, resetDelay: 10000 });
+        await failureOf(breaker, fail);
+        clock.tick(10000);
+
+        const probe = deferred();
+        const probeResult = breaker.execute(() => probe.promise);
+        expect(breaker.state).to.equal(CIRCUIT_STATE.HALF_OPEN);
+        expect(breaker.canRequest()).to.equal(false);
+
+        const other = sinon.stub().resolves('ok');
+        expect(await failureOf(breaker, other)).to.be.instanceOf(CircuitOpenError);
+        expect(other.called).to.equal(false);
+
+        probe.resolve('ok');
+        expect(await probeResult).to.equal('ok');
+        expect(breaker.state).to.equal(CIRCUIT_STATE.CLOSED);
+        expect(await breaker.execute(other)).to.equal('ok');
+    });
+
+    it('releases the probe slot when the probe ends without a cloud failure', async () => {
+        const breaker = new CircuitBreaker({
+            failureThreshold: 1,
+            resetDelay: 10000,
+            isFailure: error => error instanceof NetworkError,
+        });
+        await failureOf(breaker, fail);
+        clock.tick(10000);
+
+        await failureOf(breaker, () => Promise.reject(new ApiError('bad')));
+        expect(breaker.state).to.equal(CIRCUIT_STATE.HALF_OPEN);
+        expect(breaker.canRequest()).to.equal(true);
+    });
+});
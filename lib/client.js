@@ -6,7 +6,34 @@
 'use strict';
 
 const axios = require('axios');
-const { API_BASE_URL, API_ENDPOINTS } = require('./constants');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+const { API_BASE_URL, API_ENDPOINTS, REQUEST_PRIORITY, PORT_CONTROL_KEY } = require('./constants');
+const RetryPolicy = require('./retryPolicy');
+const { wait } = require('./retryPolicy');
+const CircuitBreaker = require('./circuitBreaker');
+const RequestQueue = require('./requestQueue');
+const SchemaValidator = require('./schemaValidator');
+const { ACInfinityController, ACInfinityModeSettings, ACInfinityAdvancedSettings } = require('./dataModels');
+const {
+    AuthError,
+    ApiError,
+    NetworkError,
+    ValidationError,
+    WriteVerificationError,
+    AbortedError,
+    fromHttpError,
+} = require('./errors');
+
+// Writes are sent at most this often before a change the cloud did not apply is reported
+const WRITE_ATTEMPTS = 2;
+
+// Milliseconds between a write and its read-back; the cloud applies writes with a short lag
+const WRITE_SETTLE_DELAY = 1000;
+
+// Mode settings compared after a write; ids and the running timer (surplus) are left out
+const VERIFIED_MODE_KEYS = Object.values(PORT_CONTROL_KEY).filter(
+    key => ![PORT_CONTROL_KEY.DEV_ID, PORT_CONTROL_KEY.MODE_SET_ID, PORT_CONTROL_KEY.SURPLUS].includes(key),
+);
 
 class ACInfinityClient {
     /**
@@ -15,18 +42,108 @@ class ACInfinityClient {
      * @param {string} email - AC Infinity account email
      * @param {string} password - AC Infinity account password
      * @param {object} log - Logger object
+     * @param {object} [options] - Optional client settings
+     * @param {object} [options.retry] - Retry policy settings (maxAttempts, baseDelay, maxDelay)
+     * @param {object} [options.breaker] - Circuit breaker settings (failureThreshold, resetDelay, maxResetDelay, onChange)
+     * @param {object} [options.queue] - Request queue settings (requestsPerSecond, concurrency)
+     * @param {string} [options.baseUrl] - Server to talk to instead of the AC Infinity cloud (e.g. the simulation)
+     * @param {object} [options.proxy] - Proxy settings (type 'http' or 'socks', host, port, username, password)
+     * @param {object} [options.recorder] - TrafficRecorder that receives every request and response
+     * @param {object} [options.replayer] - TrafficReplayer that answers requests instead of the network
+     * @param {(summary: object) => void} [options.onApiDrift] - Called when a response deviates from its schema
+     * @param {(deviceId: string|number, portId: number) => void} [options.onWrite] - Called after a write to a port (0 for the controller)
+     * @param {number} [options.writeSettleDelay] - Milliseconds to wait before a write is read back
      */
-    constructor(email, password, log) {
+    constructor(email, password, log, options = {}) {
         this.email = email;
         this.password = password;
         this.log = log;
         this.token = null;
+        this.baseUrl = ACInfinityClient.normalizeBaseUrl(options.baseUrl);
+        this.recorder = options.recorder || null;
+        this.replayer = options.replayer || null;
+        this.retryPolicy = new RetryPolicy(options.retry);
+        this.circuitBreaker = new CircuitBreaker({
+            ...options.breaker,
+            // Only transient failures (timeouts, connection errors, 5xx) indicate a cloud outage
+            isFailure: error => error instanceof NetworkError,
+        });
+        this.requestQueue = new RequestQueue(options.queue);
+        this.schemaValidator = new SchemaValidator(log, { onDrift: options.onApiDrift });
+        this.onWrite = options.onWrite || null;
+        this.writeSettleDelay = options.writeSettleDelay ?? WRITE_SETTLE_DELAY;
+        // Cancels in-flight requests and pending retries when the adapter shuts down
+        this.abortController = new AbortController();
         this.axiosInstance = axios.create({
             timeout: 30000,
             validateStatus: status => status >= 200 && status < 300,
+            ...ACInfinityClient.createProxyConfig(options.proxy),
         });
     }
 
+    /**
+     * Checks a configured base URL and strips trailing slashes
+     *
+     * @param {string} [baseUrl] - Configured base URL, empty for the AC Infinity cloud
+     * @returns {string} - Base URL without trailing slash
+     * @throws {ValidationError} If the URL is not a valid http(s) URL
+     */
+    static normalizeBaseUrl(baseUrl) {
+        const value = (baseUrl || '').trim();
+        if (!value) {
+            return API_BASE_URL;
+        }
+        let url;
+        try {
+            url = new URL(value);
+        } catch {
+            throw new ValidationError(`Invalid API base URL: ${value}`);
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            throw new ValidationError(`API base URL must start with http:// or https://: ${value}`);
+        }
+        return value.replace(/\/+$/, '');
+    }
+
+    /**
+     * Builds the axios settings for the configured proxy
+     *
+     * @param {{type?: string, host?: string, port?: number, username?: string, password?: string}} [proxy] - Proxy settings
+     * @returns {object} - Axios config fragment, empty if no proxy is configured
+     * @throws {ValidationError} If the proxy settings are incomplete
+     */
+    static createProxyConfig(proxy) {
+        if (!proxy || !proxy.type || proxy.type === 'none') {
+            return {};
+        }
+        const port = Number(proxy.port);
+        if (!proxy.host || !Number.isInteger(port) || port < 1 || port > 65535) {
+            throw new ValidationError('Proxy host and port (1-65535) are required');
+        }
+
+        if (proxy.type === 'socks') {
+            const auth = proxy.username
+                ? `${encodeURIComponent(proxy.username)}:${encodeURIComponent(proxy.password || '')}@`
+                : '';
+            // socks5h resolves the cloud host name on the proxy, hosts behind a proxy often have no DNS
+            const agent = new SocksProxyAgent(`socks5h://${auth}${proxy.host}:${port}`);
+            return { httpAgent: agent, httpsAgent: agent, proxy: false };
+        }
+
+        if (proxy.type === 'http') {
+            return {
+                proxy: {
+                    protocol: 'http',
+                    host: proxy.host,
+                    port,
+                    auth: proxy.username ? { username: proxy.username, password: proxy.password || '' } : undefined,
+                },
+            };
+        }
+
+        throw new ValidationError(`Unknown proxy type: ${proxy.type}`);
+    }
+
     /**
      * Creates headers for API requests
      *
@@ -47,32 +164,31 @@ class ACInfinityClient {
     /**
      * Performs API login and obtains authentication token
      *
+     * @param {boolean} [nested] - Called from a request that already passed the circuit breaker, e.g. the
+     *     half-open probe, so the login must not wait for the breaker itself
      * @returns {Promise<void>}
+     * @throws {AuthError} If the credentials are rejected
+     * @throws {NetworkError} If the cloud cannot be reached
      */
-    async login() {
-        try {
-            const normalizedPassword = this.password.substring(0, 25);
-            const formData = `appEmail=${encodeURIComponent(this.email)}&appPasswordl=${encodeURIComponent(normalizedPassword)}`;
-            this.log.debug(`Login attempt with: ${this.email}`);
+    async login(nested = false) {
+        const normalizedPassword = this.password.substring(0, 25);
+        const formData = `appEmail=${encodeURIComponent(this.email)}&appPasswordl=${encodeURIComponent(normalizedPassword)}`;
+        this.log.debug(`Login attempt with: ${this.email}`);
 
-            const response = await this.axiosInstance.post(`${API_BASE_URL}${API_ENDPOINTS.LOGIN}`, formData, {
-                headers: this.createHeaders(false),
-            });
+        const response = nested
+            ? await this.requestWithRetry(API_ENDPOINTS.LOGIN, formData, false, REQUEST_PRIORITY.USER)
+            : await this.request(API_ENDPOINTS.LOGIN, formData, false, REQUEST_PRIORITY.USER);
 
-            if (response.data && response.data.code === 200) {
-                this.token = response.data.data.appId;
-                this.log.debug('Login successful');
-                return;
-            }
-            throw new Error(`Login failed: ${response.data ? response.data.msg : 'Unknown error'}`);
-        } catch (error) {
-            if (error.response) {
-                throw new Error(
-                    `Login failed with status ${error.response.status}: ${error.response.data ? error.response.data.msg : 'Unknown error'}`,
-                );
-            }
-            throw new Error(`Login failed: ${error.message}`);
+        if (response.data && response.data.code === 200) {
+            this.token = response.data.data.appId;
+            this.log.debug('Login successful');
+            return;
         }
+        throw new AuthError(`Login failed: ${response.data ? response.data.msg : 'Unknown error'}`, {
+            endpoint: API_ENDPOINTS.LOGIN,
+            code: response.data ? response.data.code : null,
+            msg: response.data ? response.data.msg : null,
+        });
     }
 
     /**
@@ -85,51 +201,267 @@ class ACInfinityClient {
     }
 
     /**
-     * General API call with automatic re-login on 401
+     * Checks whether the circuit breaker currently lets requests through
      *
-     * @param {string} endpoint
-     * @param {object} data
-     * @param {boolean} needsAuth
-     * @returns {Promise<any>}
+     * @returns {boolean}
      */
-    async apiCall(endpoint, data, needsAuth = true) {
-        if (needsAuth && !this.isLoggedIn()) {
-            await this.login();
+    isCloudAvailable() {
+        return this.circuitBreaker.canRequest();
+    }
+
+    /**
+     * Cancels all in-flight and queued requests; the client cannot be used afterwards
+     *
+     * @returns {number} - Number of queued requests that were dropped
+     */
+    close() {
+        this.abortController.abort();
+        return this.requestQueue.clear(new AbortedError('Client closed'));
+    }
+
+    /**
+     * Sends a POST request through the circuit breaker, the retry policy and the request queue.
+     * On a 401 the token is dropped and the request is retried once with a fresh login.
+     *
+     * @param {string} endpoint - API endpoint path
+     * @param {string|(() => string)} formData - URL-encoded payload, or a function building it per attempt
+     * @param {boolean} needsAuth - Whether the request needs the auth token
+     * @param {number} [priority] - Queue priority, one of REQUEST_PRIORITY
+     * @returns {Promise<any>} - Axios response
+     * @throws {AuthError|NetworkError|ApiError} Typed error if the request failed
+     */
+    async request(endpoint, formData, needsAuth = true, priority = REQUEST_PRIORITY.POLL) {
+        return this.circuitBreaker.execute(() => this.requestWithRetry(endpoint, formData, needsAuth, priority));
+    }
+
+    /**
+     * Sends a POST request through the retry policy.
+     * Every attempt is queued on its own, so a request waiting for its backoff does not block the queue.
+     *
+     * @param {string} endpoint - API endpoint path
+     * @param {string|(() => string)} formData - URL-encoded payload, or a function building it per attempt
+     * @param {boolean} needsAuth - Whether the request needs the auth token
+     * @param {number} priority - Queue priority, one of REQUEST_PRIORITY
+     * @returns {Promise<any>} - Axios response
+     */
+    async requestWithRetry(endpoint, formData, needsAuth, priority) {
+        return this.retryPolicy.execute(
+            async () => {
+                if (needsAuth && !this.isLoggedIn()) {
+                    await this.login(true);
+                }
+                return this.requestQueue.enqueue(() => {
+                    const payload = typeof formData === 'function' ? formData() : formData;
+                    return this.send(endpoint, payload, needsAuth);
+                }, priority);
+            },
+            {
+                onAuthError: needsAuth
+                    ? async () => {
+                          this.log.info('Token expired, attempting to re-login');
+                          this.token = null;
+                      }
+                    : undefined,
+                onRetry: (error, attempt, delay) => {
+                    this.log.debug(
+                        `Request to ${endpoint} failed (attempt ${attempt}/${this.retryPolicy.maxAttempts}): ${error.message}, retrying in ${delay} ms`,
+                    );
+                },
+                signal: this.abortController.signal,
+            },
+        );
+    }
+
+    /**
+     * Sends a single HTTP request, or answers it from the replay fixture.
+     * In capture mode the outcome is handed to the recorder.
+     *
+     * @param {string} endpoint - API endpoint path
+     * @param {string} payload - URL-encoded payload
+     * @param {boolean} needsAuth - Whether the request needs the auth token
+     * @returns {Promise<any>} - Axios response
+     */
+    async send(endpoint, payload, needsAuth) {
+        if (this.abortController.signal.aborted) {
+            throw new AbortedError(`Request to ${endpoint} was cancelled`, { endpoint });
+        }
+        if (this.replayer) {
+            return this.replay(endpoint, payload);
         }
 
         try {
-            const formData = Object.entries(data)
+            const response = await this.axiosInstance.post(`${this.baseUrl}${endpoint}`, payload, {
+                headers: this.createHeaders(needsAuth),
+                signal: this.abortController.signal,
+            });
+            if (this.recorder) {
+                this.recorder.record(endpoint, payload, { status: response.status, data: response.data });
+            }
+            return response;
+        } catch (error) {
+            // Requests cancelled on shutdown say nothing about the cloud and are not recorded
+            if (this.recorder && !axios.isCancel(error)) {
+                this.recorder.record(
+                    endpoint,
+                    payload,
+                    error.response
+                        ? { status: error.response.status, data: error.response.data }
+                        : { error: { code: error.code, message: error.message } },
+                );
+            }
+            throw fromHttpError(error, endpoint);
+        }
+    }
+
+    /**
+     * Answers a request from the replay fixture
+     *
+     * @param {string} endpoint - API endpoint path
+     * @param {string} payload - URL-encoded payload
+     * @returns {Promise<any>} - Response shaped like an axios response
+     */
+    async replay(endpoint, payload) {
+        const recorded = this.replayer.next(endpoint, payload);
+        if (!recorded) {
+            throw new ApiError(`No recorded response for ${endpoint}`, { endpoint });
+        }
+        if (recorded.error) {
+            throw new NetworkError(`Request to ${endpoint} failed: ${recorded.error.message}`, { endpoint });
+        }
+        if (recorded.status < 200 || recorded.status >= 300) {
+            throw fromHttpError(
+                { message: `Request failed with status code ${recorded.status}`, response: recorded },
+                endpoint,
+            );
+        }
+        return { status: recorded.status, data: recorded.data };
+    }
+
+    /**
+     * General API call with retries and automatic re-login on 401
+     *
+     * @param {string} endpoint
+     * @param {object|(() => object)} data - Payload, or a function building it (e.g. when it contains the token)
+     * @param {boolean} needsAuth
+     * @param {number} [priority] - Queue priority, one of REQUEST_PRIORITY
+     * @returns {Promise<any>}
+     * @throws {AuthError|NetworkError|ApiError} Typed error if the call failed
+     */
+    async apiCall(endpoint, data, needsAuth = true, priority = REQUEST_PRIORITY.POLL) {
+        const buildFormData = () =>
+            Object.entries(typeof data === 'function' ? data() : data)
                 .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
                 .join('&');
 
-            const response = await this.axiosInstance.post(`${API_BASE_URL}${endpoint}`, formData, {
-                headers: this.createHeaders(needsAuth),
-            });
+        const response = await this.request(endpoint, buildFormData, needsAuth, priority);
+        this.checkResponse(response, endpoint, `API call to ${endpoint}`);
+        return response.data.data || {};
+    }
+
+    /**
+     * Checks the result code the cloud returns in the response body
+     *
+     * @param {any} response - Axios response
+     * @param {string} endpoint - API endpoint path
+     * @param {string} action - Description used in the error message
+     * @throws {ApiError} If the cloud rejected the request
+     */
+    checkResponse(response, endpoint, action) {
+        if (response.data && response.data.code === 200) {
+            return;
+        }
+        throw new ApiError(`${action} failed: ${response.data ? response.data.msg : 'Unknown error'}`, {
+            endpoint,
+            code: response.data ? response.data.code : null,
+            msg: response.data ? response.data.msg : null,
+        });
+    }
 
-            if (response.data && response.data.code === 200) {
-                return response.data.data || {};
+    /**
+     * Sends a write and confirms it by reading the affected settings back after a short settle delay
+     * If the cloud answered with success but kept the old values, the write is sent once more.
+     *
+     * @param {string} endpoint - Write endpoint, used in logs and errors
+     * @param {{deviceId: string|number, portId: number}} target - Port that is written, 0 for the controller
+     * @param {Record<string, any>} expected - Values the settings must have after the write
+     * @param {() => Promise<any>} write - Sends the write
+     * @param {() => Promise<object>} readBack - Reads the settings after the write
+     * @returns {Promise<void>}
+     * @throws {WriteVerificationError} If the settings still differ after the last attempt
+     */
+    async writeAndVerify(endpoint, target, expected, write, readBack) {
+        try {
+            let mismatches = [];
+            for (let attempt = 1; attempt <= WRITE_ATTEMPTS; attempt++) {
+                await write();
+                await wait(this.writeSettleDelay, this.abortController.signal);
+                mismatches = ACInfinityClient.findMismatches(expected, await readBack());
+                if (mismatches.length === 0) {
+                    return;
+                }
+                this.log.warn(
+                    `Write to ${endpoint} not applied (attempt ${attempt}/${WRITE_ATTEMPTS}): ${ACInfinityClient.describeMismatches(mismatches)}`,
+                );
             }
-            throw new Error(`API call to ${endpoint} failed: ${response.data ? response.data.msg : 'Unknown error'}`);
-        } catch (error) {
-            if (error.response && error.response.status === 401 && needsAuth) {
-                this.log.info('Token expired, attempting to re-login');
-                await this.login();
-                return this.apiCall(endpoint, data, needsAuth);
+            throw new WriteVerificationError(
+                `Cloud did not apply the change: ${ACInfinityClient.describeMismatches(mismatches)}`,
+                { endpoint, mismatches },
+            );
+        } finally {
+            // Also after failures: the settings may have changed partially
+            if (this.onWrite) {
+                this.onWrite(target.deviceId, target.portId);
+            }
+        }
+    }
+
+    /**
+     * Compares intended values with the settings read back from the cloud
+     * Fields the cloud does not return are skipped; null counts as 0 like in the write payloads.
+     *
+     * @param {Record<string, any>} expected - Intended values
+     * @param {object} actual - Settings read back
+     * @returns {Array<{key: string, expected: any, actual: any}>} - Fields that differ
+     */
+    static findMismatches(expected, actual) {
+        const mismatches = [];
+        for (const [key, value] of Object.entries(expected)) {
+            if (!actual || actual[key] === undefined) {
+                continue;
             }
-            if (error.response) {
-                throw new Error(`API call to ${endpoint} failed with status ${error.response.status}`);
+            const current = actual[key] === null ? 0 : actual[key];
+            if (String(current) !== String(value)) {
+                mismatches.push({ key, expected: value, actual: current });
             }
-            throw new Error(`API call to ${endpoint} failed: ${error.message}`);
         }
+        return mismatches;
+    }
+
+    /**
+     * Formats mismatches for logs and error messages
+     *
+     * @param {Array<{key: string, expected: any, actual: any}>} mismatches - Fields that differ
+     * @returns {string} - e.g. "onSpead expected 5, got 3"
+     */
+    static describeMismatches(mismatches) {
+        return mismatches.map(m => `${m.key} expected ${m.expected}, got ${m.actual}`).join('; ');
     }
 
     /**
      * Gets list of all AC Infinity devices
      *
-     * @returns {Promise<Array>}
+     * @returns {Promise<Array<ACInfinityController>>}
+     * @throws {ValidationError} If the cloud returns something other than a list
      */
     async getDevicesList() {
-        return this.apiCall(API_ENDPOINTS.DEVICE_LIST, { userId: this.token }, true);
+        const devices = await this.apiCall(API_ENDPOINTS.DEVICE_LIST, () => ({ userId: this.token }), true);
+        if (!Array.isArray(devices)) {
+            throw new ValidationError('Device list response is not an array', { endpoint: API_ENDPOINTS.DEVICE_LIST });
+        }
+        for (const device of devices) {
+            this.schemaValidator.validate(API_ENDPOINTS.DEVICE_LIST, device, `device ${device && device.devId}`);
+        }
+        return devices.map(device => new ACInfinityController(device));
     }
 
     /**
@@ -137,37 +469,76 @@ class ACInfinityClient {
      *
      * @param {string|number} deviceId
      * @param {number} portId
-     * @returns {Promise<object>}
+     * @param {number} [priority] - Queue priority, one of REQUEST_PRIORITY
+     * @returns {Promise<ACInfinityModeSettings>}
+     */
+    async getDeviceModeSettings(deviceId, portId, priority = REQUEST_PRIORITY.POLL) {
+        return new ACInfinityModeSettings(await this.fetchDeviceModeSettings(deviceId, portId, priority));
+    }
+
+    /**
+     * Gets advanced settings for a device or port
+     *
+     * @param {string|number} deviceId
+     * @param {number} portId - 0 for controller-level settings
+     * @param {number} [priority] - Queue priority, one of REQUEST_PRIORITY
+     * @returns {Promise<ACInfinityAdvancedSettings>}
+     */
+    async getDeviceSettings(deviceId, portId, priority = REQUEST_PRIORITY.POLL) {
+        return new ACInfinityAdvancedSettings(
+            await this.fetchDeviceSettings(deviceId, portId, priority),
+            Number(portId),
+        );
+    }
+
+    /**
+     * Fetches the raw mode settings of a port, as needed for read-modify-write
+     *
+     * @param {string|number} deviceId - Device ID
+     * @param {number} portId - Port ID
+     * @param {number} [priority] - Queue priority, one of REQUEST_PRIORITY
+     * @returns {Promise<object>} - Validated getdevModeSettingList response
      */
-    async getDeviceModeSettings(deviceId, portId) {
+    async fetchDeviceModeSettings(deviceId, portId, priority = REQUEST_PRIORITY.POLL) {
         this.log.debug(`Getting mode settings for deviceId=${deviceId}, portId=${portId}`);
-        return this.apiCall(
+        const settings = await this.apiCall(
             API_ENDPOINTS.DEVICE_MODE_SETTINGS,
             {
                 devId: deviceId,
                 port: portId,
             },
             true,
+            priority,
         );
+        this.schemaValidator.validate(
+            API_ENDPOINTS.DEVICE_MODE_SETTINGS,
+            settings,
+            `device ${deviceId} port ${portId}`,
+        );
+        return settings;
     }
 
     /**
-     * Gets advanced settings for a device or port
+     * Fetches the raw advanced settings of a device or port, as needed for read-modify-write
      *
-     * @param {string|number} deviceId
+     * @param {string|number} deviceId - Device ID
      * @param {number} portId - 0 for controller-level settings
-     * @returns {Promise<object>}
+     * @param {number} [priority] - Queue priority, one of REQUEST_PRIORITY
+     * @returns {Promise<object>} - Validated getDevSetting response
      */
-    async getDeviceSettings(deviceId, portId) {
+    async fetchDeviceSettings(deviceId, portId, priority = REQUEST_PRIORITY.POLL) {
         this.log.debug(`Getting device settings for deviceId=${deviceId}, portId=${portId}`);
-        return this.apiCall(
+        const settings = await this.apiCall(
             API_ENDPOINTS.DEVICE_SETTINGS,
             {
                 devId: deviceId,
                 port: portId,
             },
             true,
+            priority,
         );
+        this.schemaValidator.validate(API_ENDPOINTS.DEVICE_SETTINGS, settings, `device ${deviceId} port ${portId}`);
+        return settings;
     }
 
     /**
@@ -178,30 +549,20 @@ class ACInfinityClient {
      * @returns {Promise<boolean>}
      */
     async sendRawModeUpdate(formData) {
-        if (!this.isLoggedIn()) {
-            await this.login();
-        }
-
         try {
             this.log.debug(`Sending mode update payload`);
 
-            const response = await this.axiosInstance.post(
-                `${API_BASE_URL}${API_ENDPOINTS.UPDATE_DEVICE_MODE}`,
+            const response = await this.request(
+                API_ENDPOINTS.UPDATE_DEVICE_MODE,
                 formData,
-                { headers: this.createHeaders(true) },
+                true,
+                REQUEST_PRIORITY.USER,
             );
 
-            if (response.data && response.data.code === 200) {
-                this.log.debug('Mode update successful');
-                return true;
-            }
-            throw new Error(`Mode update failed: ${response.data ? response.data.msg : 'Unknown error'}`);
+            this.checkResponse(response, API_ENDPOINTS.UPDATE_DEVICE_MODE, 'Mode update');
+            this.log.debug('Mode update successful');
+            return true;
         } catch (error) {
-            if (error.response && error.response.status === 401) {
-                this.log.info('Token expired, re-logging in');
-                await this.login();
-                return this.sendRawModeUpdate(formData);
-            }
             this.log.error(`Mode update error: ${error.message}`);
             throw error;
         }
@@ -220,13 +581,24 @@ class ACInfinityClient {
      * @param {number} onSpeed - On speed (0-10)
      * @param {number} offSpeed - Off speed (0-10)
      * @returns {Promise<boolean>}
+     * @throws {ValidationError} If mode type or speeds are out of range
+     * @throws {WriteVerificationError} If the cloud kept different values
      */
     async setDeviceMode(deviceId, portId, atType, onSpeed, offSpeed) {
+        if (!Number.isInteger(atType) || atType < 1 || atType > 8) {
+            throw new ValidationError(`Invalid mode type: ${atType}`);
+        }
+        for (const speed of [onSpeed, offSpeed]) {
+            if (!Number.isInteger(speed) || speed < 0 || speed > 10) {
+                throw new ValidationError(`Invalid speed: ${speed}`);
+            }
+        }
+
         if (!this.isLoggedIn()) {
             await this.login();
         }
 
-        const settings = await this.getDeviceModeSettings(deviceId, portId);
+        const settings = await this.fetchDeviceModeSettings(deviceId, portId, REQUEST_PRIORITY.USER);
         const modeSetid = settings.modeSetid;
         const vpdnums = settings.vpdnums !== undefined && settings.vpdnums !== null ? settings.vpdnums : 0;
 
@@ -249,17 +621,29 @@ class ACInfinityClient {
         this.log.info(
             `setDeviceMode: deviceId=${deviceId}, portId=${portId}, atType=${atType}, onSpeed=${onSpeed}, offSpeed=${offSpeed}`,
         );
-        return this.sendRawModeUpdate(formData);
+        await this.writeAndVerify(
+            API_ENDPOINTS.UPDATE_DEVICE_MODE,
+            { deviceId, portId },
+            {
+                [PORT_CONTROL_KEY.AT_TYPE]: atType,
+                [PORT_CONTROL_KEY.ON_SPEED]: onSpeed,
+                [PORT_CONTROL_KEY.OFF_SPEED]: offSpeed,
+            },
+            () => this.sendRawModeUpdate(formData),
+            () => this.fetchDeviceModeSettings(deviceId, portId, REQUEST_PRIORITY.USER),
+        );
+        return true;
     }
 
     /**
      * Updates specific mode settings parameters (timer/cycle/auto/vpd/schedule values).
-     * Fetches current settings, applies overrides, and sends the full payload.
+     * Fetches current settings, applies overrides, sends the full payload and reads it back.
      *
      * @param {string|number} deviceId
      * @param {number} portId
      * @param {Array<Array<string|number>>} keyValues - Array of [key, value] pairs to override
      * @returns {Promise<boolean>}
+     * @throws {WriteVerificationError} If the cloud kept different values
      */
     async updateDeviceModeSettings(deviceId, portId, keyValues) {
         if (!this.isLoggedIn()) {
@@ -269,7 +653,7 @@ class ACInfinityClient {
         const deviceIdStr = String(deviceId);
         const portIdNum = Number(portId);
 
-        const settings = await this.getDeviceModeSettings(deviceIdStr, portIdNum);
+        const settings = await this.fetchDeviceModeSettings(deviceIdStr, portIdNum, REQUEST_PRIORITY.USER);
         this.log.debug(`Current mode settings fetched for update`);
 
         // Remove fields that the API rejects in write calls
@@ -307,17 +691,32 @@ class ACInfinityClient {
             .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
             .join('&');
 
-        return this.sendRawModeUpdate(formData);
+        const expected = {};
+        for (const [key] of keyValues) {
+            if (VERIFIED_MODE_KEYS.includes(String(key)) && Number.isFinite(settings[key])) {
+                expected[key] = settings[key];
+            }
+        }
+
+        await this.writeAndVerify(
+            API_ENDPOINTS.UPDATE_DEVICE_MODE,
+            { deviceId: deviceIdStr, portId: portIdNum },
+            expected,
+            () => this.sendRawModeUpdate(formData),
+            () => this.fetchDeviceModeSettings(deviceIdStr, portIdNum, REQUEST_PRIORITY.USER),
+        );
+        return true;
     }
 
     /**
-     * Updates advanced (device/port-level) settings
+     * Updates advanced (device/port-level) settings and reads them back
      *
      * @param {string|number} deviceId
      * @param {number} portId - 0 for controller-level settings
      * @param {string} deviceName - Device name (prevents API from resetting it to "None")
      * @param {Array<Array<string|number>>} keyValues - Array of [key, value] pairs
      * @returns {Promise<void>}
+     * @throws {WriteVerificationError} If the cloud kept different values
      */
     async updateAdvancedSettings(deviceId, portId, deviceName, keyValues) {
         if (!this.isLoggedIn()) {
@@ -327,7 +726,7 @@ class ACInfinityClient {
         const deviceIdStr = String(deviceId);
         const portIdNum = Number(portId);
 
-        const settings = await this.getDeviceSettings(deviceIdStr, portIdNum);
+        const settings = await this.fetchDeviceSettings(deviceIdStr, portIdNum, REQUEST_PRIORITY.USER);
 
         settings.devName = deviceName;
 
@@ -369,26 +768,32 @@ class ACInfinityClient {
             }
         }
 
+        const expected = {};
         for (const [key, value] of keyValues) {
             settings[key] = parseInt(String(value));
+            expected[key] = settings[key];
         }
 
         const formData = Object.entries(settings)
             .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
             .join('&');
 
-        const response = await this.axiosInstance.post(
-            `${API_BASE_URL}${API_ENDPOINTS.UPDATE_ADVANCED_SETTINGS}`,
-            formData,
-            { headers: this.createHeaders(true) },
+        await this.writeAndVerify(
+            API_ENDPOINTS.UPDATE_ADVANCED_SETTINGS,
+            { deviceId: deviceIdStr, portId: portIdNum },
+            expected,
+            async () => {
+                const response = await this.request(
+                    API_ENDPOINTS.UPDATE_ADVANCED_SETTINGS,
+                    formData,
+                    true,
+                    REQUEST_PRIORITY.USER,
+                );
+                this.checkResponse(response, API_ENDPOINTS.UPDATE_ADVANCED_SETTINGS, 'Advanced settings update');
+            },
+            () => this.fetchDeviceSettings(deviceIdStr, portIdNum, REQUEST_PRIORITY.USER),
         );
-
-        if (response.data && response.data.code === 200) {
-            this.log.info(`Advanced settings updated for device ${deviceIdStr}, port ${portIdNum}`);
-            return;
-        }
-
-        throw new Error(`Failed to update advanced settings: ${response.data ? response.data.msg : 'Unknown error'}`);
+        this.log.info(`Advanced settings updated for device ${deviceIdStr}, port ${portIdNum}`);
     }
 }
 
@@ -0,0 +1,132 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const ACInfinityClient = require('./client');
+const { API_ENDPOINTS } = require('./constants');
+const { ApiError, WriteVerificationError } = require('./errors');
+
+const log = { silly() {}, debug() {}, info() {}, warn() {}, error() {} };
+const TARGET = { deviceId: '1', portId: 2 };
+
+/**
+ * Creates a client that records its write notifications
+ *
+ * @param {object} [options] - Client options
+ * @returns {{client: ACInfinityClient, written: Array<Array<any>>}} - Client and the onWrite calls
+ */
+function createClient(options = {}) {
+    const written = [];
+    const client = new ACInfinityClient('grow@example.com', 'secret', log, {
+        writeSettleDelay: 0,
+        onWrite: (deviceId, portId) => written.push([deviceId, portId]),
+        ...options,
+    });
+    return { client, written };
+}
+
+describe('ACInfinityClient', () => {
+    describe('findMismatches()', () => {
+        it('reports fields that differ', () => {
+            expect(ACInfinityClient.findMismatches({ onSpead: 5, atType: 2 }, { onSpead: 3, atType: 2 })).to.deep.equal(
+                [{ key: 'onSpead', expected: 5, actual: 3 }],
+            );
+        });
+
+        it('treats null as 0 and compares numbers with their string form', () => {
+            expect(
+                ACInfinityClient.findMismatches({ offSpead: 0, devCt: 7 }, { offSpead: null, devCt: '7' }),
+            ).to.deep.equal([]);
+        });
+
+        it('skips fields the cloud does not return', () => {
+            expect(ACInfinityClient.findMismatches({ onSpead: 5, atType: 2 }, { atType: 2 })).to.deep.equal([]);
+            expect(ACInfinityClient.findMismatches({ onSpead: 5 }, null)).to.deep.equal([]);
+        });
+    });
+
+    describe('writeAndVerify()', () => {
+        const endpoint = API_ENDPOINTS.UPDATE_DEVICE_MODE;
+
+        it('writes once when the read-back shows the new values', async () => {
+            const { client, written } = createClient();
+            const write = sinon.stub().resolves();
+            const readBack = sinon.stub().resolves({ onSpead: 5, atType: 2 });
+
+            await client.writeAndVerify(endpoint, TARGET, { onSpead: 5 }, write, readBack);
+
+            expect(write.calledOnce).to.equal(true);
+            expect(readBack.calledOnce).to.equal(true);
+            expect(written).to.deep.equal([['1', 2]]);
+        });
+
+        it('sends the write again once and reports a change the cloud did not apply', async () => {
+            const { client, written } = createClient();
+            const write = sinon.stub().resolves();
+            const readBack = sinon.stub().resolves({ onSpead: 3 });
+
+            const error = await client.writeAndVerify(endpoint, TARGET, { onSpead: 5 }, write, readBack).catch(e => e);
+
+            expect(error).to.be.instanceOf(WriteVerificationError);
+            expect(error.mismatches).to.deep.equal([{ key: 'onSpead', expected: 5, actual: 3 }]);
+            expect(error.endpoint).to.equal(endpoint);
+            expect(write.calledTwice).to.equal(true);
+            expect(written).to.deep.equal([['1', 2]]);
+        });
+
+        it('accepts a second attempt that is applied', async () => {
+            const { client } = createClient();
+            const write = sinon.stub().resolves();
+            const readBack = sinon.stub();
+            readBack.onFirstCall().resolves({ onSpead: 3 });
+            readBack.onSecondCall().resolves({ onSpead: 5 });
+
+            await client.writeAndVerify(endpoint, TARGET, { onSpead: 5 }, write, readBack);
+
+            expect(write.calledTwice).to.equal(true);
+        });
+
+        it('accepts a read-back that leaves out written fields', async () => {
+            const { client } = createClient();
+            const write = sinon.stub().resolves();
+
+            await client.writeAndVerify(endpoint, TARGET, { onSpead: 5, devCt: 7 }, write, async () => ({
+                onSpead: 5,
+            }));
+
+            expect(write.calledOnce).to.equal(true);
+        });
+
+        it('passes write errors on and still reports the write', async () => {
+            const { client, written } = createClient();
+            const readBack = sinon.stub().resolves({});
+            const failure = new ApiError('rejected');
+
+            const error = await client
+                .writeAndVerify(endpoint, TARGET, { onSpead: 5 }, () => Promise.reject(failure), readBack)
+                .catch(e => e);
+
+            expect(error).to.equal(failure);
+            expect(readBack.called).to.equal(false);
+            expect(written).to.deep.equal([['1', 2]]);
+        });
+
+        it('reads back only after the settle delay', async () => {
+            const clock = sinon.useFakeTimers({ now: 1000000 });
+            try {
+                const { client } = createClient({ writeSettleDelay: 1000 });
+                const readBack = sinon.stub().resolves({ onSpead: 5 });
+
+                const pending = client.writeAndVerify(endpoint, TARGET, { onSpead: 5 }, async () => {}, readBack);
+                await clock.tickAsync(999);
+                expect(readBack.called).to.equal(false);
+
+                await clock.tickAsync(1);
+                await pending;
+                expect(readBack.calledOnce).to.equal(true);
+            } finally {
+                clock.restore();
+            }
+        });
+    });
+});
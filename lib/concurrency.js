@@ -0,0 +1,47 @@
+/**
+ * Concurrency helpers
+ * Runs asynchronous work on a list of items with a fixed number of workers
+ */
+
+'use strict';
+
+/**
+ * Calls an async function for every item, with at most `limit` calls running at the same time
+ * After the first failure no further items are started; the running calls are awaited and the error is rethrown.
+ *
+ * @template T, R
+ * @param {Array<T>} items - Items to process
+ * @param {number} limit - Maximum number of parallel calls
+ * @param {(item: T, index: number) => Promise<R>} fn - Function to call per item
+ * @returns {Promise<Array<R>>} - Results in the order of the items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    let failed = false;
+    let firstError;
+
+    const worker = async () => {
+        while (!failed && next < items.length) {
+            const index = next++;
+            try {
+                results[index] = await fn(items[index], index);
+            } catch (error) {
+                if (!failed) {
+                    failed = true;
+                    firstError = error;
+                }
+            }
+        }
+    };
+
+    const workers = Math.max(1, Math.min(Math.floor(limit) || 1, items.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    if (failed) {
+        throw firstError;
+    }
+    return results;
+}
+
+module.exports = { mapWithConcurrency };
@@ -22,6 +22,56 @@ const API_ENDPOINTS = {
 const DEFAULT_POLLING_INTERVAL = 30; // seconds
 const MINIMUM_POLLING_INTERVAL = 10; // seconds
 
+// Adaptive polling
+const DEFAULT_FAST_POLLING_INTERVAL = 10; // seconds, after user commands and before timers expire
+const DEFAULT_FAST_POLLING_DURATION = 3; // minutes of fast polling after a user command
+const DEFAULT_IDLE_POLLING_INTERVAL = 300; // seconds, during quiet hours or while all controllers are offline
+
+// Port and controller settings are fetched when the device list shows a change, at the latest after this time
+const DEFAULT_SETTINGS_RESYNC_INTERVAL = 30; // minutes
+
+// Retry policy for API requests
+const DEFAULT_RETRY_ATTEMPTS = 3; // attempts per request, including the first one
+const DEFAULT_RETRY_BASE_DELAY = 1000; // milliseconds
+const DEFAULT_RETRY_MAX_DELAY = 15000; // milliseconds
+
+// Circuit breaker for cloud outages
+const DEFAULT_BREAKER_THRESHOLD = 5; // consecutive failed requests before the circuit opens
+const DEFAULT_BREAKER_RESET_DELAY = 30000; // milliseconds until the first probe
+const DEFAULT_BREAKER_MAX_RESET_DELAY = 600000; // milliseconds, upper bound for the probe delay
+
+// Startup retries while the cloud is unreachable
+const DEFAULT_STARTUP_RETRY_BASE_DELAY = 30000; // milliseconds until the second attempt
+const DEFAULT_STARTUP_RETRY_MAX_DELAY = 600000; // milliseconds, upper bound between attempts
+
+// Time on shutdown for queued user commands; js-controller kills the adapter after common.stopTimeout
+const DEFAULT_SHUTDOWN_BUDGET = 3; // seconds
+const MAXIMUM_SHUTDOWN_BUDGET = 4; // seconds, stays below common.stopTimeout
+
+// Request queue
+const DEFAULT_REQUESTS_PER_SECOND = 2;
+const DEFAULT_MAX_CONCURRENT_REQUESTS = 2;
+const DEFAULT_POLL_CONCURRENCY = 4; // ports and controllers whose settings are fetched in parallel per poll
+
+// Object tree: missing or changed objects written in parallel at startup
+const OBJECT_WRITE_CONCURRENCY = 10;
+
+// Request priorities (lower value is served first)
+const REQUEST_PRIORITY = {
+    USER: 0, // user commands (writes and their read-modify-write reads)
+    POLL: 1, // background polling
+};
+
+// Access levels of controllers and ports in the device filter
+const DEVICE_ACCESS = {
+    ENABLED: 'enabled', // polled and writable
+    READ_ONLY: 'readonly', // polled, writes are rejected
+    IGNORED: 'ignored', // no objects and no polling
+};
+
+// Simulation mode: controllers used when none are configured
+const DEFAULT_SIMULATION_CONTROLLERS = [{ name: 'Simulated Grow Tent', model: 20, ports: 4 }];
+
 // Controller property keys
 const CONTROLLER_PROPERTY_KEY = {
     DEVICE_ID: 'devId',
@@ -149,6 +199,27 @@ module.exports = {
     API_ENDPOINTS,
     DEFAULT_POLLING_INTERVAL,
     MINIMUM_POLLING_INTERVAL,
+    DEFAULT_FAST_POLLING_INTERVAL,
+    DEFAULT_FAST_POLLING_DURATION,
+    DEFAULT_IDLE_POLLING_INTERVAL,
+    DEFAULT_SETTINGS_RESYNC_INTERVAL,
+    DEFAULT_RETRY_ATTEMPTS,
+    DEFAULT_RETRY_BASE_DELAY,
+    DEFAULT_RETRY_MAX_DELAY,
+    DEFAULT_BREAKER_THRESHOLD,
+    DEFAULT_BREAKER_RESET_DELAY,
+    DEFAULT_BREAKER_MAX_RESET_DELAY,
+    DEFAULT_STARTUP_RETRY_BASE_DELAY,
+    DEFAULT_STARTUP_RETRY_MAX_DELAY,
+    DEFAULT_SHUTDOWN_BUDGET,
+    MAXIMUM_SHUTDOWN_BUDGET,
+    DEFAULT_REQUESTS_PER_SECOND,
+    DEFAULT_MAX_CONCURRENT_REQUESTS,
+    DEFAULT_POLL_CONCURRENCY,
+    OBJECT_WRITE_CONCURRENCY,
+    REQUEST_PRIORITY,
+    DEVICE_ACCESS,
+    DEFAULT_SIMULATION_CONTROLLERS,
     CONTROLLER_PROPERTY_KEY,
     PORT_PROPERTY_KEY,
     ADVANCED_SETTINGS_KEY,
@@ -5,7 +5,7 @@
 
 'use strict';
 
-const { OUTSIDE_CLIMATE_OPTIONS } = require('../constants');
+const { SCOPE, createDefinitions } = require('../stateRegistry');
 
 class DeviceCreator {
     /**
@@ -60,19 +60,19 @@ class DeviceCreator {
                 id: `devices.${deviceId}.info.mac`,
                 name: 'MAC-Adresse',
                 type: 'string',
-                role: 'text',
+                role: 'info.mac',
             },
             {
                 id: `devices.${deviceId}.info.firmware`,
                 name: 'Firmware-Version',
                 type: 'string',
-                role: 'text',
+                role: 'info.firmware',
             },
             {
                 id: `devices.${deviceId}.info.hardware`,
                 name: 'Hardware-Version',
                 type: 'string',
-                role: 'text',
+                role: 'info.hardware',
             },
             {
                 id: `devices.${deviceId}.info.deviceType`,
@@ -80,6 +80,26 @@ class DeviceCreator {
                 type: 'number',
                 role: 'value',
             },
+            {
+                id: `devices.${deviceId}.info.model`,
+                name: 'Modell',
+                type: 'string',
+                role: 'text',
+            },
+            {
+                id: `devices.${deviceId}.info.present`,
+                name: 'Von der Cloud gemeldet',
+                type: 'boolean',
+                role: 'indicator.reachable',
+            },
+            {
+                id: `devices.${deviceId}.info.refresh`,
+                name: 'Daten neu lesen',
+                type: 'boolean',
+                role: 'button',
+                write: true,
+                common: { read: false },
+            },
         ]);
     }
 
@@ -159,57 +179,10 @@ class DeviceCreator {
         // Erstelle Settings-Kanal
         await this.stateCreator.createChannel(`devices.${deviceId}.settings`, 'Einstellungen');
 
-        // Erstelle Einstellungs-States
-        await this.stateCreator.createMultipleStates([
-            {
-                id: `devices.${deviceId}.settings.temperatureUnit`,
-                name: 'Temperatureinheit',
-                type: 'string',
-                role: 'text',
-                write: false,
-                states: ['C', 'F'],
-            },
-            {
-                id: `devices.${deviceId}.settings.temperatureCalibration`,
-                name: 'Temperaturkalibrierung',
-                type: 'number',
-                role: 'level',
-                unit: '°',
-                write: true,
-            },
-            {
-                id: `devices.${deviceId}.settings.humidityCalibration`,
-                name: 'Feuchtigkeitskalibrierung',
-                type: 'number',
-                role: 'level',
-                unit: '%',
-                write: true,
-            },
-            {
-                id: `devices.${deviceId}.settings.vpdLeafTemperatureOffset`,
-                name: 'VPD Blatttemperatur-Offset',
-                type: 'number',
-                role: 'level',
-                unit: '°',
-                write: true,
-            },
-            {
-                id: `devices.${deviceId}.settings.outsideTemperature`,
-                name: 'Außentemperatur',
-                type: 'string',
-                role: 'text',
-                write: true,
-                states: OUTSIDE_CLIMATE_OPTIONS,
-            },
-            {
-                id: `devices.${deviceId}.settings.outsideHumidity`,
-                name: 'Außenfeuchtigkeit',
-                type: 'string',
-                role: 'text',
-                write: true,
-                states: OUTSIDE_CLIMATE_OPTIONS,
-            },
-        ]);
+        // Erstelle Einstellungs-States aus der State-Registry
+        await this.stateCreator.createMultipleStates(
+            createDefinitions(SCOPE.CONTROLLER, 'settings', `devices.${deviceId}.`),
+        );
     }
 
     /**
@@ -1,10 +1,37 @@
 /**
  * StateCreator für AC Infinity Adapter
  * Verantwortlich für das Erstellen einzelner States in ioBroker
+ *
+ * Innerhalb von batch() werden die Objekte nur gesammelt und anschließend mit einem einzigen Lesezugriff
+ * mit dem Objektbaum verglichen; geschrieben werden nur fehlende und geänderte Objekte.
  */
 
 'use strict';
 
+const { OBJECT_WRITE_CONCURRENCY } = require('../constants');
+const { mapWithConcurrency } = require('../concurrency');
+
+// Common-Felder, die der Adapter bei bestehenden Objekten abgleicht
+// Name und alle übrigen Felder gehören nach dem Anlegen dem Benutzer und werden nicht überschrieben.
+const OWNED_COMMON_KEYS = ['type', 'role', 'read', 'write', 'states', 'unit', 'min', 'max'];
+
+/**
+ * Ermittelt den gemeinsamen Pfad mehrerer Objekt-IDs
+ *
+ * @param {Array<string>} ids - Objekt-IDs
+ * @returns {string} - Gemeinsamer Pfad mit abschließendem Punkt, z.B. "devices.123.ports.1."
+ */
+function commonParent(ids) {
+    const split = ids.map(id => id.split('.'));
+    // Höchstens bis zum Elternobjekt der kürzesten ID, damit diese selbst noch im Muster liegt
+    const length = Math.min(...split.map(parts => parts.length - 1));
+    let common = 0;
+    while (common < length && split.every(parts => parts[common] === split[0][common])) {
+        common++;
+    }
+    return common > 0 ? `${split[0].slice(0, common).join('.')}.` : '';
+}
+
 class StateCreator {
     /**
      * Erstellt einen neuen StateCreator
@@ -14,6 +41,136 @@ class StateCreator {
     constructor(stateManager) {
         this.stateManager = stateManager;
         this.adapter = stateManager.adapter;
+        this.pending = new Map(); // Objekt-ID -> gewünschte Objektdefinition
+        this.batchDepth = 0;
+    }
+
+    /**
+     * Sammelt alle in fn angelegten Objekte und schreibt sie danach gemeinsam
+     * Verschachtelte Aufrufe schreiben erst am Ende des äußersten Aufrufs.
+     *
+     * @param {() => Promise<void>} fn - Legt die Objekte an
+     * @returns {Promise<void>}
+     */
+    async batch(fn) {
+        this.batchDepth++;
+        try {
+            await fn();
+        } finally {
+            this.batchDepth--;
+            if (this.batchDepth === 0) {
+                await this.flush();
+            }
+        }
+    }
+
+    /**
+     * Merkt ein Objekt zum Schreiben vor; außerhalb von batch() wird es sofort geschrieben
+     *
+     * @param {string} id - Objekt-ID
+     * @param {object} obj - Gewünschte Objektdefinition
+     * @returns {Promise<void>}
+     */
+    async queue(id, obj) {
+        this.pending.set(id, obj);
+        if (this.batchDepth === 0) {
+            await this.flush();
+        }
+    }
+
+    /**
+     * Vergleicht die vorgemerkten Objekte mit dem Objektbaum und schreibt fehlende und geänderte
+     * Bestehende Objekte werden erweitert, so bleiben z.B. History-Einstellungen (common.custom) erhalten.
+     *
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        if (this.pending.size === 0) {
+            return;
+        }
+        const pending = this.pending;
+        this.pending = new Map();
+
+        const prefix = commonParent([...pending.keys()]);
+        let existing = {};
+        try {
+            existing = await this.stateManager.getObjectsAsync(prefix);
+        } catch (error) {
+            // Ohne Vergleich alle Objekte schreiben; extendObject legt fehlende an und ändert nur die angegebenen Felder
+            this.adapter.log.warn(`Fehler beim Lesen der Objekte unter ${prefix}: ${error.message}`);
+        }
+
+        const writes = [];
+        for (const [id, obj] of pending) {
+            const update = StateCreator.getUpdate(existing[id], obj);
+            if (update) {
+                writes.push({ id, update, created: !existing[id] });
+            } else {
+                this.track(id, obj);
+            }
+        }
+
+        await mapWithConcurrency(writes, OBJECT_WRITE_CONCURRENCY, async ({ id, update, created }) => {
+            try {
+                await this.stateManager.extendObjectAsync(id, update);
+                this.track(id, update);
+                this.adapter.log.debug(`${created ? 'Objekt erstellt' : 'Objekt aktualisiert'}: ${id}`);
+            } catch (error) {
+                this.adapter.log.error(`Fehler beim Erstellen von Objekt ${id}: ${error.message}`);
+            }
+        });
+        this.adapter.log.debug(
+            `Objektbaum unter ${prefix || '/'} abgeglichen: ${pending.size} Objekte, ${writes.length} geschrieben`,
+        );
+    }
+
+    /**
+     * Ermittelt, was von einem Objekt geschrieben werden muss
+     * Fehlende Objekte werden vollständig angelegt. Bei bestehenden werden nur Typ, native und die
+     * Common-Felder aus OWNED_COMMON_KEYS verglichen, so bleiben vom Benutzer geänderte Namen erhalten.
+     *
+     * @param {object|undefined} existing - Bestehendes Objekt
+     * @param {object} desired - Gewünschte Objektdefinition
+     * @returns {object|null} - Zu schreibende Objektteile, null wenn das Objekt aktuell ist
+     */
+    static getUpdate(existing, desired) {
+        if (!existing) {
+            return desired;
+        }
+        const differs = (current, value) => JSON.stringify(current) !== JSON.stringify(value);
+
+        const common = {};
+        const currentCommon = existing.common || {};
+        const desiredCommon = desired.common || {};
+        for (const key of OWNED_COMMON_KEYS) {
+            if (key in desiredCommon && differs(currentCommon[key], desiredCommon[key])) {
+                common[key] = desiredCommon[key];
+            }
+        }
+        const native = {};
+        const currentNative = existing.native || {};
+        for (const [key, value] of Object.entries(desired.native || {})) {
+            if (differs(currentNative[key], value)) {
+                native[key] = value;
+            }
+        }
+
+        if (existing.type === desired.type && !Object.keys(common).length && !Object.keys(native).length) {
+            return null;
+        }
+        return { type: desired.type, common, native };
+    }
+
+    /**
+     * Nimmt einen geschriebenen oder unveränderten State in das Tracking auf
+     *
+     * @param {string} id - Objekt-ID
+     * @param {object} obj - Objektdefinition
+     */
+    track(id, obj) {
+        if (obj.type === 'state') {
+            this.stateManager.deviceStates.set(id, true);
+        }
     }
 
     /**
@@ -73,18 +230,8 @@ class StateCreator {
             Object.assign(obj.common, common);
         }
 
-        // Erstelle State in ioBroker
-        try {
-            await this.adapter.setObjectNotExistsAsync(id, obj);
-
-            // Füge zum Tracking hinzu
-            this.stateManager.deviceStates.set(id, true);
-
-            // Debug-Logging
-            this.adapter.log.debug(`State erstellt: ${id}`);
-        } catch (error) {
-            this.adapter.log.error(`Fehler beim Erstellen von State ${id}: ${error.message}`);
-        }
+        // Erstelle State in ioBroker, das Tracking übernimmt flush()
+        await this.queue(id, obj);
     }
 
     /**
@@ -94,18 +241,20 @@ class StateCreator {
      * @returns {Promise<void>}
      */
     async createMultipleStates(stateDefinitions) {
-        for (const def of stateDefinitions) {
-            await this.createState(
-                def.id,
-                def.name,
-                def.type,
-                def.role,
-                def.unit || null,
-                def.write || false,
-                def.states || null,
-                def.common || null,
-            );
-        }
+        await this.batch(async () => {
+            for (const def of stateDefinitions) {
+                await this.createState(
+                    def.id,
+                    def.name,
+                    def.type,
+                    def.role,
+                    def.unit || null,
+                    def.write || false,
+                    def.states || null,
+                    def.common || null,
+                );
+            }
+        });
     }
 
     /**
@@ -117,19 +266,13 @@ class StateCreator {
      * @returns {Promise<void>}
      */
     async createChannel(id, name, native = {}) {
-        try {
-            await this.adapter.setObjectNotExistsAsync(id, {
-                type: 'channel',
-                common: {
-                    name: name,
-                },
-                native: native || {},
-            });
-
-            this.adapter.log.debug(`Kanal erstellt: ${id}`);
-        } catch (error) {
-            this.adapter.log.error(`Fehler beim Erstellen von Kanal ${id}: ${error.message}`);
-        }
+        await this.queue(id, {
+            type: 'channel',
+            common: {
+                name: name,
+            },
+            native: native || {},
+        });
     }
 
     /**
@@ -140,19 +283,13 @@ class StateCreator {
      * @returns {Promise<void>}
      */
     async createFolder(id, name) {
-        try {
-            await this.adapter.setObjectNotExistsAsync(id, {
-                type: 'folder',
-                common: {
-                    name: name,
-                },
-                native: {},
-            });
-
-            this.adapter.log.debug(`Ordner erstellt: ${id}`);
-        } catch (error) {
-            this.adapter.log.error(`Fehler beim Erstellen von Ordner ${id}: ${error.message}`);
-        }
+        await this.queue(id, {
+            type: 'folder',
+            common: {
+                name: name,
+            },
+            native: {},
+        });
     }
 
     /**
@@ -164,19 +301,13 @@ class StateCreator {
      * @returns {Promise<void>}
      */
     async createDevice(id, name, native = {}) {
-        try {
-            await this.adapter.setObjectNotExistsAsync(id, {
-                type: 'device',
-                common: {
-                    name: name,
-                },
-                native: native || {},
-            });
-
-            this.adapter.log.debug(`Gerät erstellt: ${id}`);
-        } catch (error) {
-            this.adapter.log.error(`Fehler beim Erstellen von Gerät ${id}: ${error.message}`);
-        }
+        await this.queue(id, {
+            type: 'device',
+            common: {
+                name: name,
+            },
+            native: native || {},
+        });
     }
 }
 
@@ -0,0 +1,136 @@
+'use strict';
+
+const { expect } = require('chai');
+const StateCreator = require('./stateCreator');
+
+/**
+ * Builds a state manager stub around an in-memory object tree
+ * IDs are relative to the namespace, as with a real adapter.
+ *
+ * @param {{[id: string]: object}} objects - Existing objects
+ * @returns {object} - State manager stub recording the writes
+ */
+function stateManagerWith(objects) {
+    const writes = [];
+    return {
+        adapter: { log: { debug() {}, warn() {}, error() {} } },
+        deviceStates: new Map(),
+        writes,
+        getObjectsAsync: async prefix =>
+            Object.fromEntries(Object.entries(objects).filter(([id]) => id.startsWith(prefix))),
+        extendObjectAsync: async (id, obj) => {
+            writes.push({ id, obj });
+        },
+    };
+}
+
+describe('StateCreator', () => {
+    const id = 'devices.1.ports.1.mode.vpd.target';
+
+    /**
+     * Queues the VPD target state of port 1
+     *
+     * @param {StateCreator} creator - Creator under test
+     * @returns {Promise<void>}
+     */
+    function createVpdTarget(creator) {
+        return creator.createState(id, 'VPD Ziel', 'number', 'value', 'kPa', true, null, { min: 0, max: 9.9 });
+    }
+
+    it('creates missing objects in full', async () => {
+        const stateManager = stateManagerWith({});
+        const creator = new StateCreator(stateManager);
+
+        await creator.batch(async () => {
+            await creator.createChannel('devices.1.ports.1', 'Port 1', { portId: 1 });
+            await createVpdTarget(creator);
+        });
+
+        expect(stateManager.writes.map(write => write.id)).to.deep.equal(['devices.1.ports.1', id]);
+        expect(stateManager.writes[1].obj.common).to.deep.equal({
+            name: 'VPD Ziel',
+            type: 'number',
+            role: 'value',
+            read: true,
+            write: true,
+            unit: 'kPa',
+            min: 0,
+            max: 9.9,
+        });
+        expect(stateManager.deviceStates.has(id)).to.equal(true);
+    });
+
+    it('does not write objects that are up to date or only renamed by the user', async () => {
+        const stateManager = stateManagerWith({
+            'devices.1.ports.1': { type: 'channel', common: { name: 'Lüfter' }, native: { portId: 1 } },
+            [id]: {
+                type: 'state',
+                common: {
+                    name: 'Mein VPD',
+                    type: 'number',
+                    role: 'value',
+                    read: true,
+                    write: true,
+                    unit: 'kPa',
+                    min: 0,
+                    max: 9.9,
+                },
+                native: {},
+            },
+        });
+        const creator = new StateCreator(stateManager);
+
+        await creator.batch(async () => {
+            await creator.createChannel('devices.1.ports.1', 'Port 1', { portId: 1 });
+            await createVpdTarget(creator);
+        });
+
+        expect(stateManager.writes).to.deep.equal([]);
+        expect(stateManager.deviceStates.has(id)).to.equal(true);
+    });
+
+    it('adds the value range to objects of earlier releases', async () => {
+        const stateManager = stateManagerWith({
+            [id]: {
+                type: 'state',
+                common: { name: 'VPD Ziel', type: 'number', role: 'value', read: true, write: true, unit: 'kPa' },
+                native: {},
+            },
+        });
+
+        await createVpdTarget(new StateCreator(stateManager));
+
+        expect(stateManager.writes).to.deep.equal([
+            { id, obj: { type: 'state', common: { min: 0, max: 9.9 }, native: {} } },
+        ]);
+    });
+
+    it('writes only the changed fields the adapter owns', async () => {
+        const stateManager = stateManagerWith({
+            'devices.1.ports.1': { type: 'channel', common: { name: 'Lüfter' }, native: {} },
+            [id]: {
+                type: 'state',
+                common: { name: 'Mein VPD', type: 'string', role: 'text', read: true, write: false, unit: 'hPa' },
+                native: {},
+            },
+        });
+        const creator = new StateCreator(stateManager);
+
+        await creator.batch(async () => {
+            await creator.createChannel('devices.1.ports.1', 'Port 1', { portId: 1 });
+            await createVpdTarget(creator);
+        });
+
+        expect(stateManager.writes).to.deep.equal([
+            { id: 'devices.1.ports.1', obj: { type: 'channel', common: {}, native: { portId: 1 } } },
+            {
+                id,
+                obj: {
+                    type: 'state',
+                    common: { type: 'number', role: 'value', write: true, unit: 'kPa', min: 0, max: 9.9 },
+                    native: {},
+                },
+            },
+        ]);
+    });
+});
@@ -1,11 +1,67 @@
 /**
  * Data models for AC Infinity adapter
  * Provides helper classes to work with AC Infinity data structures
+ *
+ * The client returns these models instead of the raw API objects, so the quirks of the
+ * cloud responses (fallback locations, scaling, 1-based modes) are handled here only.
  */
 
 'use strict';
 
 const { DEVICE_LOAD_TYPE_OPTIONS } = require('./constants');
+const { SCOPE, SOURCE, getEntries, isCelsius, toStateValue } = require('./stateRegistry');
+
+// Model names by numeric device type
+const CONTROLLER_MODELS = {
+    1: 'UIS Controller 69 WiFi (CTR69W)',
+    11: 'UIS Controller 69 Pro (CTR69P)',
+    18: 'UIS Controller 69 Pro+ (CTR69Q)',
+    20: 'UIS Controller AI+ (CTR89Q)',
+    22: 'UIS Controller Outlet AI (AC-ADA4)',
+    24: 'UIS Controller Outlet AI+ (AC-ADA8)',
+};
+
+/**
+ * Leaves a property out of the enumerable fields of a model, e.g. the raw API data in JSON logs
+ *
+ * @param {object} model - Model instance
+ * @param {string} name - Property name
+ */
+function hide(model, name) {
+    Object.defineProperty(model, name, { enumerable: false });
+}
+
+/**
+ * Converts a fixed-point API value
+ *
+ * @param {any} value - Raw value
+ * @param {number} divisor - Divisor, e.g. 100 for hundredths
+ * @param {number} decimals - Decimals of the result
+ * @returns {number|null} - Converted value, null if the value is not a number
+ */
+function fixedPoint(value, divisor, decimals) {
+    return typeof value === 'number' ? parseFloat((value / divisor).toFixed(decimals)) : null;
+}
+
+/**
+ * Reads the state values of all registry entries of one endpoint
+ *
+ * @param {string} scope - One of SCOPE
+ * @param {string} source - One of SOURCE
+ * @param {object} data - Raw settings response
+ * @returns {Record<string, any>} - State values by ID relative to the controller or port; missing values are left out
+ */
+function readRegistryValues(scope, source, data) {
+    const celsius = isCelsius(data);
+    const values = {};
+    for (const entry of getEntries(scope, source)) {
+        const value = toStateValue(entry, data, celsius);
+        if (value !== undefined) {
+            values[entry.id] = value;
+        }
+    }
+    return values;
+}
 
 /**
  * Represents an AC Infinity controller device
@@ -17,26 +73,81 @@ class ACInfinityController {
      * @param {object} data - Raw device data from API
      */
     constructor(data) {
-        this.deviceId = data.devId;
+        const info = data.deviceInfo || {};
+        this.raw = data;
+        hide(this, 'raw');
+
+        this.deviceId = String(data.devId);
         this.deviceName = data.devName || `Device ${this.deviceId}`;
-        this.macAddress = data.devMacAddr;
+        this.macAddress = data.devMacAddr ?? null;
         this.online = data.online === 1;
-        this.hardwareVersion = data.deviceInfo.hardwareVersion;
-        this.firmwareVersion = data.deviceInfo.firmwareVersion;
-        this.deviceType = data.deviceType;
 
-        // Sensor values (stored as integers representing floating point with 2 decimal places)
-        // Null check: optional sensors (CO2, soil, water) may be absent in API response
-        this.temperature = data.temperature != null ? data.temperature / 100 : null;
-        this.humidity = data.humidity != null ? data.humidity / 100 : null;
-        this.vpd = data.vpdnums != null ? data.vpdnums / 100 : null;
+        // Versions are reported in deviceInfo, on the device itself or in deviceInfo.versions depending on the firmware
+        this.hardwareVersion =
+            info.hardwareVersion || data.hardwareVersion || (info.versions ? info.versions.hardware : null) || null;
+        this.firmwareVersion =
+            info.firmwareVersion || data.firmwareVersion || (info.versions ? info.versions.firmware : null) || null;
+
+        // devType is a number, older responses send a string such as "type 11"
+        this.deviceType = 0;
+        if (typeof data.devType === 'number') {
+            this.deviceType = data.devType;
+        } else if (typeof data.devType === 'string') {
+            const match = data.devType.match(/\d+/);
+            if (match) {
+                this.deviceType = parseInt(match[0], 10);
+            }
+        }
+        this.model = CONTROLLER_MODELS[this.deviceType] || `UIS Controller (Typ ${this.deviceType})`;
+
+        this.sensors = new ACInfinitySensors(data);
 
         // Process ports
         this.ports = [];
-        if (data.deviceInfo && Array.isArray(data.deviceInfo.ports)) {
-            this.ports = data.deviceInfo.ports.map(port => new ACInfinityPort(this, port));
+        if (Array.isArray(info.ports)) {
+            this.ports = info.ports.map(port => new ACInfinityPort(this, port));
         }
     }
+
+    /**
+     * Returns a copy of the controller with only the given ports
+     *
+     * @param {Array<ACInfinityPort>} ports - Ports to keep
+     * @returns {ACInfinityController} - New controller
+     */
+    withPorts(ports) {
+        const info = this.raw.deviceInfo || {};
+        return new ACInfinityController({ ...this.raw, deviceInfo: { ...info, ports: ports.map(port => port.raw) } });
+    }
+}
+
+/**
+ * Sensor readings of a controller
+ * Values are null when the sensor is not connected or not reported.
+ */
+class ACInfinitySensors {
+    /**
+     * Create the sensor readings from a device list entry
+     *
+     * @param {object} data - Raw device data from API
+     */
+    constructor(data) {
+        const info = data.deviceInfo || {};
+        // Readings are either on the device itself or in deviceInfo
+        const read = key => (data[key] !== undefined ? data[key] : info[key]);
+
+        // Stored as integers representing floating point with 2 decimal places
+        this.temperature = fixedPoint(read('temperature'), 100, 2);
+        this.humidity = fixedPoint(read('humidity'), 100, 2);
+        this.vpd = fixedPoint(read('vpdnums'), 100, 2);
+
+        // Optional sensors; the cloud sends 0 for a missing CO2 sensor
+        const co2 = read('co2');
+        this.co2 = typeof co2 === 'number' && co2 > 0 ? co2 : null;
+        this.soilMoisture = fixedPoint(read('soilMoisture'), 100, 1);
+        const waterLevel = read('waterLevel');
+        this.waterLevel = typeof waterLevel === 'number' ? waterLevel : null;
+    }
 }
 
 /**
@@ -51,12 +162,16 @@ class ACInfinityPort {
      */
     constructor(controller, data) {
         this.controller = controller;
+        hide(this, 'controller');
+        this.raw = data;
+        hide(this, 'raw');
+
         this.portId = data.port;
         this.portName = data.portName || `Port ${this.portId}`;
         this.online = data.online === 1;
-        this.power = data.speak;
+        this.power = typeof data.speak === 'number' ? data.speak : null;
         this.state = data.loadState === 1;
-        this.remainingTime = data.remainTime;
+        this.remainingTime = typeof data.remainTime === 'number' ? data.remainTime : null;
 
         // Determine next state change time
         this.nextStateChange = null;
@@ -65,7 +180,15 @@ class ACInfinityPort {
             this.nextStateChange = new Date(now.getTime() + this.remainingTime * 1000);
         }
 
+        // Active mode, 1-based as in MODE_OPTIONS + 1; atType wins over curMode
+        this.activeMode = data.atType || data.curMode || null;
+
+        // Speeds; a port that reports onSpead without offSpead has an off speed of 0
+        this.onSpeed = typeof data.onSpead === 'number' ? data.onSpead : null;
+        this.offSpeed = typeof data.offSpead === 'number' ? data.offSpead : this.onSpeed !== null ? 0 : null;
+
         // Device type
+        this.loadType = typeof data.loadType === 'number' ? data.loadType : null;
         this.deviceType = null;
         if (data.loadType in DEVICE_LOAD_TYPE_OPTIONS) {
             this.deviceType = DEVICE_LOAD_TYPE_OPTIONS[data.loadType];
@@ -73,6 +196,49 @@ class ACInfinityPort {
     }
 }
 
+/**
+ * Mode settings of a port (getdevModeSettingList)
+ */
+class ACInfinityModeSettings {
+    /**
+     * Create the mode settings of a port
+     *
+     * @param {object} data - Raw mode settings from API
+     */
+    constructor(data) {
+        this.raw = data;
+        hide(this, 'raw');
+
+        this.onSpeed = typeof data.onSpead === 'number' ? data.onSpead : null;
+        this.offSpeed = typeof data.offSpead === 'number' ? data.offSpead : null;
+
+        // Timer, cycle, schedule, auto and VPD settings as declared in the state registry
+        this.values = readRegistryValues(SCOPE.PORT, SOURCE.MODE, data);
+    }
+}
+
+/**
+ * Advanced settings of a controller or port (getDevSetting)
+ */
+class ACInfinityAdvancedSettings {
+    /**
+     * Create the advanced settings of a controller or port
+     *
+     * @param {object} data - Raw advanced settings from API
+     * @param {number} portId - Port ID, 0 for the controller
+     */
+    constructor(data, portId) {
+        this.raw = data;
+        hide(this, 'raw');
+
+        this.portId = portId;
+        this.celsius = isCelsius(data) ?? null;
+
+        // Settings as declared in the state registry; temperatures in the unit of the controller
+        this.values = readRegistryValues(portId ? SCOPE.PORT : SCOPE.CONTROLLER, SOURCE.ADVANCED, data);
+    }
+}
+
 /**
  * Helper functions for data transformations
  */
@@ -137,5 +303,8 @@ const DataHelper = {
 module.exports = {
     ACInfinityController,
     ACInfinityPort,
+    ACInfinitySensors,
+    ACInfinityModeSettings,
+    ACInfinityAdvancedSettings,
     DataHelper,
 };
@@ -0,0 +1,160 @@
+'use strict';
+
+const { expect } = require('chai');
+const {
+    ACInfinityController,
+    ACInfinityModeSettings,
+    ACInfinityAdvancedSettings,
+    DataHelper,
+} = require('./dataModels');
+
+describe('dataModels', () => {
+    describe('ACInfinityController', () => {
+        it('reads the device type as number or from a string', () => {
+            expect(new ACInfinityController({ devId: 1, devType: 11 }).deviceType).to.equal(11);
+            expect(new ACInfinityController({ devId: 1, devType: 'type 20' }).deviceType).to.equal(20);
+            expect(new ACInfinityController({ devId: 1, devType: 'unknown' }).deviceType).to.equal(0);
+            expect(new ACInfinityController({ devId: 1 }).deviceType).to.equal(0);
+        });
+
+        it('names the model by device type', () => {
+            expect(new ACInfinityController({ devId: 1, devType: '11' }).model).to.equal(
+                'UIS Controller 69 Pro (CTR69P)',
+            );
+            expect(new ACInfinityController({ devId: 1, devType: 99 }).model).to.equal('UIS Controller (Typ 99)');
+        });
+
+        it('finds the versions in deviceInfo, on the device or in deviceInfo.versions', () => {
+            const fromInfo = new ACInfinityController({
+                devId: 1,
+                hardwareVersion: '1.0',
+                firmwareVersion: '3.0',
+                deviceInfo: { hardwareVersion: '2.0', firmwareVersion: '4.0' },
+            });
+            expect(fromInfo).to.include({ hardwareVersion: '2.0', firmwareVersion: '4.0' });
+
+            const fromDevice = new ACInfinityController({ devId: 1, hardwareVersion: '1.0', firmwareVersion: '3.0' });
+            expect(fromDevice).to.include({ hardwareVersion: '1.0', firmwareVersion: '3.0' });
+
+            const fromVersions = new ACInfinityController({
+                devId: 1,
+                deviceInfo: { versions: { hardware: '1.1', firmware: '3.1' } },
+            });
+            expect(fromVersions).to.include({ hardwareVersion: '1.1', firmwareVersion: '3.1' });
+
+            expect(new ACInfinityController({ devId: 1 })).to.include({ hardwareVersion: null, firmwareVersion: null });
+        });
+
+        it('fills in defaults and keeps the raw data out of the enumerable fields', () => {
+            const controller = new ACInfinityController({ devId: 42, online: 0 });
+            expect(controller).to.include({ deviceId: '42', deviceName: 'Device 42', macAddress: null, online: false });
+            expect(controller.ports).to.deep.equal([]);
+            expect(Object.keys(controller)).to.not.include('raw');
+            expect(controller.raw).to.deep.equal({ devId: 42, online: 0 });
+        });
+
+        it('returns copies with other ports from withPorts()', () => {
+            const controller = new ACInfinityController({
+                devId: 1,
+                devName: 'Tent',
+                deviceInfo: { temperature: 2400, ports: [{ port: 1 }, { port: 2 }, { port: 3 }] },
+            });
+
+            const copy = controller.withPorts(controller.ports.filter(port => port.portId !== 2));
+
+            expect(copy).to.be.instanceOf(ACInfinityController);
+            expect(copy).to.not.equal(controller);
+            expect(copy.ports.map(port => port.portId)).to.deep.equal([1, 3]);
+            expect(copy.ports[0].controller).to.equal(copy);
+            expect(copy.deviceName).to.equal('Tent');
+            expect(copy.sensors.temperature).to.equal(24);
+            expect(copy.raw.deviceInfo.ports).to.have.length(2);
+
+            // The original is left as it was
+            expect(controller.ports.map(port => port.portId)).to.deep.equal([1, 2, 3]);
+            expect(controller.raw.deviceInfo.ports).to.have.length(3);
+        });
+    });
+
+    describe('ACInfinitySensors', () => {
+        it('scales the readings and reads them from the device or deviceInfo', () => {
+            const { sensors } = new ACInfinityController({
+                devId: 1,
+                temperature: 2456,
+                deviceInfo: { humidity: 5512, vpdnums: 123, soilMoisture: 4567, waterLevel: 3 },
+            });
+            expect(sensors).to.deep.equal({
+                temperature: 24.56,
+                humidity: 55.12,
+                vpd: 1.23,
+                co2: null,
+                soilMoisture: 45.7,
+                waterLevel: 3,
+            });
+        });
+
+        it('reports a CO2 reading of 0 as missing sensor', () => {
+            expect(new ACInfinityController({ devId: 1, co2: 0 }).sensors.co2).to.equal(null);
+            expect(new ACInfinityController({ devId: 1, co2: 812 }).sensors.co2).to.equal(812);
+        });
+    });
+
+    describe('ACInfinityPort', () => {
+        /**
+         * Builds the model of a single port
+         *
+         * @param {object} port - Raw port block
+         * @returns {import('./dataModels').ACInfinityPort} - Port model
+         */
+        function portOf(port) {
+            return new ACInfinityController({ devId: 1, deviceInfo: { ports: [{ port: 1, ...port }] } }).ports[0];
+        }
+
+        it('defaults the off speed to 0 when only the on speed is reported', () => {
+            expect(portOf({ onSpead: 7 })).to.include({ onSpeed: 7, offSpeed: 0 });
+            expect(portOf({ onSpead: 7, offSpead: 2 })).to.include({ onSpeed: 7, offSpeed: 2 });
+            expect(portOf({})).to.include({ onSpeed: null, offSpeed: null });
+        });
+
+        it('prefers atType over curMode for the active mode', () => {
+            expect(portOf({ atType: 3, curMode: 2 }).activeMode).to.equal(3);
+            expect(portOf({ curMode: 2 }).activeMode).to.equal(2);
+            expect(portOf({}).activeMode).to.equal(null);
+        });
+
+        it('computes the next state change from the remaining time', () => {
+            const before = Date.now();
+            const port = portOf({ remainTime: 60 });
+            expect(port.nextStateChange.getTime()).to.be.within(before + 60000, Date.now() + 60000);
+            expect(portOf({ remainTime: 0 }).nextStateChange).to.equal(null);
+        });
+    });
+
+    describe('settings', () => {
+        it('read the mode settings through the state registry', () => {
+            const settings = new ACInfinityModeSettings({ onSpead: 5, acitveTimerOn: 900, schedStartTime: 65535 });
+            expect(settings).to.include({ onSpeed: 5, offSpeed: null });
+            expect(settings.values).to.deep.include({ 'mode.timer.toOnMinutes': 15 });
+            expect(settings.values).to.not.have.property('mode.schedule.startTime');
+        });
+
+        it('read the advanced settings in the unit of the controller', () => {
+            const fahrenheit = new ACInfinityAdvancedSettings({ devCompany: 0, devCt: 8, devCth: 15 }, 0);
+            expect(fahrenheit.celsius).to.equal(false);
+            expect(fahrenheit.values['settings.temperatureCalibration']).to.equal(15);
+
+            const unknown = new ACInfinityAdvancedSettings({ devCt: 8, devCth: 15 }, 0);
+            expect(unknown.celsius).to.equal(null);
+            expect(unknown.values).to.not.have.property('settings.temperatureCalibration');
+        });
+    });
+
+    describe('DataHelper', () => {
+        it('converts between minutes of the day and HH:MM', () => {
+            expect(DataHelper.minutesToTimeString(425)).to.equal('07:05');
+            expect(DataHelper.minutesToTimeString(1440)).to.equal(null);
+            expect(DataHelper.timeStringToMinutes('07:05')).to.equal(425);
+            expect(DataHelper.timeStringToMinutes('24:00')).to.equal(null);
+        });
+    });
+});
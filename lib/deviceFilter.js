@@ -0,0 +1,84 @@
+/**
+ * Device filter
+ * Decides per controller and port whether it is polled and writable, read-only or ignored
+ */
+
+'use strict';
+
+const { DEVICE_ACCESS } = require('./constants');
+
+const ACCESS_LEVELS = Object.values(DEVICE_ACCESS);
+
+class DeviceFilter {
+    /**
+     * Creates a new device filter for one account
+     *
+     * @param {Array<{account?: string, deviceId?: string|number, portId?: string|number, access?: string}>} entries - Rows of the device table in the adapter settings
+     * @param {string|null} accountName - Name of the account, null for the main account
+     */
+    constructor(entries, accountName) {
+        const account = accountName || '';
+        this.rules = new Map(); // "devId:port" -> access, port 0 for the whole controller
+
+        for (const entry of Array.isArray(entries) ? entries : []) {
+            if (!entry || (entry.account || '') !== account || !entry.deviceId) {
+                continue;
+            }
+            if (!ACCESS_LEVELS.includes(entry.access)) {
+                continue;
+            }
+            const portId = Number(entry.portId) || 0;
+            this.rules.set(`${String(entry.deviceId).trim()}:${portId}`, entry.access);
+        }
+    }
+
+    /**
+     * Returns the access level of a controller or port
+     * A port without its own row inherits the level of its controller; an ignored controller ignores all ports.
+     *
+     * @param {string|number} deviceId - Device ID
+     * @param {number} [portId] - Port ID, 0 or omitted for the controller
+     * @returns {string} - One of DEVICE_ACCESS
+     */
+    getAccess(deviceId, portId = 0) {
+        const controller = this.rules.get(`${deviceId}:0`) || DEVICE_ACCESS.ENABLED;
+        if (!portId || controller === DEVICE_ACCESS.IGNORED) {
+            return controller;
+        }
+        return this.rules.get(`${deviceId}:${portId}`) || controller;
+    }
+
+    /**
+     * Removes ignored controllers and ports from a device list
+     *
+     * @param {Array<object>} devices - Controller models (ACInfinityController) as returned by the client
+     * @returns {{devices: Array<object>, ignored: Array<string>}} - Remaining devices (ports filtered on copies) and
+     *     object paths of the ignored controllers and ports
+     */
+    apply(devices) {
+        const result = { devices: [], ignored: [] };
+        for (const device of devices) {
+            if (this.getAccess(device.deviceId) === DEVICE_ACCESS.IGNORED) {
+                result.ignored.push(`devices.${device.deviceId}`);
+                continue;
+            }
+            const ports = device.ports;
+            if (ports.every(port => this.getAccess(device.deviceId, port.portId) !== DEVICE_ACCESS.IGNORED)) {
+                result.devices.push(device);
+                continue;
+            }
+            const kept = [];
+            for (const port of ports) {
+                if (this.getAccess(device.deviceId, port.portId) === DEVICE_ACCESS.IGNORED) {
+                    result.ignored.push(`devices.${device.deviceId}.ports.${port.portId}`);
+                } else {
+                    kept.push(port);
+                }
+            }
+            result.devices.push(device.withPorts(kept));
+        }
+        return result;
+    }
+}
+
+module.exports = DeviceFilter;
@@ -0,0 +1,95 @@
+'use strict';
+
+const { expect } = require('chai');
+const DeviceFilter = require('./deviceFilter');
+const { DEVICE_ACCESS } = require('./constants');
+const { ACInfinityController } = require('./dataModels');
+
+/**
+ * Builds a controller model with the given ports
+ *
+ * @param {number} devId - Device ID
+ * @param {Array<number>} portIds - Port IDs
+ * @returns {ACInfinityController} - Controller model
+ */
+function controller(devId, portIds) {
+    return new ACInfinityController({
+        devId,
+        online: 1,
+        deviceInfo: { ports: portIds.map(port => ({ port, portName: `Port ${port}` })) },
+    });
+}
+
+describe('DeviceFilter', () => {
+    describe('getAccess()', () => {
+        it('enables controllers and ports without a row', () => {
+            const filter = new DeviceFilter([], null);
+            expect(filter.getAccess('1')).to.equal(DEVICE_ACCESS.ENABLED);
+            expect(filter.getAccess('1', 2)).to.equal(DEVICE_ACCESS.ENABLED);
+        });
+
+        it('lets ports inherit the level of their controller unless they have their own row', () => {
+            const filter = new DeviceFilter(
+                [
+                    { deviceId: '1', access: DEVICE_ACCESS.READ_ONLY },
+                    { deviceId: '1', portId: '2', access: DEVICE_ACCESS.ENABLED },
+                ],
+                null,
+            );
+            expect(filter.getAccess('1')).to.equal(DEVICE_ACCESS.READ_ONLY);
+            expect(filter.getAccess('1', 1)).to.equal(DEVICE_ACCESS.READ_ONLY);
+            expect(filter.getAccess('1', 2)).to.equal(DEVICE_ACCESS.ENABLED);
+        });
+
+        it('ignores all ports of an ignored controller, even with their own row', () => {
+            const filter = new DeviceFilter(
+                [
+                    { deviceId: '1', access: DEVICE_ACCESS.IGNORED },
+                    { deviceId: '1', portId: 2, access: DEVICE_ACCESS.ENABLED },
+                ],
+                null,
+            );
+            expect(filter.getAccess('1', 1)).to.equal(DEVICE_ACCESS.IGNORED);
+            expect(filter.getAccess('1', 2)).to.equal(DEVICE_ACCESS.IGNORED);
+        });
+
+        it('only uses rows of its own account and with a valid access level', () => {
+            const entries = [
+                { account: 'second', deviceId: '1', access: DEVICE_ACCESS.IGNORED },
+                { deviceId: '2', access: 'unknown' },
+                { deviceId: ' 3 ', access: DEVICE_ACCESS.READ_ONLY },
+            ];
+            const main = new DeviceFilter(entries, null);
+            const second = new DeviceFilter(entries, 'second');
+
+            expect(main.getAccess('1')).to.equal(DEVICE_ACCESS.ENABLED);
+            expect(main.getAccess('2')).to.equal(DEVICE_ACCESS.ENABLED);
+            expect(main.getAccess('3')).to.equal(DEVICE_ACCESS.READ_ONLY);
+            expect(second.getAccess('1')).to.equal(DEVICE_ACCESS.IGNORED);
+            expect(second.getAccess('3')).to.equal(DEVICE_ACCESS.ENABLED);
+        });
+    });
+
+    describe('apply()', () => {
+        it('removes ignored controllers and ports and reports their object paths', () => {
+            const filter = new DeviceFilter(
+                [
+                    { deviceId: '1', access: DEVICE_ACCESS.IGNORED },
+                    { deviceId: '2', portId: 3, access: DEVICE_ACCESS.IGNORED },
+                ],
+                null,
+            );
+            const partly = controller(2, [1, 2, 3]);
+            const untouched = controller(4, [1]);
+
+            const { devices, ignored } = filter.apply([controller(1, [1]), partly, untouched]);
+
+            expect(ignored).to.deep.equal(['devices.1', 'devices.2.ports.3']);
+            expect(devices.map(device => device.deviceId)).to.deep.equal(['2', '4']);
+            expect(devices[0]).to.not.equal(partly);
+            expect(devices[0].ports.map(port => port.portId)).to.deep.equal([1, 2]);
+            expect(partly.ports).to.have.length(3);
+            expect(devices[1]).to.equal(untouched);
+        });
+    });
+});
@@ -0,0 +1,191 @@
+/**
+ * Error classes for the AC Infinity adapter
+ * Callers branch on these types instead of matching error messages
+ */
+
+'use strict';
+
+// Network error codes that indicate the cloud could not be reached
+const NETWORK_ERROR_CODES = [
+    'ECONNABORTED',
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ETIMEDOUT',
+    'ENOTFOUND',
+    'EAI_AGAIN',
+    'EPIPE',
+    'ENETUNREACH',
+    'EHOSTUNREACH',
+    'ERR_NETWORK',
+];
+
+/**
+ * Base class for all errors raised by the API client
+ */
+class ACInfinityError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {object} [details] - Additional details
+     * @param {string} [details.endpoint] - API endpoint that failed
+     * @param {any} [details.cause] - Underlying error
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.endpoint = details.endpoint || null;
+        this.cause = details.cause;
+    }
+}
+
+/**
+ * Login failed or the token was rejected
+ */
+class AuthError extends ACInfinityError {
+    /**
+     * @param {string} message - Error message
+     * @param {object} [details] - Additional details
+     * @param {string} [details.endpoint] - API endpoint that failed
+     * @param {any} [details.cause] - Underlying error
+     * @param {number|null} [details.code] - Cloud result code, if the cloud answered
+     * @param {string|null} [details.msg] - Cloud result message, if the cloud answered
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.code = details.code ?? null;
+        this.msg = details.msg ?? null;
+    }
+}
+
+/**
+ * The cloud could not be reached: timeout, connection error, HTTP 429 or 5xx
+ */
+class NetworkError extends ACInfinityError {
+    /**
+     * @param {string} message - Error message
+     * @param {object} [details] - Additional details
+     * @param {string} [details.endpoint] - API endpoint that failed
+     * @param {any} [details.cause] - Underlying error
+     * @param {number|null} [details.status] - HTTP status, if a response was received
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.status = details.status ?? null;
+    }
+}
+
+/**
+ * The circuit breaker rejected the request because the cloud is considered down
+ */
+class CircuitOpenError extends NetworkError {
+    /**
+     * @param {Date|null} nextRetry - Time of the next probe
+     */
+    constructor(nextRetry) {
+        super(`AC Infinity cloud unavailable, next retry at ${nextRetry ? nextRetry.toISOString() : 'unknown'}`);
+        this.nextRetry = nextRetry;
+    }
+}
+
+/**
+ * The cloud answered but rejected the request
+ */
+class ApiError extends ACInfinityError {
+    /**
+     * @param {string} message - Error message
+     * @param {object} [details] - Additional details
+     * @param {string} [details.endpoint] - API endpoint that failed
+     * @param {any} [details.cause] - Underlying error
+     * @param {number|null} [details.code] - Cloud result code
+     * @param {string|null} [details.msg] - Cloud result message
+     * @param {number|null} [details.status] - HTTP status
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.code = details.code ?? null;
+        this.msg = details.msg ?? null;
+        this.status = details.status ?? null;
+    }
+}
+
+/**
+ * A value sent to or received from the cloud is invalid
+ */
+class ValidationError extends ACInfinityError {}
+
+/**
+ * The cloud accepted a write but the settings read back afterwards still differ
+ */
+class WriteVerificationError extends ACInfinityError {
+    /**
+     * @param {string} message - Error message
+     * @param {object} [details] - Additional details
+     * @param {string} [details.endpoint] - API endpoint that was written
+     * @param {Array<{key: string, expected: any, actual: any}>} [details.mismatches] - Fields that were not applied
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.mismatches = details.mismatches || [];
+    }
+}
+
+/**
+ * The request was cancelled because the adapter is shutting down
+ */
+class AbortedError extends ACInfinityError {}
+
+/**
+ * Converts an axios error into one of the typed errors
+ *
+ * @param {any} error - Error thrown by axios
+ * @param {string} endpoint - API endpoint that failed
+ * @returns {ACInfinityError} - Typed error
+ */
+function fromHttpError(error, endpoint) {
+    if (error instanceof ACInfinityError) {
+        return error;
+    }
+
+    if (error && error.code === 'ERR_CANCELED') {
+        return new AbortedError(`Request to ${endpoint} was cancelled`, { endpoint, cause: error });
+    }
+
+    if (error && error.response) {
+        const status = error.response.status;
+        const data = error.response.data || {};
+        if (status === 401) {
+            return new AuthError(`Request to ${endpoint} was not authorized`, { endpoint, cause: error });
+        }
+        if (status === 429 || status >= 500) {
+            return new NetworkError(`Request to ${endpoint} failed with status ${status}`, {
+                endpoint,
+                status,
+                cause: error,
+            });
+        }
+        return new ApiError(`Request to ${endpoint} failed with status ${status}`, {
+            endpoint,
+            status,
+            code: data.code ?? null,
+            msg: data.msg ?? null,
+            cause: error,
+        });
+    }
+
+    if (error && (NETWORK_ERROR_CODES.includes(error.code) || error.request)) {
+        return new NetworkError(`Request to ${endpoint} failed: ${error.message}`, { endpoint, cause: error });
+    }
+
+    return new ACInfinityError(`Request to ${endpoint} failed: ${error && error.message}`, { endpoint, cause: error });
+}
+
+module.exports = {
+    ACInfinityError,
+    AuthError,
+    NetworkError,
+    CircuitOpenError,
+    ApiError,
+    ValidationError,
+    WriteVerificationError,
+    AbortedError,
+    fromHttpError,
+};
@@ -0,0 +1,77 @@
+'use strict';
+
+const { expect } = require('chai');
+const {
+    ACInfinityError,
+    AuthError,
+    NetworkError,
+    CircuitOpenError,
+    ApiError,
+    AbortedError,
+    fromHttpError,
+} = require('./errors');
+
+const ENDPOINT = '/api/dev/devInfoListAll';
+
+/**
+ * Builds an axios-like error with a response
+ *
+ * @param {number} status - HTTP status
+ * @param {object} [data] - Response body
+ * @returns {Error} - Axios-like error
+ */
+function responseError(status, data) {
+    return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data } });
+}
+
+describe('errors', () => {
+    describe('fromHttpError()', () => {
+        it('maps 401 to an auth error', () => {
+            const error = fromHttpError(responseError(401), ENDPOINT);
+            expect(error).to.be.instanceOf(AuthError);
+            expect(error.endpoint).to.equal(ENDPOINT);
+        });
+
+        it('maps 429 and 5xx to network errors with the status', () => {
+            for (const status of [429, 500, 502, 503]) {
+                const error = fromHttpError(responseError(status), ENDPOINT);
+                expect(error).to.be.instanceOf(NetworkError);
+                expect(error).to.have.property('status', status);
+            }
+        });
+
+        it('maps other statuses to API errors with the cloud result', () => {
+            const cause = responseError(400, { code: 10001, msg: 'Bad parameter' });
+            const error = fromHttpError(cause, ENDPOINT);
+            expect(error).to.be.instanceOf(ApiError);
+            expect(error).to.include({ status: 400, code: 10001, msg: 'Bad parameter', endpoint: ENDPOINT });
+            expect(error.cause).to.equal(cause);
+
+            expect(fromHttpError(responseError(404), ENDPOINT)).to.include({ code: null, msg: null });
+        });
+
+        it('maps cancelled requests to aborted errors', () => {
+            const error = fromHttpError(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' }), ENDPOINT);
+            expect(error).to.be.instanceOf(AbortedError);
+        });
+
+        it('maps connection errors and requests without response to network errors', () => {
+            for (const code of ['ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'ECONNABORTED', 'ERR_NETWORK']) {
+                const error = fromHttpError(Object.assign(new Error(code), { code }), ENDPOINT);
+                expect(error).to.be.instanceOf(NetworkError);
+                expect(error).to.have.property('status', null);
+            }
+            const noResponse = Object.assign(new Error('socket hang up'), { request: {} });
+            expect(fromHttpError(noResponse, ENDPOINT)).to.be.instanceOf(NetworkError);
+        });
+
+        it('keeps typed errors and wraps anything else in the base class', () => {
+            const typed = new CircuitOpenError(null);
+            expect(fromHttpError(typed, ENDPOINT)).to.equal(typed);
+
+            const other = fromHttpError(new TypeError('x is not a function'), ENDPOINT);
+            expect(other.constructor).to.equal(ACInfinityError);
+            expect(other.message).to.include('x is not a function');
+        });
+    });
+});
@@ -5,7 +5,8 @@
 
 'use strict';
 
-const { ADVANCED_SETTINGS_KEY, OUTSIDE_CLIMATE_OPTIONS } = require('../constants');
+const { ApiError, ValidationError, WriteVerificationError, AbortedError } = require('../errors');
+const { SCOPE, findEntry, toApiValues } = require('../stateRegistry');
 
 class DeviceSettingsHandler {
     /**
@@ -38,6 +39,12 @@ class DeviceSettingsHandler {
      */
     async handleDeviceSettingsChange(deviceId, path, value) {
         const settingName = path[0];
+        const statePath = `devices.${deviceId}.settings.${settingName}`;
+        const entry = findEntry(SCOPE.CONTROLLER, `settings.${settingName}`);
+        if (!entry) {
+            this.adapter.log.warn(`Unbekannte Geräteeinstellung: ${settingName}`);
+            return;
+        }
 
         try {
             // Prüfen, ob der Client gesetzt ist
@@ -46,129 +53,26 @@ class DeviceSettingsHandler {
             }
 
             // Hole den Gerätenamen für den Aktualisierungsaufruf
-            let deviceName = await this.adapter.getStateAsync(`devices.${deviceId}.info.name`);
+            let deviceName = await this.stateManager.getStateAsync(`devices.${deviceId}.info.name`);
             deviceName = deviceName && deviceName.val ? deviceName.val : `Gerät ${deviceId}`;
 
-            switch (settingName) {
-                case 'temperatureCalibration':
-                    // UI sofort aktualisieren, um Flackern zu vermeiden
-                    await this.stateManager.updateUIState(
-                        `devices.${deviceId}.settings.temperatureCalibration`,
-                        parseInt(value),
-                    );
-
-                    this.adapter.log.debug(`Sende Temperaturkalibrierung an API: deviceId=${deviceId}, value=${value}`);
-                    try {
-                        await this.client.updateAdvancedSettings(deviceId, 0, deviceName, [
-                            [ADVANCED_SETTINGS_KEY.CALIBRATE_TEMP, parseInt(value)],
-                            [ADVANCED_SETTINGS_KEY.CALIBRATE_TEMP_F, parseInt(value)],
-                        ]);
-                        this.adapter.log.debug(`API-Antwort für Temperaturkalibrierung erfolgreich`);
-                    } catch (error) {
-                        this.adapter.log.error(`API-Fehler bei Temperaturkalibrierung: ${error.message}`);
-                        if (error.response) {
-                            this.adapter.log.error(`API-Antwort: ${JSON.stringify(error.response.data || {})}`);
-                        }
-                    }
-                    break;
-
-                case 'humidityCalibration':
-                    await this.stateManager.updateUIState(
-                        `devices.${deviceId}.settings.humidityCalibration`,
-                        parseInt(value),
-                    );
-
-                    this.adapter.log.debug(
-                        `Sende Feuchtigkeitskalibrierung an API: deviceId=${deviceId}, value=${value}`,
-                    );
-                    try {
-                        await this.client.updateAdvancedSettings(deviceId, 0, deviceName, [
-                            [ADVANCED_SETTINGS_KEY.CALIBRATE_HUMIDITY, parseInt(value)],
-                        ]);
-                        this.adapter.log.debug(`API-Antwort für Feuchtigkeitskalibrierung erfolgreich`);
-                    } catch (error) {
-                        this.adapter.log.error(`API-Fehler bei Feuchtigkeitskalibrierung: ${error.message}`);
-                        if (error.response) {
-                            this.adapter.log.error(`API-Antwort: ${JSON.stringify(error.response.data || {})}`);
-                        }
-                    }
-                    break;
-
-                case 'vpdLeafTemperatureOffset':
-                    await this.stateManager.updateUIState(
-                        `devices.${deviceId}.settings.vpdLeafTemperatureOffset`,
-                        parseInt(value),
-                    );
-
-                    this.adapter.log.debug(
-                        `Sende VPD-Blatttemperaturversatz an API: deviceId=${deviceId}, value=${value}`,
-                    );
-                    try {
-                        await this.client.updateAdvancedSettings(deviceId, 0, deviceName, [
-                            [ADVANCED_SETTINGS_KEY.VPD_LEAF_TEMP_OFFSET, parseInt(value)],
-                            [ADVANCED_SETTINGS_KEY.VPD_LEAF_TEMP_OFFSET_F, parseInt(value)],
-                        ]);
-                        this.adapter.log.debug(`API-Antwort für VPD-Blatttemperaturversatz erfolgreich`);
-                    } catch (error) {
-                        this.adapter.log.error(`API-Fehler bei VPD-Blatttemperaturversatz: ${error.message}`);
-                        if (error.response) {
-                            this.adapter.log.error(`API-Antwort: ${JSON.stringify(error.response.data || {})}`);
-                        }
-                    }
-                    break;
-
-                case 'outsideTemperature': {
-                    await this.stateManager.updateUIState(`devices.${deviceId}.settings.outsideTemperature`, value);
-
-                    const tempCompareIndex = OUTSIDE_CLIMATE_OPTIONS.indexOf(value);
-                    if (tempCompareIndex >= 0) {
-                        this.adapter.log.debug(
-                            `Sende Außentemperatureinstellung an API: deviceId=${deviceId}, value=${value}, index=${tempCompareIndex}`,
-                        );
-                        try {
-                            await this.client.updateAdvancedSettings(deviceId, 0, deviceName, [
-                                [ADVANCED_SETTINGS_KEY.OUTSIDE_TEMP_COMPARE, tempCompareIndex],
-                            ]);
-                            this.adapter.log.debug(`API-Antwort für Außentemperatureinstellung erfolgreich`);
-                        } catch (error) {
-                            this.adapter.log.error(`API-Fehler bei Außentemperatureinstellung: ${error.message}`);
-                            if (error.response) {
-                                this.adapter.log.error(`API-Antwort: ${JSON.stringify(error.response.data || {})}`);
-                            }
-                        }
-                    } else {
-                        this.adapter.log.warn(`Ungültiger Wert für Außentemperatur: ${value}`);
-                    }
-                    break;
-                }
-
-                case 'outsideHumidity': {
-                    await this.stateManager.updateUIState(`devices.${deviceId}.settings.outsideHumidity`, value);
-
-                    const humidityCompareIndex = OUTSIDE_CLIMATE_OPTIONS.indexOf(value);
-                    if (humidityCompareIndex >= 0) {
-                        this.adapter.log.debug(
-                            `Sende Außenfeuchtigkeitseinstellung an API: deviceId=${deviceId}, value=${value}, index=${humidityCompareIndex}`,
-                        );
-                        try {
-                            await this.client.updateAdvancedSettings(deviceId, 0, deviceName, [
-                                [ADVANCED_SETTINGS_KEY.OUTSIDE_HUMIDITY_COMPARE, humidityCompareIndex],
-                            ]);
-                            this.adapter.log.debug(`API-Antwort für Außenfeuchtigkeitseinstellung erfolgreich`);
-                        } catch (error) {
-                            this.adapter.log.error(`API-Fehler bei Außenfeuchtigkeitseinstellung: ${error.message}`);
-                            if (error.response) {
-                                this.adapter.log.error(`API-Antwort: ${JSON.stringify(error.response.data || {})}`);
-                            }
-                        }
-                    } else {
-                        this.adapter.log.warn(`Ungültiger Wert für Außenfeuchtigkeit: ${value}`);
-                    }
-                    break;
-                }
-
-                default:
-                    this.adapter.log.warn(`Unbekannte Geräteeinstellung: ${settingName}`);
+            // Aktuelle Temperatureinheit abrufen
+            const tempUnitState = await this.stateManager.getStateAsync(`devices.${deviceId}.settings.temperatureUnit`);
+            const isUnitC = tempUnitState && tempUnitState.val === 'C';
+
+            // UI sofort aktualisieren, um Flackern zu vermeiden
+            await this.stateManager.updateUIState(statePath, value);
+
+            try {
+                // Umrechnung und Bereichsprüfung laut State-Registry
+                const keyValues = toApiValues(entry, value, isUnitC);
+                this.adapter.log.debug(
+                    `Sende ${settingName} an API: deviceId=${deviceId}, ${JSON.stringify(keyValues)}`,
+                );
+                await this.client.updateAdvancedSettings(deviceId, 0, deviceName, keyValues);
+                await this.stateManager.updateState(statePath, value);
+            } catch (error) {
+                this.reportWriteError(`Geräteeinstellung ${settingName}`, error);
             }
 
             // Aktualisierung der Daten auslösen, um die Zustände zu aktualisieren
@@ -177,6 +81,32 @@ class DeviceSettingsHandler {
             this.adapter.log.error(`Fehler beim Aktualisieren der Geräteeinstellungen: ${error.message}`);
         }
     }
+
+    /**
+     * Protokolliert einen fehlgeschlagenen Schreibvorgang
+     * Der Zustand bleibt unbestätigt (ack=false), bis die nächste Abfrage den Cloud-Wert liefert
+     *
+     * @param {string} label - Bezeichnung der Einstellung
+     * @param {Error} error - Aufgetretener Fehler
+     */
+    reportWriteError(label, error) {
+        if (error instanceof AbortedError) {
+            this.adapter.log.debug(`${label} beim Beenden abgebrochen`);
+            return;
+        }
+        if (error instanceof ValidationError) {
+            this.adapter.log.warn(`Ungültiger Wert für ${label}: ${error.message}`);
+            return;
+        }
+        if (error instanceof WriteVerificationError) {
+            this.adapter.log.warn(`Cloud hat ${label} nicht übernommen: ${error.message}`);
+            return;
+        }
+        this.adapter.log.error(`API-Fehler bei ${label}: ${error.message}`);
+        if (error instanceof ApiError) {
+            this.adapter.log.error(`API-Antwort: code=${error.code}, msg=${error.msg}`);
+        }
+    }
 }
 
 module.exports = DeviceSettingsHandler;
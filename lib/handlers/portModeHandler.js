@@ -5,13 +5,15 @@
 
 'use strict';
 
-const {
-    MODE_OPTIONS,
-    SETTINGS_MODE_OPTIONS,
-    SCHEDULE_DISABLED_VALUE,
-    SCHEDULE_MIDNIGHT_VALUE,
-    SCHEDULE_EOD_VALUE,
-} = require('../constants');
+const { MODE_OPTIONS } = require('../constants');
+const { ApiError, NetworkError, ValidationError, WriteVerificationError, AbortedError } = require('../errors');
+const { SCOPE, findEntry, toApiValues } = require('../stateRegistry');
+
+// Categories whose sub-settings are collected per port and written as one payload
+const NESTED_CATEGORIES = ['timer', 'cycle', 'schedule', 'auto', 'vpd'];
+
+// Window in ms in which nested changes of a port are merged
+const NESTED_COALESCE_DELAY = 300;
 
 class PortModeHandler {
     constructor(stateManager) {
@@ -19,9 +21,19 @@ class PortModeHandler {
         this.adapter = stateManager.adapter;
         this.client = null;
 
-        // Debounce: pending timers and in-progress flags
+        // Debounce: pending updates (updateKey -> { timer, run }) and in-progress flags
         this.pendingUpdates = new Map();
         this.processingUpdates = new Map();
+
+        // Nested changes per port: portKey -> { deviceId, portId, timer, changes: Map<"category.setting", change> }
+        this.pendingNested = new Map();
+
+        // Last write per port, so writes to the same port never overlap
+        this.portWrites = new Map();
+
+        // Timers of the refreshes scheduled after writes
+        this.refreshTimers = new Set();
+        this.disposed = false;
     }
 
     setClient(client) {
@@ -47,6 +59,12 @@ class PortModeHandler {
 
             const normalizedDeviceId = String(deviceId);
             const normalizedPortId = Number(portId);
+
+            if (NESTED_CATEGORIES.includes(settingType) && path.length > 1) {
+                await this.queueNestedChange(normalizedDeviceId, normalizedPortId, settingType, path[1], value);
+                return;
+            }
+
             const updateKey = `${normalizedDeviceId}_${normalizedPortId}_${settingType}`;
 
             if (this.processingUpdates.has(updateKey)) {
@@ -55,36 +73,79 @@ class PortModeHandler {
             }
 
             if (this.pendingUpdates.has(updateKey)) {
-                clearTimeout(this.pendingUpdates.get(updateKey));
+                clearTimeout(this.pendingUpdates.get(updateKey).timer);
             }
 
-            const timerId = setTimeout(async () => {
+            const run = async () => {
                 try {
                     this.pendingUpdates.delete(updateKey);
                     this.processingUpdates.set(updateKey, true);
-                    await this.processPortModeUpdate(normalizedDeviceId, normalizedPortId, settingType, path, value);
+                    await this.runExclusive(`${normalizedDeviceId}_${normalizedPortId}`, () =>
+                        this.processPortModeUpdate(normalizedDeviceId, normalizedPortId, settingType, path, value),
+                    );
                 } catch (error) {
-                    this.adapter.log.error(`Fehler bei Update ${updateKey}: ${error.message}`);
+                    this.reportUpdateError(updateKey, error);
                 } finally {
                     this.processingUpdates.delete(updateKey);
                 }
-            }, 200);
+            };
+            const timer = setTimeout(run, 200);
 
-            this.pendingUpdates.set(updateKey, timerId);
+            this.pendingUpdates.set(updateKey, { timer, run });
         } catch (error) {
             this.adapter.log.error(`Fehler beim Port-Modus-Update: ${error.message}`);
         }
     }
 
+    /**
+     * Logs a failed update according to its error type
+     */
+    reportUpdateError(updateKey, error) {
+        if (error instanceof AbortedError) {
+            this.adapter.log.debug(`Update ${updateKey} beim Beenden abgebrochen`);
+        } else if (error instanceof ValidationError) {
+            this.adapter.log.warn(`Ungültiger Wert bei Update ${updateKey}: ${error.message}`);
+        } else if (error instanceof WriteVerificationError) {
+            // Zustand bleibt unbestätigt, die nächste Abfrage liefert den tatsächlichen Wert
+            this.adapter.log.warn(`Cloud hat Update ${updateKey} nicht übernommen: ${error.message}`);
+        } else if (error instanceof NetworkError) {
+            this.adapter.log.warn(`Cloud nicht erreichbar, Update ${updateKey} verworfen: ${error.message}`);
+        } else if (error instanceof ApiError) {
+            this.adapter.log.error(
+                `API-Fehler bei Update ${updateKey}: ${error.message} (code=${error.code}, msg=${error.msg})`,
+            );
+        } else {
+            this.adapter.log.error(`Fehler bei Update ${updateKey}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Runs a write after all earlier writes to the same port have finished
+     */
+    async runExclusive(portKey, task) {
+        const previous = this.portWrites.get(portKey) || Promise.resolve();
+        const current = previous.catch(() => {}).then(task);
+        this.portWrites.set(portKey, current);
+        try {
+            return await current;
+        } finally {
+            if (this.portWrites.get(portKey) === current) {
+                this.portWrites.delete(portKey);
+            }
+        }
+    }
+
     /**
      * Reads current onSpeed and offSpeed from ioBroker states
      */
     async getCurrentSpeeds(deviceId, portId) {
-        const onSpeedState = await this.adapter.getStateAsync(`devices.${deviceId}.ports.${portId}.mode.onSpeed`);
+        const onSpeedState = await this.stateManager.getStateAsync(`devices.${deviceId}.ports.${portId}.mode.onSpeed`);
         const onSpeed =
             onSpeedState && typeof onSpeedState.val === 'number' && onSpeedState.val > 0 ? onSpeedState.val : 3;
 
-        const offSpeedState = await this.adapter.getStateAsync(`devices.${deviceId}.ports.${portId}.mode.offSpeed`);
+        const offSpeedState = await this.stateManager.getStateAsync(
+            `devices.${deviceId}.ports.${portId}.mode.offSpeed`,
+        );
         const offSpeed = offSpeedState && typeof offSpeedState.val === 'number' ? offSpeedState.val : 0;
 
         return { onSpeed, offSpeed };
@@ -94,7 +155,7 @@ class PortModeHandler {
      * Reads current active mode atType from ioBroker state
      */
     async getCurrentAtType(deviceId, portId) {
-        const modeState = await this.adapter.getStateAsync(`devices.${deviceId}.ports.${portId}.mode.active`);
+        const modeState = await this.stateManager.getStateAsync(`devices.${deviceId}.ports.${portId}.mode.active`);
         const modeName = modeState ? modeState.val : 'On';
         const modeIndex = MODE_OPTIONS.indexOf(modeName);
         return modeIndex >= 0 ? modeIndex + 1 : 2; // fallback: On (2)
@@ -106,7 +167,7 @@ class PortModeHandler {
     async processPortModeUpdate(deviceId, portId, settingType, path, value) {
         // Skip if state is already confirmed with this value
         const currentStateId = `devices.${deviceId}.ports.${portId}.mode.${settingType}`;
-        const currentState = await this.adapter.getStateAsync(currentStateId);
+        const currentState = await this.stateManager.getStateAsync(currentStateId);
         if (currentState && currentState.val === value && currentState.ack) {
             this.adapter.log.debug(`Überspringe bereits bestätigtes Update: ${currentStateId}`);
             return;
@@ -126,17 +187,70 @@ class PortModeHandler {
                 break;
 
             default:
-                if (['timer', 'cycle', 'schedule', 'auto', 'vpd'].includes(settingType) && path.length > 1) {
-                    await this.handleNestedPortSettingsChange(deviceId, portId, settingType, path.slice(1), value);
-                } else {
-                    this.adapter.log.warn(`Unbekannter Port-Modus-Einstellungstyp: ${settingType}`);
-                }
+                this.adapter.log.warn(`Unbekannter Port-Modus-Einstellungstyp: ${settingType}`);
         }
 
-        // Trigger a throttled data refresh after write
-        setTimeout(() => {
+        this.scheduleRefresh();
+    }
+
+    /**
+     * Triggers a throttled data refresh shortly after a write
+     */
+    scheduleRefresh() {
+        if (this.disposed) {
+            return;
+        }
+        const timer = setTimeout(() => {
+            this.refreshTimers.delete(timer);
             this.stateManager.refreshWithThrottle();
         }, 1000);
+        this.refreshTimers.add(timer);
+    }
+
+    /**
+     * Sends all debounced and collected changes right away and waits for all running writes
+     * Used on shutdown, so a command given just before a restart is not lost.
+     *
+     * @returns {Promise<void>}
+     */
+    async flushPending() {
+        const writes = [];
+        for (const { timer, run } of this.pendingUpdates.values()) {
+            clearTimeout(timer);
+            writes.push(run());
+        }
+        for (const [portKey, batch] of this.pendingNested) {
+            clearTimeout(batch.timer);
+            writes.push(this.flushBatch(portKey, batch));
+        }
+        writes.push(...this.portWrites.values());
+        // Fehler wurden bereits von den einzelnen Updates protokolliert
+        await Promise.all(writes.map(write => write.catch(() => {})));
+    }
+
+    /**
+     * Cancels all debounced changes and scheduled refreshes
+     *
+     * @returns {number} - Number of changes that were not sent
+     */
+    dispose() {
+        this.disposed = true;
+        let dropped = 0;
+        for (const { timer } of this.pendingUpdates.values()) {
+            clearTimeout(timer);
+            dropped++;
+        }
+        for (const batch of this.pendingNested.values()) {
+            clearTimeout(batch.timer);
+            dropped += batch.changes.size;
+        }
+        for (const timer of this.refreshTimers) {
+            clearTimeout(timer);
+        }
+        this.pendingUpdates.clear();
+        this.pendingNested.clear();
+        this.refreshTimers.clear();
+        return dropped;
     }
 
     /**
@@ -164,13 +278,15 @@ class PortModeHandler {
         try {
             const success = await this.client.setDeviceMode(deviceId, portId, atType, onSpeed, offSpeed);
             if (success) {
-                await this.adapter.setStateAsync(`devices.${deviceId}.ports.${portId}.mode.active`, {
+                await this.stateManager.setStateAsync(`devices.${deviceId}.ports.${portId}.mode.active`, {
                     val: modeName,
                     ack: true,
                 });
             }
         } catch (error) {
-            this.adapter.log.error(`Fehler beim Modus-Wechsel: ${error.message}`);
+            if (!(error instanceof AbortedError)) {
+                this.adapter.log.error(`Fehler beim Modus-Wechsel: ${error.message}`);
+            }
             throw error;
         }
     }
@@ -195,13 +311,15 @@ class PortModeHandler {
         try {
             const success = await this.client.setDeviceMode(deviceId, portId, atType, speedValue, offSpeed);
             if (success) {
-                await this.adapter.setStateAsync(`devices.${deviceId}.ports.${portId}.mode.onSpeed`, {
+                await this.stateManager.setStateAsync(`devices.${deviceId}.ports.${portId}.mode.onSpeed`, {
                     val: speedValue,
                     ack: true,
                 });
             }
         } catch (error) {
-            this.adapter.log.error(`Fehler beim onSpeed-Wechsel: ${error.message}`);
+            if (!(error instanceof AbortedError)) {
+                this.adapter.log.error(`Fehler beim onSpeed-Wechsel: ${error.message}`);
+            }
             throw error;
         }
     }
@@ -226,225 +344,131 @@ class PortModeHandler {
         try {
             const success = await this.client.setDeviceMode(deviceId, portId, atType, onSpeed, speedValue);
             if (success) {
-                await this.adapter.setStateAsync(`devices.${deviceId}.ports.${portId}.mode.offSpeed`, {
+                await this.stateManager.setStateAsync(`devices.${deviceId}.ports.${portId}.mode.offSpeed`, {
                     val: speedValue,
                     ack: true,
                 });
             }
         } catch (error) {
-            this.adapter.log.error(`Fehler beim offSpeed-Wechsel: ${error.message}`);
+            if (!(error instanceof AbortedError)) {
+                this.adapter.log.error(`Fehler beim offSpeed-Wechsel: ${error.message}`);
+            }
             throw error;
         }
     }
 
     /**
-     * Handles nested settings (timer/cycle/schedule/auto/vpd sub-parameters)
+     * Collects a nested setting (timer/cycle/schedule/auto/vpd sub-parameter) for its port.
+     * All changes of a port within NESTED_COALESCE_DELAY are sent as one addDevMode write.
      */
-    async handleNestedPortSettingsChange(deviceId, portId, category, path, value) {
-        if (path.length < 1) {
-            this.adapter.log.warn(`Ungültiger Pfad für verschachtelte Einstellung: ${category}`);
-            return;
+    async queueNestedChange(deviceId, portId, category, setting, value) {
+        const portKey = `${deviceId}_${portId}`;
+        let batch = this.pendingNested.get(portKey);
+        if (!batch) {
+            batch = { deviceId, portId, timer: null, changes: new Map() };
+            this.pendingNested.set(portKey, batch);
         }
 
-        const setting = path[0];
-        const statePath = `devices.${deviceId}.ports.${portId}.mode.${category}.${setting}`;
-
-        await this.stateManager.updateUIState(statePath, value);
+        // Spätere Änderungen derselben Einstellung ersetzen frühere
+        batch.changes.set(`${category}.${setting}`, { category, setting, value });
+        await this.stateManager.updateUIState(`devices.${deviceId}.ports.${portId}.mode.${category}.${setting}`, value);
 
-        // Fetch current settings once, apply modification in-place, send
-        const currentSettings = await this.client.getDeviceModeSettings(deviceId, portId);
-
-        delete currentSettings.devMacAddr;
-        delete currentSettings.ipcSetting;
-        delete currentSettings.devSetting;
-
-        this.adapter.log.debug(`Verarbeite ${category}.${setting} = ${value}`);
-
-        switch (category) {
-            case 'timer':
-                this.applyTimerSetting(currentSettings, setting, value);
-                break;
-            case 'cycle':
-                this.applyCycleSetting(currentSettings, setting, value);
-                break;
-            case 'schedule':
-                this.applyScheduleSetting(currentSettings, setting, value);
-                break;
-            case 'auto':
-                this.applyAutoSetting(currentSettings, setting, value);
-                break;
-            case 'vpd':
-                this.applyVpdSetting(currentSettings, setting, value);
-                break;
-            default:
-                this.adapter.log.warn(`Unbekannte Kategorie: ${category}`);
-                return;
-        }
-
-        try {
-            await this.client.updateDeviceModeSettings(deviceId, portId, Object.entries(currentSettings));
-            this.adapter.log.debug(`${category}.${setting} erfolgreich gesetzt`);
-        } catch (apiError) {
-            this.adapter.log.error(`API-Fehler bei ${category}.${setting}: ${apiError.message}`);
-        }
+        clearTimeout(batch.timer);
+        batch.timer = setTimeout(() => this.flushBatch(portKey, batch), NESTED_COALESCE_DELAY);
     }
 
-    // ── Timer ────────────────────────────────────────────────────────────────
-
-    applyTimerSetting(settings, setting, value) {
-        switch (setting) {
-            case 'toOnMinutes':
-                settings.acitveTimerOn = parseInt(value) * 60;
-                break;
-            case 'toOffMinutes':
-                settings.acitveTimerOff = parseInt(value) * 60;
-                break;
-            default:
-                this.adapter.log.warn(`Unbekannte Timer-Einstellung: ${setting}`);
-        }
+    /**
+     * Writes the collected nested changes of a port
+     *
+     * @param {string} portKey - Port key "deviceId_portId"
+     * @param {{deviceId: string, portId: number, changes: Map<string, object>}} batch - Collected changes of the port
+     * @returns {Promise<void>}
+     */
+    flushBatch(portKey, batch) {
+        this.pendingNested.delete(portKey);
+        return this.runExclusive(portKey, () =>
+            this.flushNestedChanges(batch.deviceId, batch.portId, [...batch.changes.values()]),
+        )
+            .then(() => this.scheduleRefresh())
+            .catch(error => this.reportUpdateError(`${portKey}_${[...batch.changes.keys()].join(',')}`, error));
     }
 
-    // ── Cycle ─────────────────────────────────────────────────────────────────
+    /**
+     * Merges collected nested settings into one override set and writes it
+     */
+    async flushNestedChanges(deviceId, portId, changes) {
+        const overrides = {};
+        const applied = [];
+        for (const change of changes) {
+            this.adapter.log.debug(`Verarbeite ${change.category}.${change.setting} = ${change.value}`);
+            if (this.applyNestedSetting(overrides, change.category, change.setting, change.value)) {
+                applied.push(change);
+            }
+        }
 
-    applyCycleSetting(settings, setting, value) {
-        switch (setting) {
-            case 'onMinutes':
-                settings.activeCycleOn = parseInt(value) * 60;
-                break;
-            case 'offMinutes':
-                settings.activeCycleOff = parseInt(value) * 60;
-                break;
-            default:
-                this.adapter.log.warn(`Unbekannte Zyklus-Einstellung: ${setting}`);
+        if (applied.length === 0) {
+            return;
         }
-    }
 
-    // ── Schedule ──────────────────────────────────────────────────────────────
+        this.adapter.log.info(
+            `Einstellungs-Update: Gerät=${deviceId}, Port=${portId}, ${applied.map(c => `${c.category}.${c.setting}`).join(', ')}`,
+        );
 
-    applyScheduleSetting(settings, setting, value) {
-        switch (setting) {
-            case 'startEnabled':
-                settings.schedStartTime = value ? SCHEDULE_MIDNIGHT_VALUE : SCHEDULE_DISABLED_VALUE;
-                break;
-            case 'endEnabled':
-                settings.schedEndtTime = value ? SCHEDULE_EOD_VALUE : SCHEDULE_DISABLED_VALUE;
-                break;
-            case 'startTime': {
-                const parts = String(value).split(':');
-                if (parts.length === 2) {
-                    settings.schedStartTime = parseInt(parts[0]) * 60 + parseInt(parts[1]);
-                } else {
-                    this.adapter.log.warn(`Ungültiges Zeitformat: ${value}`);
-                }
-                break;
-            }
-            case 'endTime': {
-                const parts = String(value).split(':');
-                if (parts.length === 2) {
-                    settings.schedEndtTime = parseInt(parts[0]) * 60 + parseInt(parts[1]);
-                } else {
-                    this.adapter.log.warn(`Ungültiges Zeitformat: ${value}`);
-                }
-                break;
+        try {
+            await this.client.updateDeviceModeSettings(deviceId, portId, Object.entries(overrides));
+        } catch (error) {
+            if (!(error instanceof ApiError)) {
+                throw error;
             }
-            default:
-                this.adapter.log.warn(`Unbekannte Zeitplan-Einstellung: ${setting}`);
+            this.adapter.log.error(
+                `API-Fehler bei Einstellungs-Update: ${error.message} (code=${error.code}, msg=${error.msg})`,
+            );
+            // Die unbestätigten Werte durch die der Cloud ersetzen; ohne await, damit der Port nicht gesperrt bleibt
+            this.stateManager
+                .refresh({ deviceId, portId })
+                .catch(refreshError =>
+                    this.adapter.log.warn(`Fehler beim Neuladen von Port ${portId}: ${refreshError.message}`),
+                );
+            return;
         }
-    }
 
-    // ── Auto ──────────────────────────────────────────────────────────────────
-
-    applyAutoSetting(settings, setting, value) {
-        switch (setting) {
-            case 'settingsMode': {
-                const idx = SETTINGS_MODE_OPTIONS.indexOf(value);
-                if (idx >= 0) {
-                    settings.settingMode = idx;
-                }
-                break;
-            }
-            case 'tempHighEnabled':
-                settings.activeHt = value ? 1 : 0;
-                break;
-            case 'tempHighTrigger': {
-                const c = parseInt(value);
-                settings.devHt = c;
-                settings.devHtf = Math.round(c * 1.8 + 32);
-                break;
-            }
-            case 'tempLowEnabled':
-                settings.activeLt = value ? 1 : 0;
-                break;
-            case 'tempLowTrigger': {
-                const c = parseInt(value);
-                settings.devLt = c;
-                settings.devLtf = Math.round(c * 1.8 + 32);
-                break;
-            }
-            case 'humidityHighEnabled':
-                settings.activeHh = value ? 1 : 0;
-                break;
-            case 'humidityHighTrigger':
-                settings.devHh = parseInt(value);
-                break;
-            case 'humidityLowEnabled':
-                settings.activeLh = value ? 1 : 0;
-                break;
-            case 'humidityLowTrigger':
-                settings.devLh = parseInt(value);
-                break;
-            case 'targetTempEnabled':
-                settings.targetTSwitch = value ? 1 : 0;
-                break;
-            case 'targetTemp': {
-                const c = parseInt(value);
-                settings.targetTemp = c;
-                settings.targetTempF = Math.round(c * 1.8 + 32);
-                break;
-            }
-            case 'targetHumidityEnabled':
-                settings.targetHumiSwitch = value ? 1 : 0;
-                break;
-            case 'targetHumidity':
-                settings.targetHumi = parseInt(value);
-                break;
-            default:
-                this.adapter.log.warn(`Unbekannte Auto-Einstellung: ${setting}`);
+        for (const { category, setting, value } of applied) {
+            await this.stateManager.updateState(
+                `devices.${deviceId}.ports.${portId}.mode.${category}.${setting}`,
+                value,
+            );
         }
+        this.adapter.log.debug(`${applied.length} Einstellung(en) erfolgreich gesetzt`);
     }
 
-    // ── VPD ───────────────────────────────────────────────────────────────────
-
-    applyVpdSetting(settings, setting, value) {
-        switch (setting) {
-            case 'settingsMode': {
-                const idx = SETTINGS_MODE_OPTIONS.indexOf(value);
-                if (idx >= 0) {
-                    settings.vpdSettingMode = idx;
-                }
-                break;
+    /**
+     * Applies one nested setting to the override set, converted as declared in the state registry
+     *
+     * @param {object} settings - Override set (API field -> value)
+     * @param {string} category - Mode category (timer, cycle, schedule, auto, vpd)
+     * @param {string} setting - Setting within the category
+     * @param {any} value - New state value
+     * @returns {boolean} - False if the setting is unknown or the value invalid
+     */
+    applyNestedSetting(settings, category, setting, value) {
+        const entry = findEntry(SCOPE.PORT, `mode.${category}.${setting}`);
+        if (!entry) {
+            this.adapter.log.warn(`Unbekannte Einstellung: ${category}.${setting}`);
+            return false;
+        }
+        try {
+            // Auto-Temperaturen sind immer in °C, die Einheit des Controllers spielt keine Rolle
+            for (const [key, apiValue] of toApiValues(entry, value, true)) {
+                settings[key] = apiValue;
             }
-            case 'highEnabled':
-                settings.activeHtVpd = value ? 1 : 0;
-                break;
-            case 'highTrigger':
-                settings.activeHtVpdNums = Math.round(parseFloat(value) * 10);
-                break;
-            case 'lowEnabled':
-                settings.activeLtVpd = value ? 1 : 0;
-                break;
-            case 'lowTrigger':
-                settings.activeLtVpdNums = Math.round(parseFloat(value) * 10);
-                break;
-            case 'targetEnabled':
-                settings.targetVpdSwitch = value ? 1 : 0;
-                break;
-            case 'target':
-                settings.targetVpd = Math.round(parseFloat(value) * 10);
-                break;
-            default:
-                this.adapter.log.warn(`Unbekannte VPD-Einstellung: ${setting}`);
+        } catch (error) {
+            if (!(error instanceof ValidationError)) {
+                throw error;
+            }
+            this.adapter.log.warn(`Ungültiger Wert für ${category}.${setting}: ${error.message}`);
+            return false;
         }
+        return true;
     }
 }
 
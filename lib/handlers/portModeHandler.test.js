@@ -0,0 +1,160 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const PortModeHandler = require('./portModeHandler');
+const { ApiError } = require('../errors');
+
+/**
+ * Builds a state manager stub for the handler
+ *
+ * @returns {object} - State manager stub with sinon stubs for the methods the handler calls
+ */
+function fakeStateManager() {
+    return {
+        adapter: { log: { silly() {}, debug() {}, info() {}, warn() {}, error() {} } },
+        updateUIState: sinon.stub().resolves(),
+        updateState: sinon.stub().resolves(),
+        getStateAsync: sinon.stub().resolves(null),
+        refresh: sinon.stub().resolves(),
+        refreshWithThrottle: sinon.stub().resolves(),
+    };
+}
+
+/**
+ * Returns a promise together with the function that resolves it
+ *
+ * @returns {{promise: Promise<void>, resolve: () => void}} - Deferred promise
+ */
+function deferred() {
+    let resolve;
+    const promise = new Promise(res => {
+        resolve = res;
+    });
+    return { promise, resolve };
+}
+
+describe('PortModeHandler', () => {
+    let clock;
+    let stateManager;
+    let client;
+    let handler;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers({ now: 1000000 });
+        stateManager = fakeStateManager();
+        client = { updateDeviceModeSettings: sinon.stub().resolves(true) };
+        handler = new PortModeHandler(stateManager);
+        handler.setClient(client);
+    });
+
+    afterEach(() => {
+        handler.dispose();
+        clock.restore();
+    });
+
+    describe('nested settings', () => {
+        it('shows the new values right away and writes them once per port', async () => {
+            await handler.handlePortModeChange('1', 2, ['timer', 'toOnMinutes'], 10);
+            await handler.handlePortModeChange('1', 2, ['timer', 'toOffMinutes'], 5);
+            await handler.handlePortModeChange('1', 2, ['timer', 'toOnMinutes'], 15);
+
+            expect(stateManager.updateUIState.args.map(args => args[1])).to.deep.equal([10, 5, 15]);
+            expect(client.updateDeviceModeSettings.called).to.equal(false);
+
+            await clock.tickAsync(300);
+
+            expect(client.updateDeviceModeSettings.calledOnce).to.equal(true);
+            expect(client.updateDeviceModeSettings.firstCall.args).to.deep.equal([
+                '1',
+                2,
+                [
+                    ['acitveTimerOn', 900],
+                    ['acitveTimerOff', 300],
+                ],
+            ]);
+            expect(stateManager.updateState.args).to.deep.equal([
+                ['devices.1.ports.2.mode.timer.toOnMinutes', 15],
+                ['devices.1.ports.2.mode.timer.toOffMinutes', 5],
+            ]);
+        });
+
+        it('restarts the coalescing window with every change', async () => {
+            await handler.handlePortModeChange('1', 2, ['timer', 'toOnMinutes'], 10);
+            await clock.tickAsync(200);
+            await handler.handlePortModeChange('1', 2, ['cycle', 'onMinutes'], 3);
+            await clock.tickAsync(200);
+            expect(client.updateDeviceModeSettings.called).to.equal(false);
+
+            await clock.tickAsync(100);
+            expect(client.updateDeviceModeSettings.calledOnce).to.equal(true);
+        });
+
+        it('writes different ports separately', async () => {
+            await handler.handlePortModeChange('1', 1, ['timer', 'toOnMinutes'], 10);
+            await handler.handlePortModeChange('1', 2, ['timer', 'toOnMinutes'], 20);
+            await clock.tickAsync(300);
+
+            expect(client.updateDeviceModeSettings.args.map(args => args.slice(0, 2))).to.deep.equal([
+                ['1', 1],
+                ['1', 2],
+            ]);
+        });
+
+        it('starts a write to a port only after the previous one finished', async () => {
+            const first = deferred();
+            client.updateDeviceModeSettings.onFirstCall().returns(first.promise);
+
+            await handler.handlePortModeChange('1', 2, ['timer', 'toOnMinutes'], 10);
+            await clock.tickAsync(300);
+            await handler.handlePortModeChange('1', 2, ['timer', 'toOnMinutes'], 20);
+            await clock.tickAsync(300);
+            expect(client.updateDeviceModeSettings.calledOnce).to.equal(true);
+
+            first.resolve();
+            await clock.tickAsync(0);
+            expect(client.updateDeviceModeSettings.calledTwice).to.equal(true);
+            expect(client.updateDeviceModeSettings.secondCall.args[2]).to.deep.equal([['acitveTimerOn', 1200]]);
+        });
+
+        it('reads the port again when the cloud rejects the write', async () => {
+            client.updateDeviceModeSettings.rejects(new ApiError('rejected', { code: 500 }));
+
+            await handler.handlePortModeChange('1', 2, ['timer', 'toOnMinutes'], 10);
+            await clock.tickAsync(300);
+
+            expect(stateManager.updateState.called).to.equal(false);
+            expect(stateManager.refresh.calledOnceWith({ deviceId: '1', portId: 2 })).to.equal(true);
+        });
+
+        it('skips invalid values without writing', async () => {
+            await handler.handlePortModeChange('1', 2, ['timer', 'toOnMinutes'], 5000);
+            await clock.tickAsync(300);
+
+            expect(client.updateDeviceModeSettings.called).to.equal(false);
+        });
+    });
+
+    describe('shutdown', () => {
+        it('sends collected changes right away on flushPending()', async () => {
+            await handler.handlePortModeChange('1', 2, ['timer', 'toOnMinutes'], 10);
+
+            await handler.flushPending();
+
+            expect(client.updateDeviceModeSettings.calledOnce).to.equal(true);
+            expect(handler.pendingNested.size).to.equal(0);
+        });
+
+        it('drops collected changes on dispose() and counts them', async () => {
+            await handler.handlePortModeChange('1', 1, ['timer', 'toOnMinutes'], 10);
+            await handler.handlePortModeChange('1', 1, ['timer', 'toOffMinutes'], 5);
+            await handler.handlePortModeChange('1', 2, ['timer', 'toOnMinutes'], 20);
+
+            expect(handler.dispose()).to.equal(3);
+            await clock.tickAsync(5000);
+
+            expect(client.updateDeviceModeSettings.called).to.equal(false);
+            expect(stateManager.refreshWithThrottle.called).to.equal(false);
+        });
+    });
+});
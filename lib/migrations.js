@@ -0,0 +1,203 @@
+/**
+ * Object schema migrations
+ * Brings the object tree of an account from older adapter releases to the current layout
+ */
+
+'use strict';
+
+// Ordered migration steps; a step runs once when the stored schema version is below its version.
+// Patterns are matched against object IDs below the account root (e.g. "devices.123.ports.1.mode.active").
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Remove the offSpeed cache states that are no longer written',
+        run: migrator => migrator.deleteStates(/^devices\.[^.]+\.ports\.\d+\.mode\.offSpeedCache$/),
+    },
+    {
+        version: 2,
+        description: 'Rename info.deviceTypeDescription to info.model',
+        run: migrator =>
+            migrator.renameStates(
+                /^devices\.[^.]+\.info\.deviceTypeDescription$/,
+                id => id.replace(/deviceTypeDescription$/, 'model'),
+                { name: 'Modell' },
+            ),
+    },
+    {
+        version: 3,
+        description: 'Use the info roles for MAC address, firmware and hardware version',
+        run: async migrator => {
+            await migrator.updateStates(/^devices\.[^.]+\.info\.mac$/, { role: 'info.mac' });
+            await migrator.updateStates(/^devices\.[^.]+\.info\.firmware$/, { role: 'info.firmware' });
+            await migrator.updateStates(/^devices\.[^.]+\.info\.hardware$/, { role: 'info.hardware' });
+        },
+    },
+];
+
+// Schema version of the object tree this release creates
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+class Migrator {
+    /**
+     * Creates a new migrator for the object tree of one account
+     *
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {object} [options] - Migrator options
+     * @param {string} [options.root] - Prefix of all object IDs of the account (e.g. "accounts.greenhouse.")
+     * @param {object} [options.log] - Logger, defaults to the adapter log
+     * @param {Array<{version: number, description: string, run: (migrator: Migrator) => Promise<any>}>} [options.migrations] - Steps to apply, ordered by version
+     */
+    constructor(adapter, options = {}) {
+        this.adapter = adapter;
+        this.root = options.root || '';
+        this.log = options.log || adapter.log;
+        this.migrations = options.migrations || MIGRATIONS;
+    }
+
+    /**
+     * Applies all steps newer than the stored schema version
+     * The version is stored after every step, so a failed step is retried with the next start
+     * and the steps before it are not repeated.
+     *
+     * @returns {Promise<number>} - Schema version of the object tree afterwards
+     */
+    async run() {
+        const state = await this.adapter.getStateAsync(`${this.root}info.schemaVersion`);
+        let version = state && typeof state.val === 'number' ? state.val : 0;
+
+        for (const migration of this.migrations) {
+            if (migration.version <= version) {
+                continue;
+            }
+            this.log.info(`Migrating objects to schema version ${migration.version}: ${migration.description}`);
+            try {
+                await migration.run(this);
+            } catch (error) {
+                this.log.error(`Migration to schema version ${migration.version} failed: ${error.message}`);
+                break;
+            }
+            version = migration.version;
+            await this.adapter.setStateAsync(`${this.root}info.schemaVersion`, { val: version, ack: true });
+        }
+        return version;
+    }
+
+    /**
+     * Lists the state objects of the account whose ID matches a pattern
+     *
+     * @param {RegExp} pattern - Pattern for the ID below the account root
+     * @returns {Promise<Array<{id: string, obj: object}>>} - Matching objects with their ID below the account root
+     */
+    async findStates(pattern) {
+        const prefix = `${this.adapter.namespace}.${this.root}`;
+        const view = await this.adapter.getObjectViewAsync('system', 'state', {
+            startkey: `${prefix}devices.`,
+            endkey: `${prefix}devices.\u9999`,
+        });
+        const result = [];
+        for (const row of view.rows) {
+            const id = row.id.slice(prefix.length);
+            if (pattern.test(id) && row.value) {
+                result.push({ id, obj: row.value });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Deletes all states matching a pattern
+     *
+     * @param {RegExp} pattern - Pattern for the ID below the account root
+     * @returns {Promise<void>}
+     */
+    async deleteStates(pattern) {
+        for (const { id } of await this.findStates(pattern)) {
+            await this.adapter.delObjectAsync(`${this.root}${id}`);
+            this.log.debug(`Deleted obsolete state ${id}`);
+        }
+    }
+
+    /**
+     * Moves states to a new ID together with their value and history settings
+     * History data stays under the old ID: the history instances keep writing to it through their alias ID.
+     *
+     * @param {RegExp} pattern - Pattern for the ID below the account root
+     * @param {(id: string) => string} rename - Returns the new ID below the account root
+     * @param {object} [common] - Common properties to change on the way
+     * @returns {Promise<void>}
+     */
+    async renameStates(pattern, rename, common = {}) {
+        for (const { id, obj } of await this.findStates(pattern)) {
+            const newId = rename(id);
+            if (!(await this.adapter.getObjectAsync(`${this.root}${newId}`))) {
+                await this.adapter.setObjectAsync(`${this.root}${newId}`, {
+                    type: obj.type,
+                    common: {
+                        ...obj.common,
+                        ...common,
+                        custom: Migrator.keepHistory(obj.common.custom, `${this.adapter.namespace}.${this.root}${id}`),
+                    },
+                    native: obj.native || {},
+                });
+                const state = await this.adapter.getStateAsync(`${this.root}${id}`);
+                if (state) {
+                    await this.adapter.setStateAsync(`${this.root}${newId}`, {
+                        val: state.val,
+                        ack: state.ack,
+                        ts: state.ts,
+                        q: state.q,
+                    });
+                }
+            }
+            await this.adapter.delObjectAsync(`${this.root}${id}`);
+            this.log.debug(`Renamed state ${id} to ${newId}`);
+        }
+    }
+
+    /**
+     * Changes common properties of states, e.g. role, unit or type
+     * The ID stays the same, so history data is kept.
+     *
+     * @param {RegExp} pattern - Pattern for the ID below the account root
+     * @param {object} common - Common properties to set
+     * @param {(val: any) => any} [convert] - Converts the current value, e.g. after a type change
+     * @returns {Promise<void>}
+     */
+    async updateStates(pattern, common, convert) {
+        for (const { id, obj } of await this.findStates(pattern)) {
+            const changed = Object.keys(common).some(key => obj.common[key] !== common[key]);
+            if (changed) {
+                await this.adapter.extendObjectAsync(`${this.root}${id}`, { common });
+            }
+            if (convert) {
+                const state = await this.adapter.getStateAsync(`${this.root}${id}`);
+                if (state && state.val !== null) {
+                    await this.adapter.setStateAsync(`${this.root}${id}`, { val: convert(state.val), ack: true });
+                }
+            }
+        }
+    }
+
+    /**
+     * Points the history settings of a renamed state at the series of its old ID
+     *
+     * @param {object|undefined} custom - common.custom of the old object, if any
+     * @param {string} oldId - Full ID of the old object
+     * @returns {object|undefined} - common.custom for the new object
+     */
+    static keepHistory(custom, oldId) {
+        if (!custom) {
+            return undefined;
+        }
+        const result = {};
+        for (const [instance, settings] of Object.entries(custom)) {
+            result[instance] =
+                settings && settings.enabled ? { ...settings, aliasId: settings.aliasId || oldId } : settings;
+        }
+        return result;
+    }
+}
+
+module.exports = Migrator;
+module.exports.MIGRATIONS = MIGRATIONS;
+module.exports.SCHEMA_VERSION = SCHEMA_VERSION;
@@ -0,0 +1,219 @@
+'use strict';
+
+const { expect } = require('chai');
+const Migrator = require('./migrations');
+const { SCHEMA_VERSION } = require('./migrations');
+
+const NAMESPACE = 'acinfinity.0';
+const DEVICE = 'devices.123';
+
+/**
+ * In-memory object and state database with the adapter methods the migrator uses
+ * IDs passed to the methods are relative to the namespace, as with a real adapter.
+ */
+class FakeAdapter {
+    /**
+     * Creates a new fake adapter
+     *
+     * @param {{[id: string]: object}} objects - Objects by ID relative to the namespace
+     * @param {{[id: string]: object}} [states] - States by ID relative to the namespace
+     */
+    constructor(objects, states = {}) {
+        this.namespace = NAMESPACE;
+        this.log = { debug() {}, info() {}, warn() {}, error() {} };
+        this.objects = new Map(Object.entries(objects).map(([id, obj]) => [id, structuredClone(obj)]));
+        this.states = new Map(Object.entries(states));
+        this.writes = 0;
+    }
+
+    async getObjectViewAsync(design, type, { startkey, endkey }) {
+        const rows = [];
+        for (const [id, obj] of this.objects) {
+            const fullId = `${NAMESPACE}.${id}`;
+            if (obj.type === type && fullId >= startkey && fullId <= endkey) {
+                rows.push({ id: fullId, value: structuredClone(obj) });
+            }
+        }
+        return { rows };
+    }
+
+    async getObjectAsync(id) {
+        return this.objects.has(id) ? structuredClone(this.objects.get(id)) : null;
+    }
+
+    async setObjectAsync(id, obj) {
+        this.writes++;
+        this.objects.set(id, structuredClone(obj));
+    }
+
+    async extendObjectAsync(id, obj) {
+        this.writes++;
+        const existing = this.objects.get(id);
+        this.objects.set(id, { ...existing, common: { ...existing.common, ...obj.common } });
+    }
+
+    async delObjectAsync(id) {
+        this.writes++;
+        this.objects.delete(id);
+        this.states.delete(id);
+    }
+
+    async getStateAsync(id) {
+        return this.states.has(id) ? { ...this.states.get(id) } : null;
+    }
+
+    async setStateAsync(id, state) {
+        this.states.set(id, { ...state });
+    }
+}
+
+/**
+ * Builds a state object
+ *
+ * @param {object} common - Common properties besides type and read/write
+ * @returns {object} - State object
+ */
+function stateObject(common) {
+    return { type: 'state', common: { type: 'string', read: true, write: false, ...common }, native: {} };
+}
+
+/**
+ * Object tree of release 1.x, before any migration
+ *
+ * @returns {{[id: string]: object}} - Objects by ID
+ */
+function legacyObjects() {
+    return {
+        [`${DEVICE}.ports.1.mode.offSpeedCache`]: stateObject({ name: 'Off speed cache', type: 'number' }),
+        [`${DEVICE}.ports.1.mode.onSpeed`]: stateObject({ name: 'On speed', type: 'number', write: true }),
+        [`${DEVICE}.info.deviceTypeDescription`]: stateObject({
+            name: 'Device type',
+            role: 'text',
+            custom: {
+                'history.0': { enabled: true, changesOnly: true },
+                'influxdb.0': { enabled: false },
+            },
+        }),
+        [`${DEVICE}.info.mac`]: stateObject({ name: 'MAC', role: 'text' }),
+        [`${DEVICE}.info.firmware`]: stateObject({
+            name: 'Firmware',
+            role: 'text',
+            custom: { 'history.0': { enabled: true } },
+        }),
+        [`${DEVICE}.info.hardware`]: stateObject({ name: 'Hardware', role: 'text' }),
+    };
+}
+
+describe('Migrator', () => {
+    it('applies all steps to a legacy object tree', async () => {
+        const adapter = new FakeAdapter(legacyObjects(), {
+            [`${DEVICE}.info.deviceTypeDescription`]: { val: 'Controller 69 Pro', ack: true, ts: 42, q: 0 },
+        });
+
+        expect(await new Migrator(adapter).run()).to.equal(SCHEMA_VERSION);
+
+        // v1: obsolete cache removed, neighbours untouched
+        expect(adapter.objects.has(`${DEVICE}.ports.1.mode.offSpeedCache`)).to.equal(false);
+        expect(adapter.objects.has(`${DEVICE}.ports.1.mode.onSpeed`)).to.equal(true);
+
+        // v2: renamed with value and history settings pointing at the old series
+        const model = adapter.objects.get(`${DEVICE}.info.model`);
+        expect(adapter.objects.has(`${DEVICE}.info.deviceTypeDescription`)).to.equal(false);
+        expect(model.common.name).to.equal('Modell');
+        expect(model.common.role).to.equal('text');
+        expect(model.common.custom).to.deep.equal({
+            'history.0': {
+                enabled: true,
+                changesOnly: true,
+                aliasId: `${NAMESPACE}.${DEVICE}.info.deviceTypeDescription`,
+            },
+            'influxdb.0': { enabled: false },
+        });
+        expect(adapter.states.get(`${DEVICE}.info.model`)).to.deep.equal({
+            val: 'Controller 69 Pro',
+            ack: true,
+            ts: 42,
+            q: 0,
+        });
+
+        // v3: roles rewritten in place, other properties kept
+        expect(adapter.objects.get(`${DEVICE}.info.mac`).common).to.include({ role: 'info.mac', name: 'MAC' });
+        expect(adapter.objects.get(`${DEVICE}.info.firmware`).common).to.deep.include({
+            role: 'info.firmware',
+            custom: { 'history.0': { enabled: true } },
+        });
+        expect(adapter.objects.get(`${DEVICE}.info.hardware`).common.role).to.equal('info.hardware');
+
+        expect(adapter.states.get('info.schemaVersion')).to.deep.equal({ val: SCHEMA_VERSION, ack: true });
+    });
+
+    it('keeps the history settings of an object renamed by an earlier run', () => {
+        const custom = { 'history.0': { enabled: true, aliasId: 'acinfinity.0.older.id' } };
+        expect(Migrator.keepHistory(custom, 'acinfinity.0.old.id')).to.deep.equal(custom);
+        expect(Migrator.keepHistory(undefined, 'acinfinity.0.old.id')).to.equal(undefined);
+    });
+
+    it('does not touch the objects again once the schema version is stored', async () => {
+        const adapter = new FakeAdapter(legacyObjects());
+        await new Migrator(adapter).run();
+        const writes = adapter.writes;
+
+        // Objects the user changed after the migration must survive further starts
+        adapter.objects.get(`${DEVICE}.info.mac`).common.role = 'text';
+        adapter.objects.set(`${DEVICE}.info.deviceTypeDescription`, stateObject({ name: 'Recreated' }));
+
+        expect(await new Migrator(adapter).run()).to.equal(SCHEMA_VERSION);
+        expect(adapter.writes).to.equal(writes);
+        expect(adapter.objects.get(`${DEVICE}.info.mac`).common.role).to.equal('text');
+        expect(adapter.objects.has(`${DEVICE}.info.deviceTypeDescription`)).to.equal(true);
+    });
+
+    it('only runs steps newer than the stored version', async () => {
+        const adapter = new FakeAdapter(legacyObjects(), { 'info.schemaVersion': { val: 2, ack: true } });
+
+        await new Migrator(adapter).run();
+
+        // v1 and v2 are considered done, only v3 runs
+        expect(adapter.objects.has(`${DEVICE}.ports.1.mode.offSpeedCache`)).to.equal(true);
+        expect(adapter.objects.has(`${DEVICE}.info.deviceTypeDescription`)).to.equal(true);
+        expect(adapter.objects.get(`${DEVICE}.info.mac`).common.role).to.equal('info.mac');
+    });
+
+    it('finds the objects below its account root only', async () => {
+        const adapter = new FakeAdapter({
+            [`${DEVICE}.info.mac`]: stateObject({ role: 'text' }),
+            [`accounts.second.${DEVICE}.info.mac`]: stateObject({ role: 'text' }),
+        });
+
+        await new Migrator(adapter, { root: 'accounts.second.' }).run();
+
+        expect(adapter.objects.get(`${DEVICE}.info.mac`).common.role).to.equal('text');
+        expect(adapter.objects.get(`accounts.second.${DEVICE}.info.mac`).common.role).to.equal('info.mac');
+        expect(adapter.states.get('accounts.second.info.schemaVersion').val).to.equal(SCHEMA_VERSION);
+        expect(adapter.states.has('info.schemaVersion')).to.equal(false);
+    });
+
+    it('stops at a failing step and retries it with the next start', async () => {
+        const adapter = new FakeAdapter({});
+        const ran = [];
+        let failing = true;
+        const migrations = [1, 2, 3].map(version => ({
+            version,
+            description: `step ${version}`,
+            run: async () => {
+                ran.push(version);
+                if (version === 2 && failing) {
+                    throw new Error('database busy');
+                }
+            },
+        }));
+
+        expect(await new Migrator(adapter, { migrations }).run()).to.equal(1);
+        expect(ran).to.deep.equal([1, 2]);
+        expect(adapter.states.get('info.schemaVersion').val).to.equal(1);
+
+        failing = false;
+        expect(await new Migrator(adapter, { migrations }).run()).to.equal(3);
+        expect(ran).to.deep.equal([1, 2, 2, 3]);
+    });
+});
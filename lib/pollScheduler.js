@@ -0,0 +1,128 @@
+/**
+ * Adaptive polling schedule
+ * Polls fast after user commands and before port timers expire, slow during quiet hours and while offline
+ */
+
+'use strict';
+
+const {
+    DEFAULT_POLLING_INTERVAL,
+    MINIMUM_POLLING_INTERVAL,
+    DEFAULT_FAST_POLLING_INTERVAL,
+    DEFAULT_FAST_POLLING_DURATION,
+    DEFAULT_IDLE_POLLING_INTERVAL,
+} = require('./constants');
+
+/**
+ * Parses a time of day in HH:MM format
+ *
+ * @param {string} value - Time of day, e.g. "22:30"
+ * @returns {number|null} - Minutes since midnight, or null if empty or invalid
+ */
+function parseTimeOfDay(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+    if (!match) {
+        return null;
+    }
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 23 || minutes > 59) {
+        return null;
+    }
+    return hours * 60 + minutes;
+}
+
+class PollScheduler {
+    /**
+     * Creates a new poll scheduler
+     *
+     * @param {object} [options] - Schedule settings
+     * @param {number} [options.interval] - Normal polling interval in seconds
+     * @param {number} [options.fastInterval] - Polling interval in seconds after user commands
+     * @param {number} [options.fastDuration] - Minutes of fast polling after a user command
+     * @param {number} [options.idleInterval] - Polling interval in seconds during quiet hours or while offline
+     * @param {string} [options.quietHoursStart] - Start of the quiet hours (HH:MM), empty to disable
+     * @param {string} [options.quietHoursEnd] - End of the quiet hours (HH:MM)
+     */
+    constructor(options = {}) {
+        this.interval = Math.max(options.interval || DEFAULT_POLLING_INTERVAL, MINIMUM_POLLING_INTERVAL);
+        this.fastInterval = Math.min(
+            Math.max(options.fastInterval || DEFAULT_FAST_POLLING_INTERVAL, MINIMUM_POLLING_INTERVAL),
+            this.interval,
+        );
+        this.fastDuration = (options.fastDuration ?? DEFAULT_FAST_POLLING_DURATION) * 60 * 1000;
+        this.idleInterval = Math.max(options.idleInterval || DEFAULT_IDLE_POLLING_INTERVAL, this.interval);
+        this.quietStart = parseTimeOfDay(options.quietHoursStart);
+        this.quietEnd = parseTimeOfDay(options.quietHoursEnd);
+
+        this.fastUntil = 0; // timestamp until which fast polling is active
+        this.offline = false; // all controllers of the account are offline
+    }
+
+    /**
+     * Switches to fast polling, e.g. after a user command
+     *
+     * @param {number} [now] - Current timestamp
+     * @param {number} [duration] - Duration in milliseconds, defaults to the configured fast polling duration
+     */
+    boost(now = Date.now(), duration = this.fastDuration) {
+        this.fastUntil = Math.max(this.fastUntil, now + duration);
+    }
+
+    /**
+     * Takes the offline flags and port timers of a device list into account
+     * A timer that expires before the next scheduled poll switches to fast polling until shortly after it expired.
+     *
+     * @param {Array<object>} devices - Controller models (ACInfinityController) as returned by the client
+     * @param {number} [now] - Current timestamp
+     */
+    observe(devices, now = Date.now()) {
+        this.offline = devices.length > 0 && devices.every(device => !device.online);
+        const horizon = this.getDelay(now);
+
+        for (const device of devices) {
+            for (const port of device.ports) {
+                const remaining = port.remainingTime;
+                if (remaining !== null && remaining > 0 && remaining <= horizon) {
+                    this.boost(now, (remaining + this.fastInterval) * 1000);
+                }
+            }
+        }
+    }
+
+    /**
+     * Whether the given time lies inside the quiet hours
+     *
+     * @param {Date} date - Time to check
+     * @returns {boolean} - True during quiet hours
+     */
+    isQuiet(date) {
+        if (this.quietStart === null || this.quietEnd === null || this.quietStart === this.quietEnd) {
+            return false;
+        }
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        // Quiet hours may span midnight, e.g. 22:00-06:00
+        return this.quietStart < this.quietEnd
+            ? minutes >= this.quietStart && minutes < this.quietEnd
+            : minutes >= this.quietStart || minutes < this.quietEnd;
+    }
+
+    /**
+     * Returns the delay until the next poll
+     * Fast polling wins over quiet hours, so a command at night still gets quick feedback.
+     *
+     * @param {number} [now] - Current timestamp
+     * @returns {number} - Delay in seconds
+     */
+    getDelay(now = Date.now()) {
+        if (now < this.fastUntil) {
+            return this.fastInterval;
+        }
+        if (this.offline || this.isQuiet(new Date(now))) {
+            return this.idleInterval;
+        }
+        return this.interval;
+    }
+}
+
+module.exports = PollScheduler;
@@ -0,0 +1,114 @@
+'use strict';
+
+const { expect } = require('chai');
+const PollScheduler = require('./pollScheduler');
+const { ACInfinityController } = require('./dataModels');
+
+const OPTIONS = { interval: 60, fastInterval: 10, fastDuration: 5, idleInterval: 300 };
+
+/**
+ * Builds a controller model as returned by the client
+ *
+ * @param {object} [raw] - Fields of the devInfoListAll entry to set
+ * @param {Array<object>} [ports] - Raw port blocks
+ * @returns {ACInfinityController} - Controller model
+ */
+function controller(raw = {}, ports = []) {
+    return new ACInfinityController({ devId: 1, online: 1, ...raw, deviceInfo: { ports } });
+}
+
+/**
+ * Timestamp of a local time of day
+ *
+ * @param {number} hours - Hours
+ * @param {number} minutes - Minutes
+ * @returns {number} - Timestamp
+ */
+function at(hours, minutes) {
+    return new Date(2026, 5, 1, hours, minutes).getTime();
+}
+
+describe('PollScheduler', () => {
+    describe('quiet hours', () => {
+        it('span midnight when the start lies after the end', () => {
+            const scheduler = new PollScheduler({ ...OPTIONS, quietHoursStart: '22:00', quietHoursEnd: '06:00' });
+
+            expect(scheduler.getDelay(at(21, 59))).to.equal(60);
+            expect(scheduler.getDelay(at(22, 0))).to.equal(300);
+            expect(scheduler.getDelay(at(0, 30))).to.equal(300);
+            expect(scheduler.getDelay(at(5, 59))).to.equal(300);
+            expect(scheduler.getDelay(at(6, 0))).to.equal(60);
+        });
+
+        it('work within one day', () => {
+            const scheduler = new PollScheduler({ ...OPTIONS, quietHoursStart: '12:00', quietHoursEnd: '14:00' });
+
+            expect(scheduler.getDelay(at(11, 59))).to.equal(60);
+            expect(scheduler.getDelay(at(13, 0))).to.equal(300);
+            expect(scheduler.getDelay(at(14, 0))).to.equal(60);
+        });
+
+        it('are disabled when empty, invalid or of zero length', () => {
+            for (const [start, end] of [
+                ['', ''],
+                ['25:00', '06:00'],
+                ['08:00', '08:00'],
+            ]) {
+                const scheduler = new PollScheduler({ ...OPTIONS, quietHoursStart: start, quietHoursEnd: end });
+                expect(scheduler.getDelay(at(8, 0))).to.equal(60);
+            }
+        });
+    });
+
+    describe('fast polling', () => {
+        it('runs for the configured duration after a command and wins over quiet hours', () => {
+            const scheduler = new PollScheduler({ ...OPTIONS, quietHoursStart: '22:00', quietHoursEnd: '06:00' });
+            const now = at(23, 0);
+
+            scheduler.boost(now);
+            expect(scheduler.getDelay(now)).to.equal(10);
+            expect(scheduler.getDelay(now + 5 * 60 * 1000 - 1)).to.equal(10);
+            expect(scheduler.getDelay(now + 5 * 60 * 1000)).to.equal(300);
+        });
+
+        it('is started by a port timer that expires before the next poll', () => {
+            const scheduler = new PollScheduler(OPTIONS);
+            const now = at(12, 0);
+
+            scheduler.observe([controller({}, [{ port: 1, remainTime: 45 }])], now);
+
+            expect(scheduler.getDelay(now)).to.equal(10);
+            // Until shortly after the timer expired
+            expect(scheduler.getDelay(now + 54 * 1000)).to.equal(10);
+            expect(scheduler.getDelay(now + 55 * 1000)).to.equal(60);
+        });
+
+        it('is not started by timers beyond the next poll or without a timer', () => {
+            const scheduler = new PollScheduler(OPTIONS);
+            const now = at(12, 0);
+
+            scheduler.observe(
+                [controller({}, [{ port: 1, remainTime: 120 }, { port: 2, remainTime: 0 }, { port: 3 }])],
+                now,
+            );
+
+            expect(scheduler.getDelay(now)).to.equal(60);
+        });
+    });
+
+    describe('offline controllers', () => {
+        it('poll slowly only while all controllers are offline', () => {
+            const scheduler = new PollScheduler(OPTIONS);
+            const now = at(12, 0);
+
+            scheduler.observe([controller({ online: 0 }), controller({ devId: 2, online: 1 })], now);
+            expect(scheduler.getDelay(now)).to.equal(60);
+
+            scheduler.observe([controller({ online: 0 }), controller({ devId: 2, online: 0 })], now);
+            expect(scheduler.getDelay(now)).to.equal(300);
+
+            scheduler.observe([], now);
+            expect(scheduler.getDelay(now)).to.equal(60);
+        });
+    });
+});
@@ -0,0 +1,131 @@
+/**
+ * Request queue for the AC Infinity cloud
+ * Rate-limits all HTTP requests, caps concurrency and serves user commands before background polling
+ */
+
+'use strict';
+
+const { REQUEST_PRIORITY, DEFAULT_REQUESTS_PER_SECOND, DEFAULT_MAX_CONCURRENT_REQUESTS } = require('./constants');
+
+class RequestQueue {
+    /**
+     * Creates a new request queue
+     *
+     * @param {object} [options] - Queue options
+     * @param {number} [options.requestsPerSecond] - Maximum number of request starts per second
+     * @param {number} [options.concurrency] - Maximum number of requests in flight
+     */
+    constructor(options = {}) {
+        const requestsPerSecond =
+            options.requestsPerSecond > 0 ? options.requestsPerSecond : DEFAULT_REQUESTS_PER_SECOND;
+        this.minInterval = 1000 / requestsPerSecond;
+        this.concurrency = Math.max(1, options.concurrency || DEFAULT_MAX_CONCURRENT_REQUESTS);
+
+        this.queues = new Map(); // priority -> pending tasks (FIFO)
+        this.active = 0;
+        this.lastStart = 0;
+        this.timer = null;
+    }
+
+    /**
+     * Adds a task to the queue
+     *
+     * @param {() => Promise<any>} task - Function that starts the request
+     * @param {number} [priority] - One of REQUEST_PRIORITY (lower value runs first)
+     * @returns {Promise<any>} - Result of the task
+     */
+    enqueue(task, priority = REQUEST_PRIORITY.POLL) {
+        return new Promise((resolve, reject) => {
+            if (!this.queues.has(priority)) {
+                this.queues.set(priority, []);
+            }
+            this.queues.get(priority).push({ task, resolve, reject });
+            this.pump();
+        });
+    }
+
+    /**
+     * Number of tasks waiting to be started
+     *
+     * @returns {number} - Pending task count
+     */
+    get size() {
+        let size = 0;
+        for (const queue of this.queues.values()) {
+            size += queue.length;
+        }
+        return size;
+    }
+
+    /**
+     * Takes the next task with the highest priority
+     *
+     * @returns {object|undefined} - Queue entry or undefined if empty
+     */
+    next() {
+        const priorities = [...this.queues.keys()].sort((a, b) => a - b);
+        for (const priority of priorities) {
+            const queue = this.queues.get(priority);
+            if (queue.length > 0) {
+                return queue.shift();
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Rejects all tasks that have not been started yet, e.g. on shutdown
+     * Tasks already in flight are not affected.
+     *
+     * @param {Error} error - Error the pending tasks are rejected with
+     * @returns {number} - Number of rejected tasks
+     */
+    clear(error) {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        let cleared = 0;
+        for (const queue of this.queues.values()) {
+            for (const entry of queue.splice(0)) {
+                entry.reject(error);
+                cleared++;
+            }
+        }
+        return cleared;
+    }
+
+    /**
+     * Starts as many tasks as the concurrency and rate limits allow
+     */
+    pump() {
+        if (this.timer) {
+            return;
+        }
+
+        while (this.active < this.concurrency && this.size > 0) {
+            const wait = this.lastStart + this.minInterval - Date.now();
+            if (wait > 0) {
+                this.timer = setTimeout(() => {
+                    this.timer = null;
+                    this.pump();
+                }, wait);
+                return;
+            }
+
+            const entry = this.next();
+            this.lastStart = Date.now();
+            this.active++;
+
+            Promise.resolve()
+                .then(entry.task)
+                .then(entry.resolve, entry.reject)
+                .finally(() => {
+                    this.active--;
+                    this.pump();
+                });
+        }
+    }
+}
+
+module.exports = RequestQueue;
@@ -0,0 +1,113 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const RequestQueue = require('./requestQueue');
+const { REQUEST_PRIORITY } = require('./constants');
+
+/**
+ * Returns a task that records its start and resolves when released
+ *
+ * @param {Array<string>} started - Receives the name when the task starts
+ * @param {string} name - Task name
+ * @returns {{task: () => Promise<string>, release: () => void}} - Task and its release function
+ */
+function controlledTask(started, name) {
+    let release;
+    const done = new Promise(resolve => {
+        release = () => resolve(name);
+    });
+    return {
+        task: () => {
+            started.push(name);
+            return done;
+        },
+        release: () => release(),
+    };
+}
+
+describe('RequestQueue', () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers({ now: 1000000 });
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    it('serves user commands before queued polling requests', async () => {
+        const queue = new RequestQueue({ requestsPerSecond: 1000, concurrency: 1 });
+        const started = [];
+        const first = controlledTask(started, 'first');
+        const results = [queue.enqueue(first.task, REQUEST_PRIORITY.POLL)];
+        results.push(queue.enqueue(async () => started.push('poll-1'), REQUEST_PRIORITY.POLL));
+        results.push(queue.enqueue(async () => started.push('poll-2'), REQUEST_PRIORITY.POLL));
+        results.push(queue.enqueue(async () => started.push('user'), REQUEST_PRIORITY.USER));
+
+        await clock.tickAsync(10);
+        expect(started).to.deep.equal(['first']);
+
+        first.release();
+        await clock.tickAsync(100);
+        await Promise.all(results);
+        expect(started).to.deep.equal(['first', 'user', 'poll-1', 'poll-2']);
+    });
+
+    it('never runs more requests than the concurrency limit', async () => {
+        const queue = new RequestQueue({ requestsPerSecond: 1000, concurrency: 2 });
+        const started = [];
+        const tasks = ['a', 'b', 'c'].map(name => controlledTask(started, name));
+        const results = tasks.map(({ task }) => queue.enqueue(task));
+
+        await clock.tickAsync(100);
+        expect(started).to.deep.equal(['a', 'b']);
+        expect(queue.active).to.equal(2);
+
+        tasks[0].release();
+        await clock.tickAsync(100);
+        expect(started).to.deep.equal(['a', 'b', 'c']);
+
+        tasks[1].release();
+        tasks[2].release();
+        expect(await Promise.all(results)).to.deep.equal(['a', 'b', 'c']);
+        expect(queue.active).to.equal(0);
+    });
+
+    it('spaces request starts according to the rate limit', async () => {
+        const queue = new RequestQueue({ requestsPerSecond: 2, concurrency: 5 });
+        const startedAt = [];
+        const results = [];
+        for (let i = 0; i < 3; i++) {
+            results.push(queue.enqueue(async () => startedAt.push(Date.now())));
+        }
+
+        await clock.tickAsync(2000);
+        await Promise.all(results);
+        expect(startedAt.map(time => time - startedAt[0])).to.deep.equal([0, 500, 1000]);
+    });
+
+    it('passes task errors to the caller', async () => {
+        const queue = new RequestQueue({ requestsPerSecond: 1000 });
+        const pending = queue.enqueue(() => Promise.reject(new Error('boom'))).catch(error => error);
+        await clock.tickAsync(10);
+        expect(await pending).to.have.property('message', 'boom');
+    });
+
+    it('rejects pending tasks on clear() without touching running ones', async () => {
+        const queue = new RequestQueue({ requestsPerSecond: 1000, concurrency: 1 });
+        const started = [];
+        const running = controlledTask(started, 'running');
+        const runningResult = queue.enqueue(running.task);
+        const pending = queue.enqueue(async () => started.push('pending')).catch(error => error);
+        await clock.tickAsync(10);
+
+        expect(queue.clear(new Error('closed'))).to.equal(1);
+        expect(await pending).to.have.property('message', 'closed');
+
+        running.release();
+        expect(await runningResult).to.equal('running');
+        expect(started).to.deep.equal(['running']);
+    });
+});
@@ -0,0 +1,159 @@
+/**
+ * Retry policy for AC Infinity API requests
+ * Bounded retries with exponential backoff and jitter
+ */
+
+'use strict';
+
+const {
+    API_ENDPOINTS,
+    DEFAULT_RETRY_ATTEMPTS,
+    DEFAULT_RETRY_BASE_DELAY,
+    DEFAULT_RETRY_MAX_DELAY,
+} = require('./constants');
+const { AuthError, NetworkError, CircuitOpenError, AbortedError } = require('./errors');
+
+/**
+ * Error categories used by the retry policy
+ */
+const ERROR_CATEGORY = {
+    RETRYABLE: 'retryable',
+    AUTH: 'auth',
+    FATAL: 'fatal',
+};
+
+/**
+ * Waits for the given time unless the signal is aborted first
+ *
+ * @param {number} delay - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Signal that ends the wait early
+ * @returns {Promise<void>}
+ * @throws {AbortedError} If the signal was aborted before or during the wait
+ */
+function wait(delay, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new AbortedError('Retry cancelled'));
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new AbortedError('Retry cancelled'));
+        };
+        const timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, delay);
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+class RetryPolicy {
+    /**
+     * Creates a new retry policy
+     *
+     * @param {object} [options] - Policy options
+     * @param {number} [options.maxAttempts] - Total number of attempts including the first one
+     * @param {number} [options.baseDelay] - Delay before the first retry in milliseconds
+     * @param {number} [options.maxDelay] - Upper bound for a single delay in milliseconds
+     */
+    constructor(options = {}) {
+        this.maxAttempts = Math.max(1, options.maxAttempts || DEFAULT_RETRY_ATTEMPTS);
+        this.baseDelay = Math.max(0, options.baseDelay ?? DEFAULT_RETRY_BASE_DELAY);
+        this.maxDelay = Math.max(this.baseDelay, options.maxDelay ?? DEFAULT_RETRY_MAX_DELAY);
+    }
+
+    /**
+     * Sorts an error into retryable, auth or fatal
+     *
+     * @param {any} error - Typed error thrown by the request
+     * @returns {string} - One of ERROR_CATEGORY
+     */
+    classify(error) {
+        // Errors that already went through a retry loop (e.g. a nested login) are not retried again
+        if (error instanceof CircuitOpenError || (error && error.retriesExhausted)) {
+            return ERROR_CATEGORY.FATAL;
+        }
+        if (error instanceof AuthError) {
+            // Rejected credentials cannot be fixed by logging in again
+            return error.endpoint === API_ENDPOINTS.LOGIN ? ERROR_CATEGORY.FATAL : ERROR_CATEGORY.AUTH;
+        }
+        if (error instanceof NetworkError) {
+            return ERROR_CATEGORY.RETRYABLE;
+        }
+        return ERROR_CATEGORY.FATAL;
+    }
+
+    /**
+     * Calculates the backoff delay before the given retry
+     * Uses "equal jitter": half of the exponential delay is fixed, the other half is random
+     *
+     * @param {number} retry - Retry number (1 for the first retry)
+     * @returns {number} - Delay in milliseconds
+     */
+    getDelay(retry) {
+        const exponential = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, retry - 1));
+        return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+    }
+
+    /**
+     * Runs an async operation with retries
+     *
+     * An auth error triggers onAuthError once and is retried right away; a second
+     * auth error is treated as fatal. The retry after a re-login does not count as an attempt,
+     * so an expired token is renewed even with a single attempt configured.
+     *
+     * @param {() => Promise<any>} operation - Operation to execute
+     * @param {object} [hooks] - Optional callbacks
+     * @param {(error: any) => Promise<void>} [hooks.onAuthError] - Called before retrying after an auth error
+     * @param {(error: any, attempt: number, delay: number) => void} [hooks.onRetry] - Called before each delayed retry
+     * @param {AbortSignal} [hooks.signal] - Ends a pending backoff delay, no further attempt is started
+     * @returns {Promise<any>} - Result of the operation
+     */
+    async execute(operation, hooks = {}) {
+        let authRetried = false;
+        let attempt = 0;
+
+        for (;;) {
+            attempt++;
+            try {
+                return await operation();
+            } catch (error) {
+                const category = this.classify(error);
+
+                if (category === ERROR_CATEGORY.FATAL) {
+                    throw error;
+                }
+
+                if (category === ERROR_CATEGORY.AUTH) {
+                    if (authRetried || !hooks.onAuthError) {
+                        throw error;
+                    }
+                    authRetried = true;
+                    await hooks.onAuthError(error);
+                    attempt--;
+                    continue;
+                }
+
+                if (attempt >= this.maxAttempts) {
+                    error.retriesExhausted = true;
+                    throw error;
+                }
+
+                const delay = this.getDelay(attempt);
+                if (hooks.onRetry) {
+                    hooks.onRetry(error, attempt, delay);
+                }
+                await wait(delay, hooks.signal);
+            }
+        }
+    }
+}
+
+module.exports = RetryPolicy;
+module.exports.ERROR_CATEGORY = ERROR_CATEGORY;
+module.exports.wait = wait;
@@ -0,0 +1,144 @@
+'use strict';
+
+const { expect } = require('chai');
+const RetryPolicy = require('./retryPolicy');
+const { ERROR_CATEGORY } = require('./retryPolicy');
+const { API_ENDPOINTS } = require('./constants');
+const { AuthError, NetworkError, ApiError, CircuitOpenError, AbortedError } = require('./errors');
+
+/**
+ * Returns an operation that throws the given errors in turn and then resolves
+ *
+ * @param {Array<Error>} errors - Errors to throw before succeeding
+ * @returns {{operation: () => Promise<string>, calls: () => number}} - Operation and its call counter
+ */
+function failing(errors) {
+    let calls = 0;
+    return {
+        operation: async () => {
+            calls++;
+            if (calls <= errors.length) {
+                throw errors[calls - 1];
+            }
+            return 'ok';
+        },
+        calls: () => calls,
+    };
+}
+
+describe('RetryPolicy', () => {
+    describe('classify()', () => {
+        const policy = new RetryPolicy();
+
+        it('retries network errors', () => {
+            expect(policy.classify(new NetworkError('timeout'))).to.equal(ERROR_CATEGORY.RETRYABLE);
+        });
+
+        it('re-logs in on auth errors, except for the login itself', () => {
+            expect(policy.classify(new AuthError('expired', { endpoint: '/api/x' }))).to.equal(ERROR_CATEGORY.AUTH);
+            expect(policy.classify(new AuthError('wrong', { endpoint: API_ENDPOINTS.LOGIN }))).to.equal(
+                ERROR_CATEGORY.FATAL,
+            );
+        });
+
+        it('does not retry API errors, an open circuit or exhausted errors', () => {
+            const exhausted = Object.assign(new NetworkError('timeout'), { retriesExhausted: true });
+            expect(policy.classify(new ApiError('bad'))).to.equal(ERROR_CATEGORY.FATAL);
+            expect(policy.classify(new CircuitOpenError(null))).to.equal(ERROR_CATEGORY.FATAL);
+            expect(policy.classify(exhausted)).to.equal(ERROR_CATEGORY.FATAL);
+        });
+    });
+
+    describe('getDelay()', () => {
+        it('keeps the equal jitter between half and all of the exponential delay', () => {
+            const policy = new RetryPolicy({ baseDelay: 1000, maxDelay: 60000 });
+            for (let retry = 1; retry <= 5; retry++) {
+                const exponential = 1000 * Math.pow(2, retry - 1);
+                for (let i = 0; i < 50; i++) {
+                    const delay = policy.getDelay(retry);
+                    expect(delay).to.be.within(exponential / 2, exponential);
+                }
+            }
+        });
+
+        it('caps the delay at maxDelay', () => {
+            const policy = new RetryPolicy({ baseDelay: 1000, maxDelay: 5000 });
+            for (let i = 0; i < 50; i++) {
+                expect(policy.getDelay(20)).to.be.within(2500, 5000);
+            }
+        });
+    });
+
+    describe('execute()', () => {
+        it('retries network errors up to maxAttempts and marks the error as exhausted', async () => {
+            const policy = new RetryPolicy({ maxAttempts: 3, baseDelay: 0 });
+            const errors = [new NetworkError('1'), new NetworkError('2'), new NetworkError('3')];
+            const { operation, calls } = failing(errors);
+            const retries = [];
+
+            const error = await policy
+                .execute(operation, { onRetry: (e, attempt) => retries.push(attempt) })
+                .catch(e => e);
+
+            expect(error).to.equal(errors[2]);
+            expect(error.retriesExhausted).to.equal(true);
+            expect(calls()).to.equal(3);
+            expect(retries).to.deep.equal([1, 2]);
+        });
+
+        it('returns the result once a retry succeeds', async () => {
+            const policy = new RetryPolicy({ maxAttempts: 3, baseDelay: 0 });
+            const { operation, calls } = failing([new NetworkError('1')]);
+
+            expect(await policy.execute(operation)).to.equal('ok');
+            expect(calls()).to.equal(2);
+        });
+
+        it('does not retry fatal errors', async () => {
+            const policy = new RetryPolicy({ maxAttempts: 3, baseDelay: 0 });
+            const { operation, calls } = failing([new ApiError('bad')]);
+
+            await expect(policy.execute(operation)).to.be.rejectedWith(ApiError);
+            expect(calls()).to.equal(1);
+        });
+
+        it('re-logs in once after an auth error, even with a single attempt', async () => {
+            const policy = new RetryPolicy({ maxAttempts: 1, baseDelay: 0 });
+            const { operation, calls } = failing([new AuthError('expired', { endpoint: '/api/x' })]);
+            let logins = 0;
+
+            const result = await policy.execute(operation, {
+                onAuthError: async () => {
+                    logins++;
+                },
+            });
+
+            expect(result).to.equal('ok');
+            expect(logins).to.equal(1);
+            expect(calls()).to.equal(2);
+        });
+
+        it('gives up after a second auth error', async () => {
+            const policy = new RetryPolicy({ maxAttempts: 3, baseDelay: 0 });
+            const second = new AuthError('still expired', { endpoint: '/api/x' });
+            const { operation, calls } = failing([new AuthError('expired', { endpoint: '/api/x' }), second]);
+
+            const error = await policy.execute(operation, { onAuthError: async () => {} }).catch(e => e);
+
+            expect(error).to.equal(second);
+            expect(calls()).to.equal(2);
+        });
+
+        it('ends a pending backoff delay when the signal is aborted', async () => {
+            const policy = new RetryPolicy({ maxAttempts: 3, baseDelay: 60000 });
+            const controller = new AbortController();
+            const { operation, calls } = failing([new NetworkError('1')]);
+
+            const pending = policy.execute(operation, { signal: controller.signal });
+            setImmediate(() => controller.abort());
+
+            await expect(pending).to.be.rejectedWith(AbortedError);
+            expect(calls()).to.equal(1);
+        });
+    });
+});
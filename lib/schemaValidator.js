@@ -0,0 +1,167 @@
+/**
+ * Response validation for the AC Infinity cloud
+ * Checks responses against the declared schemas and reports API drift once per device
+ */
+
+'use strict';
+
+const { RESPONSE_SCHEMAS } = require('./apiSchemas');
+
+/**
+ * Returns the schema type name of a value
+ *
+ * @param {any} value - Value to inspect
+ * @returns {string} - 'array', 'object' or the typeof result
+ */
+function typeOf(value) {
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+class SchemaValidator {
+    /**
+     * Creates a new schema validator
+     *
+     * @param {object} log - Logger object
+     * @param {object} [options] - Validator options
+     * @param {(summary: object) => void} [options.onDrift] - Called when a new deviation was found
+     */
+    constructor(log, options = {}) {
+        this.log = log;
+        this.onDrift = options.onDrift || null;
+        this.reported = new Set(); // endpoint|device|kind|path already logged
+        this.drift = new Map(); // endpoint name -> { missing, unknown, typeChanged } (Sets of paths)
+    }
+
+    /**
+     * Validates a response against the schema of its endpoint
+     *
+     * @param {string} endpoint - API endpoint path
+     * @param {any} data - Response payload (for list endpoints one entry)
+     * @param {string} deviceKey - Device (and port) the response belongs to, used to log once per device
+     */
+    validate(endpoint, data, deviceKey) {
+        const schema = RESPONSE_SCHEMAS[endpoint];
+        if (!schema || !data || typeof data !== 'object') {
+            return;
+        }
+
+        const findings = { missing: new Set(), unknown: new Set(), typeChanged: new Set() };
+        this.check(schema, data, '', findings);
+        this.report(endpoint, deviceKey, findings);
+    }
+
+    /**
+     * Compares one object with its schema, descending into declared children
+     *
+     * @param {object} schema - Schema of the object
+     * @param {object} data - Object to check
+     * @param {string} prefix - Path of the object inside the response
+     * @param {{missing: Set<string>, unknown: Set<string>, typeChanged: Set<string>}} findings - Collected deviations
+     */
+    check(schema, data, prefix, findings) {
+        const known = { ...schema.optional, ...schema.required };
+
+        for (const [field, expected] of Object.entries(known)) {
+            const value = data[field];
+            const path = `${prefix}${field}`;
+            if (value === undefined) {
+                if (field in schema.required) {
+                    findings.missing.add(path);
+                }
+                continue;
+            }
+            if (value !== null && ![].concat(expected).includes(typeOf(value))) {
+                findings.typeChanged.add(`${path} (${typeOf(value)})`);
+                continue;
+            }
+
+            const child = schema.children && schema.children[field];
+            if (child && value) {
+                this.check(child, value, `${path}.`, findings);
+            }
+            const items = schema.items && schema.items[field];
+            if (items && Array.isArray(value)) {
+                for (const item of value) {
+                    if (item && typeof item === 'object') {
+                        this.check(items, item, `${path}[].`, findings);
+                    }
+                }
+            }
+        }
+
+        for (const field of Object.keys(data)) {
+            if (!(field in known)) {
+                findings.unknown.add(`${prefix}${field}`);
+            }
+        }
+    }
+
+    /**
+     * Logs deviations that were not reported for this device yet and updates the summary
+     *
+     * @param {string} endpoint - API endpoint path
+     * @param {string} deviceKey - Device (and port) the response belongs to
+     * @param {{missing: Set<string>, unknown: Set<string>, typeChanged: Set<string>}} findings - Collected deviations
+     */
+    report(endpoint, deviceKey, findings) {
+        const name = endpoint.split('/').pop() || endpoint;
+        let changed = false;
+
+        for (const kind of ['missing', 'typeChanged', 'unknown']) {
+            const fresh = [...findings[kind]].filter(path => {
+                const key = `${endpoint}|${deviceKey}|${kind}|${path}`;
+                if (this.reported.has(key)) {
+                    return false;
+                }
+                this.reported.add(key);
+                return true;
+            });
+            if (fresh.length === 0) {
+                continue;
+            }
+
+            const list = fresh.join(', ');
+            if (kind === 'missing') {
+                this.log.warn(`API drift in ${name} for ${deviceKey}: missing fields ${list}`);
+            } else if (kind === 'typeChanged') {
+                this.log.warn(`API drift in ${name} for ${deviceKey}: unexpected types ${list}`);
+            } else {
+                this.log.info(`API drift in ${name} for ${deviceKey}: unknown fields ${list}`);
+            }
+
+            if (!this.drift.has(name)) {
+                this.drift.set(name, { missing: new Set(), unknown: new Set(), typeChanged: new Set() });
+            }
+            const summary = this.drift.get(name)[kind];
+            for (const path of fresh) {
+                if (!summary.has(path)) {
+                    summary.add(path);
+                    changed = true;
+                }
+            }
+        }
+
+        if (changed && this.onDrift) {
+            this.onDrift(this.getSummary());
+        }
+    }
+
+    /**
+     * Returns all deviations seen since the adapter started
+     *
+     * @returns {object} - Deviations per endpoint, each with lists of missing, unknown and retyped field paths
+     */
+    getSummary() {
+        const summary = {};
+        for (const [name, drift] of this.drift) {
+            summary[name] = {
+                missing: [...drift.missing].sort(),
+                unknown: [...drift.unknown].sort(),
+                typeChanged: [...drift.typeChanged].sort(),
+            };
+        }
+        return summary;
+    }
+}
+
+module.exports = SchemaValidator;
@@ -0,0 +1,145 @@
+'use strict';
+
+const { expect } = require('chai');
+const SchemaValidator = require('./schemaValidator');
+const { API_ENDPOINTS } = require('./constants');
+
+const ENDPOINT = API_ENDPOINTS.DEVICE_LIST;
+
+/**
+ * Builds a device list entry that matches the declared schema
+ *
+ * @param {object} [overrides] - Fields to replace on the device
+ * @returns {object} - Device entry
+ */
+function device(overrides = {}) {
+    return {
+        devId: '1',
+        devName: 'Zelt',
+        devType: 11,
+        online: 1,
+        deviceInfo: {
+            temperature: 2350,
+            ports: [
+                { port: 1, speak: 5, online: 1 },
+                { port: 2, speak: 0, online: 1 },
+            ],
+        },
+        ...overrides,
+    };
+}
+
+/**
+ * Creates a validator that records its log lines and drift summaries
+ *
+ * @returns {{validator: SchemaValidator, lines: Array<string>, summaries: Array<object>}} - Validator and records
+ */
+function createValidator() {
+    const lines = [];
+    const summaries = [];
+    const log = {
+        debug() {},
+        info: message => lines.push(message),
+        warn: message => lines.push(message),
+        error() {},
+    };
+    const validator = new SchemaValidator(log, { onDrift: summary => summaries.push(summary) });
+    return { validator, lines, summaries };
+}
+
+describe('SchemaValidator', () => {
+    it('accepts responses that match the schema, including null values', () => {
+        const { validator, lines, summaries } = createValidator();
+
+        validator.validate(ENDPOINT, device({ devMacAddr: null }), 'device 1');
+
+        expect(lines).to.deep.equal([]);
+        expect(summaries).to.deep.equal([]);
+        expect(validator.getSummary()).to.deep.equal({});
+    });
+
+    it('reports missing required fields', () => {
+        const { validator, lines } = createValidator();
+        const data = device();
+        delete data.devName;
+
+        validator.validate(ENDPOINT, data, 'device 1');
+
+        expect(lines).to.deep.equal(['API drift in devInfoListAll for device 1: missing fields devName']);
+        expect(validator.getSummary().devInfoListAll.missing).to.deep.equal(['devName']);
+    });
+
+    it('reports changed types and does not descend into them', () => {
+        const { validator, lines } = createValidator();
+
+        validator.validate(ENDPOINT, device({ online: '1', deviceInfo: 'n/a' }), 'device 1');
+
+        expect(lines).to.deep.equal([
+            'API drift in devInfoListAll for device 1: unexpected types online (string), deviceInfo (string)',
+        ]);
+    });
+
+    it('reports unknown fields', () => {
+        const { validator, lines } = createValidator();
+
+        validator.validate(ENDPOINT, device({ firmwareChannel: 'beta' }), 'device 1');
+
+        expect(lines).to.deep.equal(['API drift in devInfoListAll for device 1: unknown fields firmwareChannel']);
+        expect(validator.getSummary().devInfoListAll).to.deep.equal({
+            missing: [],
+            unknown: ['firmwareChannel'],
+            typeChanged: [],
+        });
+    });
+
+    it('checks declared children and array items', () => {
+        const { validator } = createValidator();
+        const data = device();
+        data.deviceInfo.humidity = '55%';
+        data.deviceInfo.ports[1] = { port: 2, online: 1, dimming: 3 };
+
+        validator.validate(ENDPOINT, data, 'device 1');
+
+        expect(validator.getSummary().devInfoListAll).to.deep.equal({
+            missing: ['deviceInfo.ports[].speak'],
+            unknown: ['deviceInfo.ports[].dimming'],
+            typeChanged: ['deviceInfo.humidity (string)'],
+        });
+    });
+
+    it('logs each deviation once per device', () => {
+        const { validator, lines } = createValidator();
+        const data = device({ firmwareChannel: 'beta' });
+
+        validator.validate(ENDPOINT, data, 'device 1');
+        validator.validate(ENDPOINT, data, 'device 1');
+        validator.validate(ENDPOINT, { ...data, devId: '2' }, 'device 2');
+
+        expect(lines).to.deep.equal([
+            'API drift in devInfoListAll for device 1: unknown fields firmwareChannel',
+            'API drift in devInfoListAll for device 2: unknown fields firmwareChannel',
+        ]);
+    });
+
+    it('passes the summary on only when it gained a deviation', () => {
+        const { validator, summaries } = createValidator();
+
+        validator.validate(ENDPOINT, device({ firmwareChannel: 'beta' }), 'device 1');
+        validator.validate(ENDPOINT, device({ firmwareChannel: 'beta', devId: '2' }), 'device 2');
+        validator.validate(ENDPOINT, device({ firmwareChannel: 'beta', region: 'eu' }), 'device 1');
+
+        expect(summaries).to.have.length(2);
+        expect(summaries[1]).to.deep.equal({
+            devInfoListAll: { missing: [], unknown: ['firmwareChannel', 'region'], typeChanged: [] },
+        });
+    });
+
+    it('ignores endpoints without a schema and empty responses', () => {
+        const { validator, lines } = createValidator();
+
+        validator.validate(API_ENDPOINTS.LOGIN, { anything: true }, 'login');
+        validator.validate(ENDPOINT, null, 'device 1');
+
+        expect(lines).to.deep.equal([]);
+    });
+});
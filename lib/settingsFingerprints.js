@@ -0,0 +1,116 @@
+/**
+ * Change detection for port and controller settings
+ * Remembers a fingerprint of the device list data per port, so the detail endpoints are only fetched when needed
+ */
+
+'use strict';
+
+const crypto = require('node:crypto');
+const { CONTROLLER_PROPERTY_KEY, PORT_PROPERTY_KEY, DEFAULT_SETTINGS_RESYNC_INTERVAL } = require('./constants');
+
+// Port fields that change on their own without a settings change: the timer countdown and the live output
+// level and load state, which follow the sensors in Auto, VPD and Cycle mode
+const VOLATILE_PORT_KEYS = [PORT_PROPERTY_KEY.REMAINING_TIME, PORT_PROPERTY_KEY.SPEAK, PORT_PROPERTY_KEY.STATE];
+
+// Controller fields that identify a settings change; sensor readings are left out
+const CONTROLLER_KEYS = [
+    CONTROLLER_PROPERTY_KEY.DEVICE_NAME,
+    CONTROLLER_PROPERTY_KEY.DEVICE_TYPE,
+    CONTROLLER_PROPERTY_KEY.ONLINE,
+    CONTROLLER_PROPERTY_KEY.HW_VERSION,
+    CONTROLLER_PROPERTY_KEY.SW_VERSION,
+    CONTROLLER_PROPERTY_KEY.TIME_ZONE,
+];
+
+/**
+ * Hashes a value
+ *
+ * @param {any} value - Value to hash
+ * @returns {string} - Hex digest of its JSON form
+ */
+function hash(value) {
+    return crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex');
+}
+
+class SettingsFingerprints {
+    /**
+     * Creates a new fingerprint store
+     *
+     * @param {object} [options] - Store options
+     * @param {number} [options.resyncInterval] - Minutes after which settings are fetched regardless of changes, 0 to always fetch
+     */
+    constructor(options = {}) {
+        this.resyncInterval = (options.resyncInterval ?? DEFAULT_SETTINGS_RESYNC_INTERVAL) * 60 * 1000;
+        this.entries = new Map(); // "devId:port" -> { fingerprint, fetchedAt }
+    }
+
+    /**
+     * Builds the fingerprint of a port from devInfoListAll
+     * The raw port block is hashed, so fields the model does not expose still count as a change.
+     *
+     * @param {object} port - Port model (ACInfinityPort)
+     * @returns {string} - Fingerprint
+     */
+    static forPort(port) {
+        const relevant = { ...port.raw };
+        for (const key of VOLATILE_PORT_KEYS) {
+            delete relevant[key];
+        }
+        return hash(relevant);
+    }
+
+    /**
+     * Builds the fingerprint of a controller from devInfoListAll
+     *
+     * @param {object} device - Controller model (ACInfinityController)
+     * @returns {string} - Fingerprint
+     */
+    static forController(device) {
+        return hash(CONTROLLER_KEYS.map(key => device.raw[key]));
+    }
+
+    /**
+     * Whether the settings of a port (0 for the controller) have to be fetched
+     *
+     * @param {string|number} deviceId - Device ID
+     * @param {number} portId - Port ID, 0 for the controller
+     * @param {string} fingerprint - Current fingerprint
+     * @param {number} [now] - Current timestamp
+     * @returns {boolean} - True if the fingerprint changed, the entry was invalidated or a resync is due
+     */
+    needsRefresh(deviceId, portId, fingerprint, now = Date.now()) {
+        const entry = this.entries.get(`${deviceId}:${portId}`);
+        return !entry || entry.fingerprint !== fingerprint || now - entry.fetchedAt >= this.resyncInterval;
+    }
+
+    /**
+     * Remembers that the settings of a port were fetched
+     *
+     * @param {string|number} deviceId - Device ID
+     * @param {number} portId - Port ID, 0 for the controller
+     * @param {string} fingerprint - Fingerprint the settings belong to
+     * @param {number} [now] - Current timestamp
+     */
+    markFetched(deviceId, portId, fingerprint, now = Date.now()) {
+        this.entries.set(`${deviceId}:${portId}`, { fingerprint, fetchedAt: now });
+    }
+
+    /**
+     * Forgets a port, so its settings are fetched with the next poll (e.g. after a local write)
+     *
+     * @param {string|number} deviceId - Device ID
+     * @param {number} portId - Port ID, 0 for the controller
+     */
+    invalidate(deviceId, portId) {
+        this.entries.delete(`${deviceId}:${portId}`);
+    }
+
+    /**
+     * Forgets all ports, so the next poll fetches every setting
+     */
+    clear() {
+        this.entries.clear();
+    }
+}
+
+module.exports = SettingsFingerprints;
@@ -0,0 +1,96 @@
+'use strict';
+
+const { expect } = require('chai');
+const SettingsFingerprints = require('./settingsFingerprints');
+const { ACInfinityController } = require('./dataModels');
+
+/**
+ * Builds a controller model with one port
+ *
+ * @param {object} [raw] - Fields of the devInfoListAll entry to set
+ * @param {object} [port] - Fields of the port block to set
+ * @returns {ACInfinityController} - Controller model
+ */
+function controller(raw = {}, port = {}) {
+    return new ACInfinityController({
+        devId: 1,
+        devName: 'Tent',
+        devType: 20,
+        online: 1,
+        temperature: 2400,
+        ...raw,
+        deviceInfo: { ports: [{ port: 1, curMode: 2, speak: 5, remainTime: 0, ...port }] },
+    });
+}
+
+describe('SettingsFingerprints', () => {
+    describe('forPort()', () => {
+        it('ignores the remaining time of a port timer', () => {
+            const a = controller({}, { remainTime: 120 }).ports[0];
+            const b = controller({}, { remainTime: 60 }).ports[0];
+            expect(SettingsFingerprints.forPort(a)).to.equal(SettingsFingerprints.forPort(b));
+        });
+
+        it('ignores the live output level and load state of a port', () => {
+            const base = SettingsFingerprints.forPort(controller({}, { loadState: 1 }).ports[0]);
+            expect(SettingsFingerprints.forPort(controller({}, { speak: 6, loadState: 1 }).ports[0])).to.equal(base);
+            expect(SettingsFingerprints.forPort(controller({}, { loadState: 0 }).ports[0])).to.equal(base);
+        });
+
+        it('changes with the mode or settings of a port', () => {
+            const base = SettingsFingerprints.forPort(controller().ports[0]);
+            expect(SettingsFingerprints.forPort(controller({}, { curMode: 3 }).ports[0])).to.not.equal(base);
+            expect(SettingsFingerprints.forPort(controller({}, { portName: 'Fan' }).ports[0])).to.not.equal(base);
+        });
+    });
+
+    describe('forController()', () => {
+        it('ignores sensor readings but not the controller fields', () => {
+            const base = SettingsFingerprints.forController(controller());
+            expect(SettingsFingerprints.forController(controller({ temperature: 2500 }))).to.equal(base);
+            expect(SettingsFingerprints.forController(controller({ devName: 'Other' }))).to.not.equal(base);
+            expect(SettingsFingerprints.forController(controller({ online: 0 }))).to.not.equal(base);
+        });
+    });
+
+    describe('needsRefresh()', () => {
+        const now = 1000000;
+
+        it('requires a fetch for unknown ports and changed fingerprints only', () => {
+            const store = new SettingsFingerprints({ resyncInterval: 10 });
+            expect(store.needsRefresh(1, 1, 'a', now)).to.equal(true);
+
+            store.markFetched(1, 1, 'a', now);
+            expect(store.needsRefresh(1, 1, 'a', now + 1000)).to.equal(false);
+            expect(store.needsRefresh(1, 1, 'b', now + 1000)).to.equal(true);
+            expect(store.needsRefresh(1, 2, 'a', now + 1000)).to.equal(true);
+        });
+
+        it('resyncs unchanged settings after the resync interval', () => {
+            const store = new SettingsFingerprints({ resyncInterval: 10 });
+            store.markFetched(1, 1, 'a', now);
+
+            expect(store.needsRefresh(1, 1, 'a', now + 10 * 60 * 1000 - 1)).to.equal(false);
+            expect(store.needsRefresh(1, 1, 'a', now + 10 * 60 * 1000)).to.equal(true);
+        });
+
+        it('always fetches with a resync interval of 0', () => {
+            const store = new SettingsFingerprints({ resyncInterval: 0 });
+            store.markFetched(1, 1, 'a', now);
+            expect(store.needsRefresh(1, 1, 'a', now)).to.equal(true);
+        });
+
+        it('fetches again after invalidate() and clear()', () => {
+            const store = new SettingsFingerprints({ resyncInterval: 10 });
+            store.markFetched(1, 1, 'a', now);
+            store.markFetched(1, 0, 'c', now);
+
+            store.invalidate(1, 1);
+            expect(store.needsRefresh(1, 1, 'a', now)).to.equal(true);
+            expect(store.needsRefresh(1, 0, 'c', now)).to.equal(false);
+
+            store.clear();
+            expect(store.needsRefresh(1, 0, 'c', now)).to.equal(true);
+        });
+    });
+});
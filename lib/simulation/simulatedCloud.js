@@ -0,0 +1,594 @@
+/**
+ * Simulated AC Infinity cloud
+ * Keeps fake controllers with a drifting climate and ports that react to mode writes
+ */
+
+'use strict';
+
+const {
+    API_ENDPOINTS,
+    CONTROLLER_PROPERTY_KEY,
+    PORT_PROPERTY_KEY,
+    ADVANCED_SETTINGS_KEY,
+    PORT_CONTROL_KEY,
+    SCHEDULE_DISABLED_VALUE,
+} = require('../constants');
+
+// Supported controller models: devType -> number of ports
+const SIMULATED_MODELS = {
+    1: { name: 'CTR69W', ports: 4 },
+    11: { name: 'CTR69P', ports: 4 },
+    18: { name: 'CTR69Q', ports: 4 },
+    20: { name: 'CTR89Q', ports: 8 },
+    22: { name: 'AC-ADA4', ports: 4 },
+    24: { name: 'AC-ADA8', ports: 8 },
+};
+
+// Load types assigned to the ports in order: fan, grow light, humidifier, heater
+const DEFAULT_PORT_LOADS = [6, 1, 2, 4];
+
+// Climate effect of a port running at full speed, per load type
+const LOAD_EFFECTS = {
+    1: { temperature: 4, humidity: -3 }, // Grow Light
+    2: { temperature: 0, humidity: 20 }, // Humidifier
+    4: { temperature: 6, humidity: -4 }, // Heater
+    5: { temperature: -6, humidity: -5 }, // AC
+    6: { temperature: -2, humidity: -10 }, // Fan
+};
+
+// Time constant of the climate following its target, in seconds
+const CLIMATE_TIME_CONSTANT = 600;
+
+/**
+ * Calculates the vapour pressure deficit in kPa
+ *
+ * @param {number} temperature - Air temperature in °C
+ * @param {number} humidity - Relative humidity in %
+ * @returns {number} - VPD in kPa
+ */
+function calculateVpd(temperature, humidity) {
+    const saturation = 0.6108 * Math.exp((17.27 * temperature) / (temperature + 237.3));
+    return saturation * (1 - humidity / 100);
+}
+
+/**
+ * Converts a form value to a number where possible
+ *
+ * @param {string} value - Raw form value
+ * @returns {string|number} - Number or the original string
+ */
+function toValue(value) {
+    return value !== '' && !isNaN(Number(value)) ? Number(value) : value;
+}
+
+class SimulatedCloud {
+    /**
+     * Creates a new simulated cloud
+     *
+     * @param {Array<{name?: string, model?: number, ports?: number}>} controllers - Controllers to simulate
+     * @param {object} [options] - Simulation options
+     * @param {() => number} [options.now] - Clock in milliseconds, replaceable for reproducible runs
+     */
+    constructor(controllers, options = {}) {
+        this.now = options.now || Date.now;
+        this.tokens = new Set();
+        this.controllers = new Map();
+        this.lastTick = this.now();
+
+        (controllers || []).forEach((config, index) => {
+            const controller = this.createController(config, index);
+            this.controllers.set(String(controller.devId), controller);
+        });
+    }
+
+    /**
+     * Builds the initial state of one controller
+     *
+     * @param {{name?: string, model?: number, ports?: number}} config - Controller configuration
+     * @param {number} index - Position in the configuration
+     * @returns {object} - Controller state
+     */
+    createController(config, index) {
+        const devType = SIMULATED_MODELS[config.model] ? Number(config.model) : 20;
+        const model = SIMULATED_MODELS[devType];
+        const portCount = Math.min(Math.max(1, parseInt(String(config.ports)) || model.ports), model.ports);
+        const devId = 1000000000001 + index;
+
+        const controller = {
+            devId,
+            devName: config.name || `Simulated ${model.name} ${index + 1}`,
+            devType,
+            devMacAddr: `5A0000${String(index + 1).padStart(6, '0')}`,
+            temperature: 24 + index,
+            humidity: 55,
+            settings: {
+                [ADVANCED_SETTINGS_KEY.DEV_ID]: devId,
+                [ADVANCED_SETTINGS_KEY.TEMP_UNIT]: 1,
+                [ADVANCED_SETTINGS_KEY.CALIBRATE_TEMP]: 0,
+                [ADVANCED_SETTINGS_KEY.CALIBRATE_TEMP_F]: 0,
+                [ADVANCED_SETTINGS_KEY.CALIBRATE_HUMIDITY]: 0,
+                [ADVANCED_SETTINGS_KEY.VPD_LEAF_TEMP_OFFSET]: 0,
+                [ADVANCED_SETTINGS_KEY.VPD_LEAF_TEMP_OFFSET_F]: 0,
+                [ADVANCED_SETTINGS_KEY.OUTSIDE_TEMP_COMPARE]: 0,
+                [ADVANCED_SETTINGS_KEY.OUTSIDE_HUMIDITY_COMPARE]: 0,
+            },
+            ports: [],
+        };
+
+        for (let port = 1; port <= portCount; port++) {
+            controller.ports.push(this.createPort(devId, port));
+        }
+        return controller;
+    }
+
+    /**
+     * Builds the initial state of one port
+     *
+     * @param {number} devId - Controller ID
+     * @param {number} port - Port number (1-based)
+     * @returns {object} - Port state
+     */
+    createPort(devId, port) {
+        const loadType = DEFAULT_PORT_LOADS[(port - 1) % DEFAULT_PORT_LOADS.length];
+        return {
+            port,
+            portName: `Port ${port}`,
+            speak: 0,
+            remainTime: 0,
+            modeChangedAt: this.now(),
+            mode: {
+                [PORT_CONTROL_KEY.DEV_ID]: devId,
+                [PORT_CONTROL_KEY.MODE_SET_ID]: String(devId * 10 + port),
+                externalPort: port,
+                [PORT_CONTROL_KEY.AT_TYPE]: 1,
+                curMode: 1,
+                [PORT_CONTROL_KEY.ON_SPEED]: 5,
+                [PORT_CONTROL_KEY.OFF_SPEED]: 0,
+                [PORT_CONTROL_KEY.SURPLUS]: 0,
+                vpdstatus: 0,
+                vpdnums: 0,
+                [PORT_CONTROL_KEY.TIMER_DURATION_TO_ON]: 3600,
+                [PORT_CONTROL_KEY.TIMER_DURATION_TO_OFF]: 3600,
+                [PORT_CONTROL_KEY.CYCLE_DURATION_ON]: 600,
+                [PORT_CONTROL_KEY.CYCLE_DURATION_OFF]: 600,
+                [PORT_CONTROL_KEY.SCHEDULED_START_TIME]: SCHEDULE_DISABLED_VALUE,
+                [PORT_CONTROL_KEY.SCHEDULED_END_TIME]: SCHEDULE_DISABLED_VALUE,
+                [PORT_CONTROL_KEY.AUTO_SETTINGS_MODE]: 0,
+                [PORT_CONTROL_KEY.AUTO_TEMP_HIGH_ENABLED]: 1,
+                [PORT_CONTROL_KEY.AUTO_TEMP_HIGH_TRIGGER]: 28,
+                [PORT_CONTROL_KEY.AUTO_TEMP_HIGH_TRIGGER_F]: 82,
+                [PORT_CONTROL_KEY.AUTO_TEMP_LOW_ENABLED]: 0,
+                [PORT_CONTROL_KEY.AUTO_TEMP_LOW_TRIGGER]: 18,
+                [PORT_CONTROL_KEY.AUTO_TEMP_LOW_TRIGGER_F]: 64,
+                [PORT_CONTROL_KEY.AUTO_HUMIDITY_HIGH_ENABLED]: 1,
+                [PORT_CONTROL_KEY.AUTO_HUMIDITY_HIGH_TRIGGER]: 70,
+                [PORT_CONTROL_KEY.AUTO_HUMIDITY_LOW_ENABLED]: 0,
+                [PORT_CONTROL_KEY.AUTO_HUMIDITY_LOW_TRIGGER]: 40,
+                [PORT_CONTROL_KEY.AUTO_TARGET_TEMP_ENABLED]: 0,
+                [PORT_CONTROL_KEY.AUTO_TARGET_TEMP]: 24,
+                [PORT_CONTROL_KEY.AUTO_TARGET_TEMP_F]: 75,
+                [PORT_CONTROL_KEY.AUTO_TARGET_HUMIDITY_ENABLED]: 0,
+                [PORT_CONTROL_KEY.AUTO_TARGET_HUMIDITY]: 55,
+                [PORT_CONTROL_KEY.VPD_SETTINGS_MODE]: 0,
+                [PORT_CONTROL_KEY.VPD_HIGH_ENABLED]: 1,
+                [PORT_CONTROL_KEY.VPD_HIGH_TRIGGER]: 15,
+                [PORT_CONTROL_KEY.VPD_LOW_ENABLED]: 0,
+                [PORT_CONTROL_KEY.VPD_LOW_TRIGGER]: 5,
+                [PORT_CONTROL_KEY.VPD_TARGET_ENABLED]: 0,
+                [PORT_CONTROL_KEY.VPD_TARGET]: 10,
+            },
+            settings: {
+                [ADVANCED_SETTINGS_KEY.DEV_ID]: devId,
+                [ADVANCED_SETTINGS_KEY.TEMP_UNIT]: 1,
+                [ADVANCED_SETTINGS_KEY.DEVICE_LOAD_TYPE]: loadType,
+                [ADVANCED_SETTINGS_KEY.DYNAMIC_RESPONSE_TYPE]: 0,
+                [ADVANCED_SETTINGS_KEY.DYNAMIC_TRANSITION_TEMP]: 1,
+                [ADVANCED_SETTINGS_KEY.DYNAMIC_TRANSITION_TEMP_F]: 2,
+                [ADVANCED_SETTINGS_KEY.DYNAMIC_TRANSITION_HUMIDITY]: 2,
+                [ADVANCED_SETTINGS_KEY.DYNAMIC_TRANSITION_VPD]: 1,
+                [ADVANCED_SETTINGS_KEY.DYNAMIC_BUFFER_TEMP]: 1,
+                [ADVANCED_SETTINGS_KEY.DYNAMIC_BUFFER_TEMP_F]: 2,
+                [ADVANCED_SETTINGS_KEY.DYNAMIC_BUFFER_HUMIDITY]: 2,
+                [ADVANCED_SETTINGS_KEY.DYNAMIC_BUFFER_VPD]: 1,
+                [ADVANCED_SETTINGS_KEY.SUNRISE_TIMER_ENABLED]: 0,
+                [ADVANCED_SETTINGS_KEY.SUNRISE_TIMER_DURATION]: 15,
+            },
+        };
+    }
+
+    /**
+     * Handles one API request
+     *
+     * @param {string} endpoint - API endpoint path
+     * @param {Record<string, string>} params - Decoded form parameters
+     * @param {string|undefined} token - Token header of the request
+     * @returns {{status: number, body: object}} - HTTP status and JSON body
+     */
+    handle(endpoint, params, token) {
+        if (endpoint === API_ENDPOINTS.LOGIN) {
+            return this.login(params);
+        }
+
+        if (!token || !this.tokens.has(token)) {
+            return { status: 401, body: { code: 401, msg: 'Unauthorized' } };
+        }
+
+        this.tick();
+
+        switch (endpoint) {
+            case API_ENDPOINTS.DEVICE_LIST:
+                return this.ok([...this.controllers.values()].map(controller => this.describeController(controller)));
+            case API_ENDPOINTS.DEVICE_MODE_SETTINGS:
+                return this.withPort(params, (controller, port) => this.ok(this.describeMode(controller, port)));
+            case API_ENDPOINTS.UPDATE_DEVICE_MODE:
+                return this.withPort(params, (controller, port) => this.updateMode(port, params));
+            case API_ENDPOINTS.DEVICE_SETTINGS:
+                return this.withSettings(params, (controller, settings) =>
+                    this.ok({ ...settings, [ADVANCED_SETTINGS_KEY.DEV_NAME]: controller.devName }),
+                );
+            case API_ENDPOINTS.UPDATE_ADVANCED_SETTINGS:
+                return this.withSettings(params, (controller, settings) =>
+                    this.updateSettings(controller, settings, params),
+                );
+            default:
+                return { status: 404, body: { code: 404, msg: `Unknown endpoint ${endpoint}` } };
+        }
+    }
+
+    /**
+     * Accepts any non-empty credentials and issues a token
+     *
+     * @param {Record<string, string>} params - Form parameters
+     * @returns {{status: number, body: object}} - Response
+     */
+    login(params) {
+        if (!params.appEmail || !params.appPasswordl) {
+            return this.fail(10001, 'Email or password is empty');
+        }
+        const token = `sim-${this.tokens.size + 1}-${Math.random().toString(36).slice(2, 10)}`;
+        this.tokens.add(token);
+        return this.ok({ appId: token, appEmail: params.appEmail });
+    }
+
+    /**
+     * Looks up the controller and port of a request
+     *
+     * @param {Record<string, string>} params - Form parameters
+     * @param {(controller: object, port: object) => {status: number, body: object}} handler - Request handler
+     * @returns {{status: number, body: object}} - Response
+     */
+    withPort(params, handler) {
+        const controller = this.controllers.get(String(params.devId));
+        if (!controller) {
+            return this.fail(404, `Device ${params.devId} not found`);
+        }
+        const portId = Number(params.port ?? params.externalPort);
+        const port = controller.ports.find(p => p.port === portId);
+        if (!port) {
+            return this.fail(404, `Port ${portId} not found on device ${params.devId}`);
+        }
+        return handler(controller, port);
+    }
+
+    /**
+     * Looks up the settings object addressed by a request (port 0 is the controller)
+     *
+     * @param {Record<string, string>} params - Form parameters
+     * @param {(controller: object, settings: object) => {status: number, body: object}} handler - Request handler
+     * @returns {{status: number, body: object}} - Response
+     */
+    withSettings(params, handler) {
+        const controller = this.controllers.get(String(params.devId));
+        if (!controller) {
+            return this.fail(404, `Device ${params.devId} not found`);
+        }
+        const portId = Number(params.port || 0);
+        if (portId === 0) {
+            return handler(controller, controller.settings);
+        }
+        const port = controller.ports.find(p => p.port === portId);
+        if (!port) {
+            return this.fail(404, `Port ${portId} not found on device ${params.devId}`);
+        }
+        return handler(controller, port.settings);
+    }
+
+    /**
+     * Stores a mode write and restarts the mode's timers
+     *
+     * @param {object} port - Port state
+     * @param {Record<string, string>} params - Form parameters
+     * @returns {{status: number, body: object}} - Response
+     */
+    updateMode(port, params) {
+        const atType = Number(params[PORT_CONTROL_KEY.AT_TYPE]);
+        if (params[PORT_CONTROL_KEY.AT_TYPE] !== undefined && !(atType >= 1 && atType <= 8)) {
+            return this.fail(10002, `Invalid atType ${params[PORT_CONTROL_KEY.AT_TYPE]}`);
+        }
+
+        for (const [key, value] of Object.entries(params)) {
+            if (key in port.mode && key !== PORT_CONTROL_KEY.DEV_ID && key !== 'externalPort') {
+                port.mode[key] = toValue(value);
+            }
+        }
+        port.mode.curMode = port.mode[PORT_CONTROL_KEY.AT_TYPE];
+        port.modeChangedAt = this.now();
+        this.tick();
+        return this.ok(null);
+    }
+
+    /**
+     * Stores an advanced settings write
+     *
+     * @param {object} controller - Controller state
+     * @param {object} settings - Settings object to update
+     * @param {Record<string, string>} params - Form parameters
+     * @returns {{status: number, body: object}} - Response
+     */
+    updateSettings(controller, settings, params) {
+        for (const [key, value] of Object.entries(params)) {
+            if (key === ADVANCED_SETTINGS_KEY.DEV_NAME) {
+                // The controller name travels with every write; only the port 0 write renames it
+                if (settings === controller.settings && value) {
+                    controller.devName = value;
+                }
+            } else if (key in settings && key !== ADVANCED_SETTINGS_KEY.DEV_ID) {
+                settings[key] = toValue(value);
+            }
+        }
+        return this.ok(null);
+    }
+
+    /**
+     * Advances the climate model and the port outputs to the current time
+     */
+    tick() {
+        const now = this.now();
+        const elapsed = Math.max(0, (now - this.lastTick) / 1000);
+        this.lastTick = now;
+
+        for (const controller of this.controllers.values()) {
+            for (const port of controller.ports) {
+                this.updatePortOutput(controller, port, now);
+            }
+            if (elapsed > 0) {
+                this.updateClimate(controller, now, elapsed);
+            }
+        }
+    }
+
+    /**
+     * Moves temperature and humidity towards a target given by the time of day and the running loads
+     *
+     * @param {object} controller - Controller state
+     * @param {number} now - Current time in milliseconds
+     * @param {number} elapsed - Seconds since the last update
+     */
+    updateClimate(controller, now, elapsed) {
+        const dayPhase = (2 * Math.PI * (now % 86400000)) / 86400000;
+        let targetTemperature = 23 + 2 * Math.sin(dayPhase);
+        let targetHumidity = 55 - 5 * Math.sin(dayPhase);
+
+        for (const port of controller.ports) {
+            const effect = LOAD_EFFECTS[port.settings[ADVANCED_SETTINGS_KEY.DEVICE_LOAD_TYPE]];
+            if (effect && port.speak > 0) {
+                targetTemperature += (effect.temperature * port.speak) / 10;
+                targetHumidity += (effect.humidity * port.speak) / 10;
+            }
+        }
+
+        const factor = 1 - Math.exp(-elapsed / CLIMATE_TIME_CONSTANT);
+        const noise = Math.sqrt(Math.min(elapsed, 600) / 60);
+        controller.temperature += (targetTemperature - controller.temperature) * factor;
+        controller.temperature += (Math.random() - 0.5) * 0.1 * noise;
+        controller.humidity += (targetHumidity - controller.humidity) * factor;
+        controller.humidity += (Math.random() - 0.5) * 0.5 * noise;
+        controller.humidity = Math.min(99, Math.max(5, controller.humidity));
+    }
+
+    /**
+     * Derives the current speed and remaining time of a port from its mode
+     *
+     * @param {object} controller - Controller state
+     * @param {object} port - Port state
+     * @param {number} now - Current time in milliseconds
+     */
+    updatePortOutput(controller, port, now) {
+        const mode = port.mode;
+        const onSpeed = Number(mode[PORT_CONTROL_KEY.ON_SPEED]) || 0;
+        const offSpeed = Number(mode[PORT_CONTROL_KEY.OFF_SPEED]) || 0;
+        const sinceChange = Math.floor((now - port.modeChangedAt) / 1000);
+        let on = false;
+        let remainTime = 0;
+
+        switch (Number(mode[PORT_CONTROL_KEY.AT_TYPE])) {
+            case 2: // On
+                on = true;
+                break;
+            case 3: // Auto
+                on = this.isAutoTriggered(controller, mode);
+                break;
+            case 4: // Timer to On
+                remainTime = Math.max(0, mode[PORT_CONTROL_KEY.TIMER_DURATION_TO_ON] - sinceChange);
+                on = remainTime === 0;
+                break;
+            case 5: // Timer to Off
+                remainTime = Math.max(0, mode[PORT_CONTROL_KEY.TIMER_DURATION_TO_OFF] - sinceChange);
+                on = remainTime > 0;
+                break;
+            case 6: {
+                // Cycle
+                const onTime = Math.max(1, mode[PORT_CONTROL_KEY.CYCLE_DURATION_ON]);
+                const offTime = Math.max(1, mode[PORT_CONTROL_KEY.CYCLE_DURATION_OFF]);
+                const phase = sinceChange % (onTime + offTime);
+                on = phase < onTime;
+                remainTime = on ? onTime - phase : onTime + offTime - phase;
+                break;
+            }
+            case 7: // Schedule
+                on = this.isInSchedule(mode, new Date(now));
+                break;
+            case 8: // VPD
+                on = this.isVpdTriggered(controller, mode);
+                break;
+            default: // Off
+                on = false;
+        }
+
+        port.speak = on ? onSpeed : offSpeed;
+        port.remainTime = remainTime;
+    }
+
+    /**
+     * Checks the temperature and humidity triggers of the Auto mode
+     *
+     * @param {object} controller - Controller state
+     * @param {object} mode - Mode settings of the port
+     * @returns {boolean} - True if the port should run at its on speed
+     */
+    isAutoTriggered(controller, mode) {
+        if (mode[PORT_CONTROL_KEY.AUTO_SETTINGS_MODE] === 1) {
+            return (
+                (mode[PORT_CONTROL_KEY.AUTO_TARGET_TEMP_ENABLED] === 1 &&
+                    controller.temperature > mode[PORT_CONTROL_KEY.AUTO_TARGET_TEMP]) ||
+                (mode[PORT_CONTROL_KEY.AUTO_TARGET_HUMIDITY_ENABLED] === 1 &&
+                    controller.humidity > mode[PORT_CONTROL_KEY.AUTO_TARGET_HUMIDITY])
+            );
+        }
+        return (
+            (mode[PORT_CONTROL_KEY.AUTO_TEMP_HIGH_ENABLED] === 1 &&
+                controller.temperature >= mode[PORT_CONTROL_KEY.AUTO_TEMP_HIGH_TRIGGER]) ||
+            (mode[PORT_CONTROL_KEY.AUTO_TEMP_LOW_ENABLED] === 1 &&
+                controller.temperature <= mode[PORT_CONTROL_KEY.AUTO_TEMP_LOW_TRIGGER]) ||
+            (mode[PORT_CONTROL_KEY.AUTO_HUMIDITY_HIGH_ENABLED] === 1 &&
+                controller.humidity >= mode[PORT_CONTROL_KEY.AUTO_HUMIDITY_HIGH_TRIGGER]) ||
+            (mode[PORT_CONTROL_KEY.AUTO_HUMIDITY_LOW_ENABLED] === 1 &&
+                controller.humidity <= mode[PORT_CONTROL_KEY.AUTO_HUMIDITY_LOW_TRIGGER])
+        );
+    }
+
+    /**
+     * Checks the VPD triggers (stored in tenths of a kPa)
+     *
+     * @param {object} controller - Controller state
+     * @param {object} mode - Mode settings of the port
+     * @returns {boolean} - True if the port should run at its on speed
+     */
+    isVpdTriggered(controller, mode) {
+        const vpd = calculateVpd(controller.temperature, controller.humidity) * 10;
+        if (mode[PORT_CONTROL_KEY.VPD_SETTINGS_MODE] === 1) {
+            return mode[PORT_CONTROL_KEY.VPD_TARGET_ENABLED] === 1 && vpd > mode[PORT_CONTROL_KEY.VPD_TARGET];
+        }
+        return (
+            (mode[PORT_CONTROL_KEY.VPD_HIGH_ENABLED] === 1 && vpd >= mode[PORT_CONTROL_KEY.VPD_HIGH_TRIGGER]) ||
+            (mode[PORT_CONTROL_KEY.VPD_LOW_ENABLED] === 1 && vpd <= mode[PORT_CONTROL_KEY.VPD_LOW_TRIGGER])
+        );
+    }
+
+    /**
+     * Checks whether the given time lies inside the schedule window
+     *
+     * @param {object} mode - Mode settings of the port
+     * @param {Date} date - Time to check
+     * @returns {boolean} - True if the port should run at its on speed
+     */
+    isInSchedule(mode, date) {
+        const start = mode[PORT_CONTROL_KEY.SCHEDULED_START_TIME];
+        const end = mode[PORT_CONTROL_KEY.SCHEDULED_END_TIME];
+        const minute = date.getHours() * 60 + date.getMinutes();
+
+        if (start === SCHEDULE_DISABLED_VALUE && end === SCHEDULE_DISABLED_VALUE) {
+            return false;
+        }
+        if (start === SCHEDULE_DISABLED_VALUE) {
+            return minute < end;
+        }
+        if (end === SCHEDULE_DISABLED_VALUE) {
+            return minute >= start;
+        }
+        return start <= end ? minute >= start && minute < end : minute >= start || minute < end;
+    }
+
+    /**
+     * Builds a devInfoListAll entry
+     *
+     * @param {object} controller - Controller state
+     * @returns {object} - Device as returned by the cloud
+     */
+    describeController(controller) {
+        const temperature = Math.round(controller.temperature * 100);
+        const humidity = Math.round(controller.humidity * 100);
+        const vpd = Math.round(calculateVpd(controller.temperature, controller.humidity) * 100);
+
+        return {
+            [CONTROLLER_PROPERTY_KEY.DEVICE_ID]: String(controller.devId),
+            [CONTROLLER_PROPERTY_KEY.DEVICE_NAME]: controller.devName,
+            [CONTROLLER_PROPERTY_KEY.MAC_ADDR]: controller.devMacAddr,
+            [CONTROLLER_PROPERTY_KEY.DEVICE_TYPE]: controller.devType,
+            [CONTROLLER_PROPERTY_KEY.ONLINE]: 1,
+            [CONTROLLER_PROPERTY_KEY.TIME_ZONE]: 'UTC',
+            [CONTROLLER_PROPERTY_KEY.HW_VERSION]: '1.1',
+            [CONTROLLER_PROPERTY_KEY.SW_VERSION]: '3.2.25',
+            [CONTROLLER_PROPERTY_KEY.TEMPERATURE]: temperature,
+            [CONTROLLER_PROPERTY_KEY.HUMIDITY]: humidity,
+            [CONTROLLER_PROPERTY_KEY.VPD]: vpd,
+            [CONTROLLER_PROPERTY_KEY.DEVICE_INFO]: {
+                [CONTROLLER_PROPERTY_KEY.TEMPERATURE]: temperature,
+                [CONTROLLER_PROPERTY_KEY.HUMIDITY]: humidity,
+                [CONTROLLER_PROPERTY_KEY.VPD]: vpd,
+                [CONTROLLER_PROPERTY_KEY.PORTS]: controller.ports.map(port => ({
+                    [PORT_PROPERTY_KEY.PORT]: port.port,
+                    [PORT_PROPERTY_KEY.NAME]: port.portName,
+                    [PORT_PROPERTY_KEY.SPEAK]: port.speak,
+                    [PORT_PROPERTY_KEY.ONLINE]: 1,
+                    [PORT_PROPERTY_KEY.STATE]: port.speak > 0 ? 1 : 0,
+                    [PORT_PROPERTY_KEY.REMAINING_TIME]: port.remainTime,
+                    curMode: port.mode.curMode,
+                })),
+            },
+        };
+    }
+
+    /**
+     * Builds a getdevModeSettingList response
+     *
+     * @param {object} controller - Controller state
+     * @param {object} port - Port state
+     * @returns {object} - Mode settings as returned by the cloud
+     */
+    describeMode(controller, port) {
+        return {
+            ...port.mode,
+            speak: port.speak,
+            surplus: port.remainTime,
+            vpdnums: Math.round(calculateVpd(controller.temperature, controller.humidity) * 100),
+            devMacAddr: controller.devMacAddr,
+            ipcSetting: null,
+            devSetting: null,
+        };
+    }
+
+    /**
+     * Builds a successful response
+     *
+     * @param {any} data - Response payload
+     * @returns {{status: number, body: object}} - Response
+     */
+    ok(data) {
+        return { status: 200, body: { code: 200, msg: 'success', data } };
+    }
+
+    /**
+     * Builds a response the cloud rejects with a result code
+     *
+     * @param {number} code - Cloud result code
+     * @param {string} msg - Cloud result message
+     * @returns {{status: number, body: object}} - Response
+     */
+    fail(code, msg) {
+        return { status: 200, body: { code, msg, data: null } };
+    }
+}
+
+module.exports = SimulatedCloud;
+module.exports.SIMULATED_MODELS = SIMULATED_MODELS;
@@ -0,0 +1,114 @@
+/**
+ * Local HTTP stand-in for the AC Infinity cloud
+ * Serves the simulated cloud on the loopback interface so the normal client code path is used
+ */
+
+'use strict';
+
+const http = require('node:http');
+const SimulatedCloud = require('./simulatedCloud');
+
+// Upper bound for request bodies; real payloads are a few hundred bytes
+const MAX_BODY_SIZE = 64 * 1024;
+
+class SimulationServer {
+    /**
+     * Creates a new simulation server
+     *
+     * @param {Array<{name?: string, model?: number, ports?: number}>} controllers - Controllers to simulate
+     * @param {object} log - Logger object
+     */
+    constructor(controllers, log) {
+        this.log = log;
+        this.cloud = new SimulatedCloud(controllers);
+        this.server = null;
+    }
+
+    /**
+     * Starts listening on a free loopback port
+     *
+     * @returns {Promise<string>} - Base URL to use instead of the cloud URL
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this.onRequest(req, res));
+            this.server.once('error', reject);
+            this.server.listen(0, '127.0.0.1', () => {
+                const address = this.server.address();
+                const port = typeof address === 'object' && address ? address.port : 0;
+                const baseUrl = `http://127.0.0.1:${port}`;
+                this.log.debug(`Simulation server listening on ${baseUrl}`);
+                resolve(baseUrl);
+            });
+        });
+    }
+
+    /**
+     * Stops the server
+     *
+     * @returns {Promise<void>}
+     */
+    stop() {
+        return new Promise(resolve => {
+            if (!this.server) {
+                resolve();
+                return;
+            }
+            this.server.close(() => resolve());
+            this.server.closeAllConnections();
+            this.server = null;
+        });
+    }
+
+    /**
+     * Reads a form-encoded POST body and answers it from the simulated cloud
+     *
+     * @param {http.IncomingMessage} req - Incoming request
+     * @param {http.ServerResponse} res - Response
+     */
+    onRequest(req, res) {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                this.send(res, 413, { code: 413, msg: 'Payload too large' });
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            if (res.headersSent) {
+                return;
+            }
+            try {
+                const endpoint = new URL(req.url || '/', 'http://localhost').pathname;
+                const params = Object.fromEntries(new URLSearchParams(Buffer.concat(chunks).toString('utf8')));
+                const token = Array.isArray(req.headers.token) ? req.headers.token[0] : req.headers.token;
+                const { status, body } = this.cloud.handle(endpoint, params, token);
+                this.log.debug(`Simulation: ${endpoint} -> ${status}/${body.code}`);
+                this.send(res, status, body);
+            } catch (error) {
+                this.log.warn(`Simulation request failed: ${error.message}`);
+                this.send(res, 500, { code: 500, msg: error.message });
+            }
+        });
+    }
+
+    /**
+     * Writes a JSON response
+     *
+     * @param {http.ServerResponse} res - Response
+     * @param {number} status - HTTP status
+     * @param {object} body - JSON body
+     */
+    send(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(body));
+    }
+}
+
+module.exports = SimulationServer;
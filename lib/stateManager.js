@@ -24,12 +24,26 @@ class StateManager {
      * Erstellt einen neuen StateManager
      *
      * @param {object} adapter - ioBroker-Adapter-Instanz
+     * @param {object} [options] - Optionen
+     * @param {string} [options.root] - Präfix aller Objekt-IDs dieses Kontos (z.B. "accounts.greenhouse.")
+     * @param {(scope?: {deviceId: string|number, portId?: number}) => Promise<void>} [options.refresh] - Lädt die Daten des Kontos, eines Geräts oder eines Ports neu
+     * @param {number} [options.heartbeat] - Minuten, nach denen unveränderte Werte erneut geschrieben werden (0 = nie)
+     * @param {number} [options.removeMissingAfter] - Stunden, nach denen verschwundene Geräte und Ports gelöscht werden (0 = nie)
      */
-    constructor(adapter) {
+    constructor(adapter, options = {}) {
         this.adapter = adapter;
+        this.root = options.root || '';
+        this.refresh = options.refresh || (async () => {});
+        this.heartbeat = (options.heartbeat || 0) * 60 * 1000;
+        // Zuletzt bestätigte Werte: ID -> { val, writtenAt }, null erzwingt den nächsten Schreibvorgang
+        this.valueCache = new Map();
         this.deviceStates = new Map(); // Verfolgt erstellte Gerätezustände
+        this.knownDevices = new Map(); // Geräte-ID -> Set der Port-IDs mit Objekten im Objektbaum
+        this.removeMissingAfter = (options.removeMissingAfter || 0) * 60 * 60 * 1000;
         this._refreshPending = false;
         this._refreshTimer = null;
+        this.delayTimers = new Map(); // Laufende Wartezeiten: Timer -> resolve
+        this.disposed = false;
         this.client = null; // API-Client-Referenz
 
         // Initialisiere Handler
@@ -65,32 +79,198 @@ class StateManager {
 
     /**
      * Initialisiert Zustände für alle Geräte
+     * Legt die Objekte aller gemeldeten Geräte an bzw. ergänzt sie und gleicht danach mit dem Objektbaum ab
      *
-     * @param {Array} devices - Array mit Geräteobjekten
+     * @param {Array} devices - Controller-Modelle (ACInfinityController)
+     * @param {Array<string>} [ignored] - Pfade der im Gerätefilter ignorierten Geräte und Ports
      */
-    async initializeDevices(devices) {
+    async initializeDevices(devices, ignored = []) {
+        // Alle Objekte gemeinsam mit dem Objektbaum vergleichen und nur fehlende oder geänderte schreiben
+        await this.stateCreator.batch(async () => {
+            for (const device of devices) {
+                await this.initializeDevice(device);
+            }
+        });
+
+        // Auch Geräte aus früheren Läufen berücksichtigen, die die Cloud nicht mehr meldet
+        await this.loadKnownDevices();
+        await this.reconcileDevices(devices, ignored);
+    }
+
+    /**
+     * Legt die Objekte eines Geräts mit allen Ports an
+     *
+     * @param {object} device - Controller-Modell (ACInfinityController) aus der Geräteliste
+     */
+    async initializeDevice(device) {
+        const deviceId = device.deviceId;
+        this.adapter.log.info(`Initializing device: ${device.deviceName} (ID: ${deviceId})`);
+
+        // Erstelle Geräteobjekt
+        await this.deviceCreator.createDeviceObject(deviceId, device.deviceName);
+
+        // Erstelle Controller-Info-Kanal
+        await this.deviceCreator.createInfoChannel(deviceId);
+
+        // Erstelle Controller-Sensor-Zustände
+        await this.deviceCreator.createSensorChannel(deviceId);
+
+        // Erstelle Ports
+        const portIds = new Set();
+        for (const port of device.ports) {
+            await this.portCreator.createPortChannel(deviceId, port.portId, port.portName);
+            portIds.add(port.portId);
+        }
+        if (portIds.size === 0) {
+            this.adapter.log.warn(`No ports found for device ${deviceId}`);
+        }
+        this.knownDevices.set(deviceId, portIds);
+    }
+
+    /**
+     * Liest die Geräte und Ports ein, für die bereits Objekte existieren
+     */
+    async loadKnownDevices() {
+        const prefix = `${this.adapter.namespace}.${this.root}devices.`;
+        const range = { startkey: prefix, endkey: `${prefix}\u9999` };
+
+        const deviceObjects = await this.adapter.getObjectViewAsync('system', 'device', range);
+        for (const row of deviceObjects.rows) {
+            const deviceId = row.id.slice(prefix.length);
+            if (!deviceId.includes('.') && !this.knownDevices.has(deviceId)) {
+                this.knownDevices.set(deviceId, new Set());
+            }
+        }
+
+        const channelObjects = await this.adapter.getObjectViewAsync('system', 'channel', range);
+        for (const row of channelObjects.rows) {
+            const match = /^([^.]+)\.ports\.(\d+)$/.exec(row.id.slice(prefix.length));
+            if (match && this.knownDevices.has(match[1])) {
+                this.knownDevices.get(match[1]).add(Number(match[2]));
+            }
+        }
+    }
+
+    /**
+     * Gleicht den Objektbaum mit der aktuellen Geräteliste ab
+     * Neue Geräte und Ports werden angelegt, verschwundene mit info.present=false markiert
+     * und nach Ablauf der Karenzzeit gelöscht.
+     *
+     * @param {Array} devices - Controller-Modelle aus der Geräteliste, ohne ignorierte Geräte und Ports
+     * @param {Array<string>} [ignored] - Pfade der im Gerätefilter ignorierten Geräte und Ports, deren Objekte entfernt werden
+     */
+    async reconcileDevices(devices, ignored = []) {
+        for (const path of ignored) {
+            await this.removeObjects(path, 'ignored in the device filter');
+        }
+
+        // Neue Geräte und Ports zuerst gemeinsam anlegen, damit ihre Zustände danach existieren
+        await this.stateCreator.batch(async () => {
+            for (const device of devices) {
+                const deviceId = device.deviceId;
+                if (!this.knownDevices.has(deviceId)) {
+                    this.adapter.log.info(`New controller found: ${device.deviceName} (ID: ${deviceId})`);
+                    await this.initializeDevice(device);
+                    continue;
+                }
+                const knownPorts = this.knownDevices.get(deviceId);
+                for (const port of device.ports) {
+                    if (!knownPorts.has(port.portId)) {
+                        this.adapter.log.info(
+                            `New port found: device ${deviceId}, port ${port.portId} (${port.portName})`,
+                        );
+                        await this.portCreator.createPortChannel(deviceId, port.portId, port.portName);
+                        knownPorts.add(port.portId);
+                    }
+                }
+            }
+        });
+
+        const seenDevices = new Set();
+
         for (const device of devices) {
-            const deviceId = device.devId;
-            this.adapter.log.info(`Initializing device: ${device.devName} (ID: ${deviceId})`);
+            const deviceId = device.deviceId;
+            seenDevices.add(deviceId);
+            const knownPorts = this.knownDevices.get(deviceId);
+
+            const seenPorts = new Set();
+            for (const port of device.ports) {
+                seenPorts.add(port.portId);
+                await this.updateState(`devices.${deviceId}.ports.${port.portId}.info.present`, true);
+            }
+            await this.updateState(`devices.${deviceId}.info.present`, true);
+
+            for (const portId of [...knownPorts]) {
+                if (!seenPorts.has(portId)) {
+                    await this.handleMissing(`devices.${deviceId}.ports.${portId}`);
+                }
+            }
+        }
+
+        for (const deviceId of [...this.knownDevices.keys()]) {
+            if (!seenDevices.has(deviceId)) {
+                await this.handleMissing(`devices.${deviceId}`);
+            }
+        }
+    }
+
+    /**
+     * Markiert ein Gerät oder einen Port, den die Cloud nicht mehr meldet, und löscht ihn nach der Karenzzeit
+     * Der Zeitpunkt des Verschwindens ist der letzte Wechsel (lc) von info.present und übersteht damit Neustarts.
+     *
+     * @param {string} path - Objekt-ID des Geräts bzw. Ports ohne Kontopräfix
+     */
+    async handleMissing(path) {
+        const presentId = `${path}.info.present`;
+        // Objekte älterer Versionen haben noch keinen present-Zustand
+        await this.createState(presentId, 'Von der Cloud gemeldet', 'boolean', 'indicator.reachable');
+
+        const present = await this.getStateAsync(presentId);
+        if (!present || present.val !== false) {
+            this.adapter.log.warn(`${path} is no longer reported by the cloud, marking it as not present`);
+            await this.updateState(presentId, false);
+            return;
+        }
 
-            // Erstelle Geräteobjekt
-            await this.deviceCreator.createDeviceObject(deviceId, device.devName);
+        if (this.removeMissingAfter > 0 && Date.now() - present.lc >= this.removeMissingAfter) {
+            await this.removeObjects(path, `not reported by the cloud since ${new Date(present.lc).toISOString()}`);
+        }
+    }
 
-            // Erstelle Controller-Info-Kanal
-            await this.deviceCreator.createInfoChannel(deviceId);
+    /**
+     * Löscht die Objekte eines Geräts oder Ports, sofern sie existieren
+     *
+     * @param {string} path - Objekt-ID des Geräts (devices.<id>) bzw. Ports (devices.<id>.ports.<n>) ohne Kontopräfix
+     * @param {string} reason - Grund für die Protokollierung
+     */
+    async removeObjects(path, reason) {
+        const match = /^devices\.([^.]+)(?:\.ports\.(\d+))?$/.exec(path);
+        const knownPorts = match && this.knownDevices.get(match[1]);
+        if (!knownPorts || (match[2] !== undefined && !knownPorts.has(Number(match[2])))) {
+            return;
+        }
 
-            // Erstelle Controller-Sensor-Zustände
-            await this.deviceCreator.createSensorChannel(deviceId);
+        this.adapter.log.info(`Deleting ${path}, ${reason}`);
+        await this.adapter.delObjectAsync(`${this.root}${path}`, { recursive: true });
+        this.forgetObjects(path);
+        if (match[2] !== undefined) {
+            knownPorts.delete(Number(match[2]));
+        } else {
+            this.knownDevices.delete(match[1]);
+        }
+    }
 
-            // Erstelle Ports
-            const ports = device.deviceInfo.ports;
-            if (Array.isArray(ports)) {
-                for (const port of ports) {
-                    const portId = port.port;
-                    await this.portCreator.createPortChannel(deviceId, portId, port.portName);
+    /**
+     * Entfernt gelöschte Objekte aus dem Tracking und dem Wertecache
+     *
+     * @param {string} path - Objekt-ID ohne Kontopräfix, einschließlich aller Unterobjekte
+     */
+    forgetObjects(path) {
+        for (const cache of [this.deviceStates, this.valueCache]) {
+            for (const id of [...cache.keys()]) {
+                if (id === path || id.startsWith(`${path}.`)) {
+                    cache.delete(id);
                 }
-            } else {
-                this.adapter.log.warn(`No ports found for device ${deviceId}`);
             }
         }
     }
@@ -98,23 +278,18 @@ class StateManager {
     /**
      * Aktualisiere Gerätedaten mit neuesten Werten
      *
-     * @param {object} device - Geräteobjekt
+     * @param {object} device - Controller-Modell (ACInfinityController)
      */
     async updateDeviceData(device) {
-        const deviceId = device.devId;
+        const deviceId = device.deviceId;
         this.adapter.log.debug(`Updating device data for ${deviceId}`);
 
         // Aktualisiere Gerätedaten über den DeviceUpdater
         await this.deviceUpdater.updateDeviceData(deviceId, device);
 
         // Aktualisiere Port-Zustände
-        if (device.deviceInfo && Array.isArray(device.deviceInfo.ports)) {
-            for (const port of device.deviceInfo.ports) {
-                const portId = port.port;
-                await this.portUpdater.updatePortData(deviceId, portId, port);
-            }
-        } else {
-            this.adapter.log.warn(`No ports found in device data for ${deviceId}`);
+        for (const port of device.ports) {
+            await this.portUpdater.updatePortData(deviceId, port.portId, port);
         }
     }
 
@@ -123,7 +298,7 @@ class StateManager {
      *
      * @param {string|number} deviceId - Geräte-ID
      * @param {number} portId - Port-ID
-     * @param {object} settings - Einstellungsobjekt
+     * @param {object} settings - Modus-Einstellungen (ACInfinityModeSettings)
      */
     async updatePortSettings(deviceId, portId, settings) {
         await this.portUpdater.updatePortSettings(deviceId, portId, settings);
@@ -134,7 +309,7 @@ class StateManager {
      *
      * @param {string|number} deviceId - Geräte-ID
      * @param {number} portId - Port-ID (0 für Controller-Einstellungen)
-     * @param {object} settings - Einstellungsobjekt
+     * @param {object} settings - Erweiterte Einstellungen (ACInfinityAdvancedSettings)
      */
     async updateAdvancedSettings(deviceId, portId, settings) {
         if (portId === 0) {
@@ -188,6 +363,15 @@ class StateManager {
 
             const deviceId = path[1];
 
+            // Aktualisieren-Schaltflächen lesen nur das betroffene Gerät bzw. den Port neu
+            if (path[path.length - 2] === 'info' && path[path.length - 1] === 'refresh') {
+                const scope = path[2] === 'ports' ? { deviceId, portId: parseInt(path[3]) } : { deviceId };
+                this.adapter.log.info(`Refreshing ${path.slice(0, -2).join('.')}`);
+                await this.refresh(scope);
+                await this.updateState(path.join('.'), state.val);
+                return;
+            }
+
             // Verarbeite Geräteebenen-Einstellungen
             if (path[2] === 'settings') {
                 await this.deviceSettingsHandler.handleDeviceSettingsChange(deviceId, path.slice(3), state.val);
@@ -230,6 +414,64 @@ class StateManager {
         }
     }
 
+    /**
+     * Liest einen Zustand relativ zum Wurzelpfad des Kontos
+     *
+     * @param {string} id - Zustands-ID ohne Kontopräfix
+     * @returns {Promise<ioBroker.State|null|undefined>} - Zustand
+     */
+    async getStateAsync(id) {
+        return this.adapter.getStateAsync(`${this.root}${id}`);
+    }
+
+    /**
+     * Schreibt einen Zustand relativ zum Wurzelpfad des Kontos
+     *
+     * @param {string} id - Zustands-ID ohne Kontopräfix
+     * @param {ioBroker.SettableState} state - Zustand
+     * @returns {Promise<any>} - Ergebnis von setStateAsync
+     */
+    async setStateAsync(id, state) {
+        this.invalidateValue(id);
+        return this.adapter.setStateAsync(`${this.root}${id}`, state);
+    }
+
+    /**
+     * Verwirft den zwischengespeicherten Wert eines Zustands, damit der nächste updateState-Aufruf ihn schreibt
+     *
+     * @param {string} id - Zustands-ID ohne Kontopräfix
+     */
+    invalidateValue(id) {
+        this.valueCache.set(id, null);
+    }
+
+    /**
+     * Liest alle Objekte unterhalb eines Pfads relativ zum Wurzelpfad des Kontos mit einem Zugriff
+     *
+     * @param {string} prefix - Pfad ohne Kontopräfix mit abschließendem Punkt (z.B. "devices.")
+     * @returns {Promise<Record<string, object>>} - Objekte nach ID ohne Kontopräfix
+     */
+    async getObjectsAsync(prefix) {
+        const base = `${this.adapter.namespace}.${this.root}`;
+        const objects = (await this.adapter.getForeignObjectsAsync(`${base}${prefix}*`)) || {};
+        const result = {};
+        for (const [id, obj] of Object.entries(objects)) {
+            result[id.slice(base.length)] = obj;
+        }
+        return result;
+    }
+
+    /**
+     * Legt ein Objekt relativ zum Wurzelpfad des Kontos an oder ergänzt die angegebenen Felder
+     *
+     * @param {string} id - Objekt-ID ohne Kontopräfix
+     * @param {object} obj - Objektdefinition
+     * @returns {Promise<any>} - Ergebnis von extendObjectAsync
+     */
+    async extendObjectAsync(id, obj) {
+        return this.adapter.extendObjectAsync(`${this.root}${id}`, obj);
+    }
+
     /**
      * Helfermethode zum Erstellen eines Zustands
      * Wird vom StateCreator verwendet
@@ -260,10 +502,23 @@ class StateManager {
                 return;
             }
 
+            const now = Date.now();
+            const cached = this.valueCache.get(id);
+            if (cached && cached.val === value && (!this.heartbeat || now - cached.writtenAt < this.heartbeat)) {
+                return;
+            }
+
             // Für Debug-Zwecke
             this.adapter.log.debug(`Updating state ${id} with value ${value}`);
 
-            await this.adapter.setStateAsync(id, { val: value, ack: true });
+            if (cached === undefined) {
+                // Noch nichts geschrieben (z.B. nach dem Start): nur schreiben, wenn der Wert in der Datenbank abweicht
+                await this.adapter.setStateChangedAsync(`${this.root}${id}`, { val: value, ack: true });
+            } else {
+                // Geänderter Wert, Heartbeat oder ausstehende Bestätigung einer Benutzeränderung
+                await this.adapter.setStateAsync(`${this.root}${id}`, { val: value, ack: true });
+            }
+            this.valueCache.set(id, { val: value, writtenAt: now });
         } catch (error) {
             this.adapter.log.error(`Error updating state ${id}: ${error.message}`);
         }
@@ -279,7 +534,7 @@ class StateManager {
     async updateUIState(id, value) {
         try {
             // Mit false ack markieren, aber in der UI anzeigen
-            await this.adapter.setStateAsync(id, { val: value, ack: false });
+            await this.setStateAsync(id, { val: value, ack: false });
         } catch (error) {
             this.adapter.log.warn(`Error temporarily updating UI state ${id}: ${error.message}`);
         }
@@ -292,7 +547,42 @@ class StateManager {
      * @returns {Promise} - Promise, das nach der Verzögerung aufgelöst wird
      */
     async delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.delayTimers.delete(timer);
+                resolve();
+            }, ms);
+            this.delayTimers.set(timer, resolve);
+        });
+    }
+
+    /**
+     * Sendet alle noch gesammelten Benutzerbefehle sofort und wartet auf laufende Schreibvorgänge
+     *
+     * @returns {Promise<void>}
+     */
+    async flushPendingWrites() {
+        await this.portModeHandler.flushPending();
+    }
+
+    /**
+     * Bricht alle Timer ab, z.B. beim Beenden des Adapters
+     * Laufende Wartezeiten enden sofort, danach werden keine Aktualisierungen mehr gestartet.
+     *
+     * @returns {number} - Anzahl der verworfenen, noch nicht gesendeten Änderungen
+     */
+    dispose() {
+        this.disposed = true;
+        if (this._refreshTimer) {
+            clearTimeout(this._refreshTimer);
+            this._refreshTimer = null;
+        }
+        for (const [timer, resolve] of this.delayTimers) {
+            clearTimeout(timer);
+            resolve();
+        }
+        this.delayTimers.clear();
+        return this.portModeHandler.dispose();
     }
 
     /**
@@ -300,6 +590,9 @@ class StateManager {
      * Um Überflutung der API zu vermeiden
      */
     async refreshWithThrottle() {
+        if (this.disposed) {
+            return;
+        }
         if (this._refreshPending) {
             this.adapter.log.debug('Update already in progress, skipping');
             return;
@@ -315,17 +608,23 @@ class StateManager {
         try {
             // Warte einen Moment, um die API nicht zu überlasten
             await this.delay(2000);
-            await this.adapter.updateDeviceData();
+            if (this.disposed) {
+                return;
+            }
+            await this.refresh();
         } catch (error) {
             this.adapter.log.error(`Error during delayed data update: ${error.message}`);
         } finally {
             // Wichtig: Flag nach Abschluss zurücksetzen, auch bei Fehlern
             // Verwende einen Timer um sicherzustellen, dass genug Zeit zwischen Updates ist
-            this._refreshTimer = setTimeout(() => {
-                this._refreshPending = false;
-                this._refreshTimer = null;
-                this.adapter.log.debug('Update lock released');
-            }, 3000); // Wartezeit, um übermäßige Aufrufe zu verhindern
+            // (nach dem Beenden wird kein neuer Timer mehr gestartet)
+            if (!this.disposed) {
+                this._refreshTimer = setTimeout(() => {
+                    this._refreshPending = false;
+                    this._refreshTimer = null;
+                    this.adapter.log.debug('Update lock released');
+                }, 3000); // Wartezeit, um übermäßige Aufrufe zu verhindern
+            }
         }
     }
 }
@@ -0,0 +1,131 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const StateManager = require('./stateManager');
+
+const ID = 'devices.1.ports.2.info.speed';
+
+/**
+ * Builds an adapter stub that records state writes
+ *
+ * @returns {object} - Adapter stub with sinon stubs for both write methods
+ */
+function fakeAdapter() {
+    return {
+        namespace: 'acinfinity.0',
+        log: { silly() {}, debug() {}, info() {}, warn() {}, error: sinon.spy() },
+        setStateAsync: sinon.stub().resolves(),
+        setStateChangedAsync: sinon.stub().resolves(),
+    };
+}
+
+describe('StateManager', () => {
+    describe('updateState()', () => {
+        let clock;
+        let adapter;
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers({ now: 1000000 });
+            adapter = fakeAdapter();
+        });
+
+        afterEach(() => {
+            clock.restore();
+        });
+
+        it('writes the first value only if it differs from the database', async () => {
+            const stateManager = new StateManager(adapter, { root: 'accounts.tent.' });
+
+            await stateManager.updateState(ID, 5);
+
+            expect(adapter.setStateChangedAsync.calledOnceWith(`accounts.tent.${ID}`, { val: 5, ack: true })).to.equal(
+                true,
+            );
+            expect(adapter.setStateAsync.called).to.equal(false);
+        });
+
+        it('skips unchanged values and writes changed ones', async () => {
+            const stateManager = new StateManager(adapter);
+
+            await stateManager.updateState(ID, 5);
+            await stateManager.updateState(ID, 5);
+            await stateManager.updateState(ID, 6);
+
+            expect(adapter.setStateChangedAsync.calledOnce).to.equal(true);
+            expect(adapter.setStateAsync.calledOnceWith(ID, { val: 6, ack: true })).to.equal(true);
+        });
+
+        it('writes an unchanged value again once it was invalidated', async () => {
+            const stateManager = new StateManager(adapter);
+
+            await stateManager.updateState(ID, 5);
+            stateManager.invalidateValue(ID);
+            await stateManager.updateState(ID, 5);
+
+            expect(adapter.setStateAsync.calledOnceWith(ID, { val: 5, ack: true })).to.equal(true);
+        });
+
+        it('confirms a user change even if the cloud reports the previous value', async () => {
+            const stateManager = new StateManager(adapter);
+
+            await stateManager.updateState(ID, 5);
+            await stateManager.updateUIState(ID, 8);
+            await stateManager.updateState(ID, 5);
+
+            expect(adapter.setStateAsync.args).to.deep.equal([
+                [ID, { val: 8, ack: false }],
+                [ID, { val: 5, ack: true }],
+            ]);
+        });
+
+        it('writes unchanged values again after the heartbeat interval', async () => {
+            const stateManager = new StateManager(adapter, { heartbeat: 5 });
+
+            await stateManager.updateState(ID, 5);
+            clock.tick(5 * 60 * 1000 - 1);
+            await stateManager.updateState(ID, 5);
+            expect(adapter.setStateAsync.called).to.equal(false);
+
+            clock.tick(1);
+            await stateManager.updateState(ID, 5);
+            expect(adapter.setStateAsync.calledOnce).to.equal(true);
+
+            // The interval starts again with the heartbeat write
+            clock.tick(60 * 1000);
+            await stateManager.updateState(ID, 5);
+            expect(adapter.setStateAsync.calledOnce).to.equal(true);
+        });
+
+        it('never writes unchanged values again without a heartbeat', async () => {
+            const stateManager = new StateManager(adapter);
+
+            await stateManager.updateState(ID, 5);
+            clock.tick(24 * 60 * 60 * 1000);
+            await stateManager.updateState(ID, 5);
+
+            expect(adapter.setStateAsync.called).to.equal(false);
+        });
+
+        it('ignores null and undefined values', async () => {
+            const stateManager = new StateManager(adapter);
+
+            await stateManager.updateState(ID, null);
+            await stateManager.updateState(ID, undefined);
+
+            expect(adapter.setStateChangedAsync.called).to.equal(false);
+            expect(stateManager.valueCache.has(ID)).to.equal(false);
+        });
+
+        it('logs a failed write and tries again with the next update', async () => {
+            const stateManager = new StateManager(adapter);
+            adapter.setStateChangedAsync.onFirstCall().rejects(new Error('db down'));
+
+            await stateManager.updateState(ID, 5);
+            await stateManager.updateState(ID, 5);
+
+            expect(adapter.log.error.calledOnce).to.equal(true);
+            expect(adapter.setStateChangedAsync.calledTwice).to.equal(true);
+        });
+    });
+});
@@ -0,0 +1,762 @@
+/**
+ * Declarative registry of the controller and port settings
+ * Creation, reading from the cloud and writing back are all derived from these entries
+ *
+ * Each entry maps one state to one API field (plus its °F counterpart for temperatures).
+ * Values are converted in the same way in both directions, so a value read from the cloud
+ * and written back unchanged results in the same API value.
+ */
+
+'use strict';
+
+const {
+    ADVANCED_SETTINGS_KEY,
+    PORT_CONTROL_KEY,
+    SCHEDULE_DISABLED_VALUE,
+    SCHEDULE_MIDNIGHT_VALUE,
+    SCHEDULE_EOD_VALUE,
+    OUTSIDE_CLIMATE_OPTIONS,
+    DYNAMIC_RESPONSE_OPTIONS,
+    DEVICE_LOAD_TYPE_OPTIONS,
+    SETTINGS_MODE_OPTIONS,
+} = require('./constants');
+const { ValidationError } = require('./errors');
+
+// Object level a setting belongs to; its ID is relative to "devices.<id>." or "devices.<id>.ports.<n>."
+const SCOPE = {
+    CONTROLLER: 'controller',
+    PORT: 'port',
+};
+
+// Endpoint pair a setting is read from and written to
+const SOURCE = {
+    ADVANCED: 'advanced', // getDevSetting / updateAdvSetting
+    MODE: 'mode', // getdevModeSettingList / addDevMode
+};
+
+// Conversions between the °C and °F fields of a temperature pair
+const TEMPERATURE = {
+    toF: c => Math.round(c * 1.8 + 32),
+    toC: f => Math.round((f - 32) / 1.8),
+};
+// Offsets and step sizes; the controller stores the °F field as twice the °C field
+const TEMPERATURE_DIFFERENCE = {
+    toF: c => c * 2,
+    toC: f => Math.round(f / 2),
+};
+
+// Fields of a registry entry:
+//   id          State ID relative to the controller or port object
+//   scope       One of SCOPE
+//   source      One of SOURCE
+//   key         API field (for temperatures the °C field)
+//   keyF        API field holding the same temperature in °F
+//   fahrenheit  Conversion between key and keyF (TEMPERATURE or TEMPERATURE_DIFFERENCE)
+//   followUnit  The state shows the temperature in the unit of the controller instead of °C
+//   kind        "number", "boolean", "enum" (index into options) or "time" (minutes of the day as HH:MM)
+//   scale       API units per state unit, e.g. 60 for minutes sent as seconds
+//   decimals    Decimals of the state value
+//   min, max    Allowed range of the state value
+//   options     Values of an enum, the API sends the index
+//   states      Allowed numeric values and their names
+//   onValue     API value written for true, defaults to 1
+//   offValue    API value meaning false resp. "not set", defaults to 0
+//   write       Whether the state can be written, defaults to true
+//   name, role, unit  Object properties of the state
+const STATE_REGISTRY = [
+    // Controller settings
+    {
+        id: 'settings.temperatureUnit',
+        scope: SCOPE.CONTROLLER,
+        source: SOURCE.ADVANCED,
+        key: ADVANCED_SETTINGS_KEY.TEMP_UNIT,
+        kind: 'enum',
+        options: ['F', 'C'],
+        write: false,
+        name: 'Temperatureinheit',
+        role: 'text',
+    },
+    {
+        id: 'settings.temperatureCalibration',
+        scope: SCOPE.CONTROLLER,
+        source: SOURCE.ADVANCED,
+        key: ADVANCED_SETTINGS_KEY.CALIBRATE_TEMP,
+        keyF: ADVANCED_SETTINGS_KEY.CALIBRATE_TEMP_F,
+        fahrenheit: TEMPERATURE_DIFFERENCE,
+        followUnit: true,
+        kind: 'number',
+        name: 'Temperaturkalibrierung',
+        role: 'level',
+        unit: '°',
+    },
+    {
+        id: 'settings.humidityCalibration',
+        scope: SCOPE.CONTROLLER,
+        source: SOURCE.ADVANCED,
+        key: ADVANCED_SETTINGS_KEY.CALIBRATE_HUMIDITY,
+        kind: 'number',
+        name: 'Feuchtigkeitskalibrierung',
+        role: 'level',
+        unit: '%',
+    },
+    {
+        id: 'settings.vpdLeafTemperatureOffset',
+        scope: SCOPE.CONTROLLER,
+        source: SOURCE.ADVANCED,
+        key: ADVANCED_SETTINGS_KEY.VPD_LEAF_TEMP_OFFSET,
+        keyF: ADVANCED_SETTINGS_KEY.VPD_LEAF_TEMP_OFFSET_F,
+        fahrenheit: TEMPERATURE_DIFFERENCE,
+        followUnit: true,
+        kind: 'number',
+        name: 'VPD Blatttemperatur-Offset',
+        role: 'level',
+        unit: '°',
+    },
+    {
+        id: 'settings.outsideTemperature',
+        scope: SCOPE.CONTROLLER,
+        source: SOURCE.ADVANCED,
+        key: ADVANCED_SETTINGS_KEY.OUTSIDE_TEMP_COMPARE,
+        kind: 'enum',
+        options: OUTSIDE_CLIMATE_OPTIONS,
+        name: 'Außentemperatur',
+        role: 'text',
+    },
+    {
+        id: 'settings.outsideHumidity',
+        scope: SCOPE.CONTROLLER,
+        source: SOURCE.ADVANCED,
+        key: ADVANCED_SETTINGS_KEY.OUTSIDE_HUMIDITY_COMPARE,
+        kind: 'enum',
+        options: OUTSIDE_CLIMATE_OPTIONS,
+        name: 'Außenfeuchtigkeit',
+        role: 'text',
+    },
+
+    // Port timer and cycle mode (the API counts seconds)
+    {
+        id: 'mode.timer.toOnMinutes',
+        scope: SCOPE.PORT,
+        source: SOURCE.MODE,
+        key: PORT_CONTROL_KEY.TIMER_DURATION_TO_ON,
+        kind: 'number',
+        scale: 60,
+        min: 0,
+        max: 1440,
+        name: 'Minuten bis Ein (0-1440)',
+        role: 'value.interval',
+        unit: 'min',
+    },
+    {
+        id: 'mode.timer.toOffMinutes',
+        scope: SCOPE.PORT,
+        source: SOURCE.MODE,
+        key: PORT_CONTROL_KEY.TIMER_DURATION_TO_OFF,
+        kind: 'number',
+        scale: 60,
+        min: 0,
+        max: 1440,
+        name: 'Minuten bis Aus (0-1440)',
+        role: 'value.interval',
+        unit: 'min',
+    },
+    {
+        id: 'mode.cycle.onMinutes',
+        scope: SCOPE.PORT,
+        source: SOURCE.MODE,
+        key: PORT_CONTROL_KEY.CYCLE_DURATION_ON,
+        kind: 'number',
+        scale: 60,
+        min: 0,
+        max: 1440,
+        name: 'Minuten Ein (0-1440)',
+        role: 'value.interval',
+        unit: 'min',
+    },
+    {
+        id: 'mode.cycle.offMinutes',
+        scope: SCOPE.PORT,
+        source: SOURCE.MODE,
+        key: PORT_CONTROL_KEY.CYCLE_DURATION_OFF,
+        kind: 'number',
+        scale: 60,
+        min: 0,
+        max: 1440,
+        name: 'Minuten Aus (0-1440)',
+        role: 'value.interval',
+        unit: 'min',
+    },
+
+    // Port schedule mode; switch and time share one field, SCHEDULE_DISABLED_VALUE turns it off
+    {
+        id: 'mode.schedule.startEnabled',
+        scope: SCOPE.PORT,
+        source: SOURCE.MODE,
+        key: PORT_CONTROL_KEY.SCHEDULED_START_TIME,
+        kind: 'boolean',
+        onValue: SCHEDULE_MIDNIGHT_VALUE,
+        offValue: SCHEDULE_DISABLED_VALUE,
+        name: 'Startzeit aktiviert',
+        role: 'switch.enable',
+    },
+    {
+        id: 'mode.schedule.startTime',
+        scope: SCOPE.PORT,
+        source: SOURCE.MODE,
+        key: PORT_CONTROL_KEY.SCHEDULED_START_TIME,
+        kind: 'time',
+        offValue: SCHEDULE_DISABLED_VALUE,
+        name: 'Startzeit',
+        role: 'value.time',
+    },
+    {
+        id: 'mode.schedule.endEnabled',
+        scope: SCOPE.PORT,
+        source: SOURCE.MODE,
+        key: PORT_CONTROL_KEY.SCHEDULED_END_TIME,
+        kind: 'boolean',
+        onValue: SCHEDULE_EOD_VALUE,
+        offValue: SCHEDULE_DISABLED_VALUE,
+        name: 'Endzeit aktiviert',
+        role: 'switch.enable',
+    },
+    {
+        id: 'mode.schedule.endTime',
+        scope: SCOPE.PORT,
+        source: SOURCE.MODE,
+        key: PORT_CONTROL_KEY.SCHEDULED_END_TIME,
+        kind: 'time',
+        offValue: SCHEDULE_DISABLED_VALUE,
+        name: 'Endzeit',
+        role: 'value.time',
+    },
+
+    // Port auto mode; triggers are always shown in °C
+    {
+        id: 'mode.auto.settingsMode',
+        scope: SCOPE.PORT,
+        source: SOURCE.MODE,
+        key: PORT_CONTROL_KEY.AUTO_SETTINGS_MODE,
+        kind: 'enum',
+        options: SETTINGS_MODE_OPTIONS,
+        name: 'Einstellungsmodus',
+        role: 'text',
+    },
+    {
+        id: 'mode.auto.tempHighEnabled',
+        scope: SCOPE.PORT,
+        source: SOURCE.MODE,
+        key: PORT_CONTROL_KEY.AUTO_TEMP_HIGH_ENABLED,
+        kind: 'boolean',
+        name: 'Temperatur-Hochgrenze aktiviert',
+        role: 'switch.enable',
+    },
+    {
+        id: 'mode.auto.tempHighTrigger',
+        scope: SCOPE.PORT,
+        source: SOURCE.MODE,
+        key: PORT_CONTROL_KEY.AUTO_TEMP_HIGH_TRIGGER,
+        keyF: PORT_CONTROL_KEY.AUTO_TEMP_HIGH_TRIGGER_F,
+        fahrenheit: TEMPERATURE,
+        kind: 'number',
+        min: 0,
+        max: 90,
+        name: 'Temperatur-Hochgrenze (0-90)',
+        role: 'value.temperature',
+        unit: '°C',
+    },
+    {
+        id: 'mode.auto.tempLowEnabled',
+        scope: SCOPE.PORT,
+        source: SOURCE.MODE,
+        key: PORT_CONTROL_KEY.AUTO_TEMP_LOW_ENABLED,
+        kind: 'boolean',
+        name: 'Temperatur-Tiefgrenze aktiviert',
+        role: 'switch.enable',
+    },
+    {
+        id: 'mode.auto.tempLowTrigger',
+        scope: SCOPE.PORT,
+        source: SOURCE.MODE,
+        key: PORT_CONTROL_KEY.AUTO_TEMP_LOW_TRIGGER,
+        keyF: PORT_CONTROL_KEY.AUTO_TEMP_LOW_TRIGGER_F,
+        fahrenheit: TEMPERATURE,
+        kind: 'number',
+        min: 0,
+        max: 90,
+        name: 'Temperatur-Tiefgrenze (0-90)',
+        role: 'value.temperature',
+        unit: '°C',
+    },
+    {
+        id: 'mode.auto.humidityHighEnabled',
+        scope: SCOPE.PORT,
+        source: SOURCE.MODE,
+        key: PORT_CONTROL_KEY.AUTO_HUMIDITY_HIGH_ENABLED,
+        kind: 'boolean',
+        name: 'Feuchtigkeit-Hochgrenze aktiviert',
+        role: 'switch.enable',
+    },
+    {
+        id: 'mode.auto.humidityHighTrigger',
+        scope: SCOPE.PORT,
+        source: SOURCE.MODE,
+        key: PORT_CONTROL_KEY.AUTO_HUMIDITY_HIGH_TRIGGER,
+        kind: 'number',
+        min: 0,
+        max: 100,
+        name: 'Feuchtigkeit-Hochgrenze (0-100)',
+        role: 'value.humidity',
+        unit: '%',
+    },
+    {
+        id: 'mode.auto.humidityLowEnabled',
+        scope: SCOPE.PORT,
+        source: SOURCE.MODE,
+        key: PORT_CONTROL_KEY.AUTO_HUMIDITY_LOW_ENABLED,
+        kind: 'boolean',
+        name: 'Feuchtigkeit-Tiefgrenze aktiviert',
+        role: 'switch.enable',
+    },
+    {
+        id: 'mode.auto.humidityLowTrigger',
+        scope: SCOPE.PORT,
+        source: SOURCE.MODE,
+        key: PORT_CONTROL_KEY.AUTO_HUMIDITY_LOW_TRIGGER,
+        kind: 'number',
+        min: 0,
+        max: 100,
+        name: 'Feuchtigkeit-Tiefgrenze (0-100)',
+        role: 'value.humidity',
+        unit: '%',
+    },
+    {
+        id: 'mode.auto.targetTempEnabled',
+        scope: SCOPE.PORT,
+        source: SOURCE.MODE,
+        key: PORT_CONTROL_KEY.AUTO_TARGET_TEMP_ENABLED,
+        kind: 'boolean',
+        name: 'Zieltemperatur aktiviert',
+        role: 'switch.enable',
+    },
+    {
+        id: 'mode.auto.targetTemp',
+        scope: SCOPE.PORT,
+        source: SOURCE.MODE,
+        key: PORT_CONTROL_KEY.AUTO_TARGET_TEMP,
+        keyF: PORT_CONTROL_KEY.AUTO_TARGET_TEMP_F,
+        fahrenheit: TEMPERATURE,
+        kind: 'number',
+        min: 0,
+        max: 90,
+        name: 'Zieltemperatur (0-90)',
+        role: 'value.temperature',
+        unit: '°C',
+    },
+    {
+        id: 'mode.auto.targetHumidityEnabled',
+        scope: SCOPE.PORT,
+        source: SOURCE.MODE,
+        key: PORT_CONTROL_KEY.AUTO_TARGET_HUMIDITY_ENABLED,
+        kind: 'boolean',
+        name: 'Zielfeuchtigkeit aktiviert',
+        role: 'switch.enable',
+    },
+    {
+        id: 'mode.auto.targetHumidity',
+        scope: SCOPE.PORT,
+        source: SOURCE.MODE,
+        key: PORT_CONTROL_KEY.AUTO_TARGET_HUMIDITY,
+        kind: 'number',
+        min: 0,
+        max: 100,
+        name: 'Zielfeuchtigkeit (0-100)',
+        role: 'value.humidity',
+        unit: '%',
+    },
+
+    // Port VPD mode (the API counts tenths of a kPa)
+    {
+        id: 'mode.vpd.settingsMode',
+        scope: SCOPE.PORT,
+        source: SOURCE.MODE,
+        key: PORT_CONTROL_KEY.VPD_SETTINGS_MODE,
+        kind: 'enum',
+        options: SETTINGS_MODE_OPTIONS,
+        name: 'Einstellungsmodus',
+        role: 'text',
+    },
+    {
+        id: 'mode.vpd.highEnabled',
+        scope: SCOPE.PORT,
+        source: SOURCE.MODE,
+        key: PORT_CONTROL_KEY.VPD_HIGH_ENABLED,
+        kind: 'boolean',
+        name: 'VPD-Hochgrenze aktiviert',
+        role: 'switch.enable',
+    },
+    {
+        id: 'mode.vpd.highTrigger',
+        scope: SCOPE.PORT,
+        source: SOURCE.MODE,
+        key: PORT_CONTROL_KEY.VPD_HIGH_TRIGGER,
+        kind: 'number',
+        scale: 10,
+        decimals: 1,
+        min: 0,
+        max: 9.9,
+        name: 'VPD-Hochgrenze (0-9.9)',
+        role: 'value',
+        unit: 'kPa',
+    },
+    {
+        id: 'mode.vpd.lowEnabled',
+        scope: SCOPE.PORT,
+        source: SOURCE.MODE,
+        key: PORT_CONTROL_KEY.VPD_LOW_ENABLED,
+        kind: 'boolean',
+        name: 'VPD-Tiefgrenze aktiviert',
+        role: 'switch.enable',
+    },
+    {
+        id: 'mode.vpd.lowTrigger',
+        scope: SCOPE.PORT,
+        source: SOURCE.MODE,
+        key: PORT_CONTROL_KEY.VPD_LOW_TRIGGER,
+        kind: 'number',
+        scale: 10,
+        decimals: 1,
+        min: 0,
+        max: 9.9,
+        name: 'VPD-Tiefgrenze (0-9.9)',
+        role: 'value',
+        unit: 'kPa',
+    },
+    {
+        id: 'mode.vpd.targetEnabled',
+        scope: SCOPE.PORT,
+        source: SOURCE.MODE,
+        key: PORT_CONTROL_KEY.VPD_TARGET_ENABLED,
+        kind: 'boolean',
+        name: 'Ziel-VPD aktiviert',
+        role: 'switch.enable',
+    },
+    {
+        id: 'mode.vpd.target',
+        scope: SCOPE.PORT,
+        source: SOURCE.MODE,
+        key: PORT_CONTROL_KEY.VPD_TARGET,
+        kind: 'number',
+        scale: 10,
+        decimals: 1,
+        min: 0,
+        max: 9.9,
+        name: 'Ziel-VPD (0-9.9)',
+        role: 'value',
+        unit: 'kPa',
+    },
+
+    // Port advanced settings; temperatures follow the unit of the controller
+    {
+        id: 'settings.deviceType',
+        scope: SCOPE.PORT,
+        source: SOURCE.ADVANCED,
+        key: ADVANCED_SETTINGS_KEY.DEVICE_LOAD_TYPE,
+        kind: 'number',
+        states: DEVICE_LOAD_TYPE_OPTIONS,
+        name: 'Gerätetyp',
+        role: 'value',
+    },
+    {
+        id: 'settings.dynamicResponse',
+        scope: SCOPE.PORT,
+        source: SOURCE.ADVANCED,
+        key: ADVANCED_SETTINGS_KEY.DYNAMIC_RESPONSE_TYPE,
+        kind: 'enum',
+        options: DYNAMIC_RESPONSE_OPTIONS,
+        name: 'Dynamische Reaktion',
+        role: 'text',
+    },
+    {
+        id: 'settings.dynamicTransitionTemp',
+        scope: SCOPE.PORT,
+        source: SOURCE.ADVANCED,
+        key: ADVANCED_SETTINGS_KEY.DYNAMIC_TRANSITION_TEMP,
+        keyF: ADVANCED_SETTINGS_KEY.DYNAMIC_TRANSITION_TEMP_F,
+        fahrenheit: TEMPERATURE_DIFFERENCE,
+        followUnit: true,
+        kind: 'number',
+        min: 0,
+        max: 20,
+        name: 'Übergangstemperatur (0-20)',
+        role: 'value.temperature',
+        unit: '°',
+    },
+    {
+        id: 'settings.dynamicTransitionHumidity',
+        scope: SCOPE.PORT,
+        source: SOURCE.ADVANCED,
+        key: ADVANCED_SETTINGS_KEY.DYNAMIC_TRANSITION_HUMIDITY,
+        kind: 'number',
+        min: 0,
+        max: 10,
+        name: 'Übergangsfeuchtigkeit (0-10)',
+        role: 'value.humidity',
+        unit: '%',
+    },
+    {
+        id: 'settings.dynamicTransitionVPD',
+        scope: SCOPE.PORT,
+        source: SOURCE.ADVANCED,
+        key: ADVANCED_SETTINGS_KEY.DYNAMIC_TRANSITION_VPD,
+        kind: 'number',
+        scale: 10,
+        decimals: 1,
+        min: 0,
+        max: 1,
+        name: 'Übergangs-VPD (0-1)',
+        role: 'value',
+        unit: 'kPa',
+    },
+    {
+        id: 'settings.dynamicBufferTemp',
+        scope: SCOPE.PORT,
+        source: SOURCE.ADVANCED,
+        key: ADVANCED_SETTINGS_KEY.DYNAMIC_BUFFER_TEMP,
+        keyF: ADVANCED_SETTINGS_KEY.DYNAMIC_BUFFER_TEMP_F,
+        fahrenheit: TEMPERATURE_DIFFERENCE,
+        followUnit: true,
+        kind: 'number',
+        min: 0,
+        max: 20,
+        name: 'Puffertemperatur (0-20)',
+        role: 'value.temperature',
+        unit: '°',
+    },
+    {
+        id: 'settings.dynamicBufferHumidity',
+        scope: SCOPE.PORT,
+        source: SOURCE.ADVANCED,
+        key: ADVANCED_SETTINGS_KEY.DYNAMIC_BUFFER_HUMIDITY,
+        kind: 'number',
+        min: 0,
+        max: 10,
+        name: 'Pufferfeuchtigkeit (0-10)',
+        role: 'value.humidity',
+        unit: '%',
+    },
+    {
+        id: 'settings.dynamicBufferVPD',
+        scope: SCOPE.PORT,
+        source: SOURCE.ADVANCED,
+        key: ADVANCED_SETTINGS_KEY.DYNAMIC_BUFFER_VPD,
+        kind: 'number',
+        scale: 10,
+        decimals: 1,
+        min: 0,
+        max: 1,
+        name: 'Puffer-VPD (0-1)',
+        role: 'value',
+        unit: 'kPa',
+    },
+    {
+        id: 'settings.sunriseTimerEnabled',
+        scope: SCOPE.PORT,
+        source: SOURCE.ADVANCED,
+        key: ADVANCED_SETTINGS_KEY.SUNRISE_TIMER_ENABLED,
+        kind: 'boolean',
+        name: 'Sonnenaufgang/Sonnenuntergang-Timer aktiviert',
+        role: 'switch.enable',
+    },
+    {
+        id: 'settings.sunriseTimerMinutes',
+        scope: SCOPE.PORT,
+        source: SOURCE.ADVANCED,
+        key: ADVANCED_SETTINGS_KEY.SUNRISE_TIMER_DURATION,
+        kind: 'number',
+        min: 0,
+        max: 360,
+        name: 'Sonnenaufgang/Sonnenuntergang-Timer Minuten (0-360)',
+        role: 'value.interval',
+        unit: 'min',
+    },
+];
+
+// ioBroker state type per entry kind
+const STATE_TYPES = {
+    number: 'number',
+    boolean: 'boolean',
+    enum: 'string',
+    time: 'string',
+};
+
+/**
+ * Returns the entry of a state
+ *
+ * @param {string} scope - One of SCOPE
+ * @param {string} id - State ID relative to the controller or port object
+ * @returns {object|undefined} - Entry, undefined if the state is not a registered setting
+ */
+function findEntry(scope, id) {
+    return STATE_REGISTRY.find(entry => entry.scope === scope && entry.id === id);
+}
+
+/**
+ * Returns all entries read from one endpoint
+ *
+ * @param {string} scope - One of SCOPE
+ * @param {string} source - One of SOURCE
+ * @returns {Array<object>} - Entries in registry order
+ */
+function getEntries(scope, source) {
+    return STATE_REGISTRY.filter(entry => entry.scope === scope && entry.source === source);
+}
+
+/**
+ * Builds the state definitions of one channel for StateCreator.createMultipleStates
+ *
+ * @param {string} scope - One of SCOPE
+ * @param {string} channel - Channel relative to the controller or port object (e.g. "mode.timer")
+ * @param {string} prefix - ID of the controller or port object including the trailing dot
+ * @returns {Array<object>} - State definitions
+ */
+function createDefinitions(scope, channel, prefix) {
+    return STATE_REGISTRY.filter(
+        entry => entry.scope === scope && entry.id.slice(0, entry.id.lastIndexOf('.')) === channel,
+    ).map(entry => ({
+        id: `${prefix}${entry.id}`,
+        name: entry.name,
+        type: STATE_TYPES[entry.kind],
+        role: entry.role,
+        unit: entry.unit,
+        write: entry.write !== false,
+        states: entry.options || entry.states,
+        common: entry.min !== undefined ? { min: entry.min, max: entry.max } : null,
+    }));
+}
+
+/**
+ * Reads the temperature unit from a settings response
+ *
+ * @param {object} settings - Response of getDevSetting or getdevModeSettingList
+ * @returns {boolean|undefined} - True for °C, false for °F, undefined if the response has no unit
+ */
+function isCelsius(settings) {
+    const unit = settings[ADVANCED_SETTINGS_KEY.TEMP_UNIT];
+    return typeof unit === 'number' ? unit > 0 : undefined;
+}
+
+/**
+ * Converts the API value of a setting into its state value
+ *
+ * @param {object} entry - Registry entry
+ * @param {object} settings - Settings response containing the API fields
+ * @param {boolean|undefined} celsius - Temperature unit of the controller, see isCelsius
+ * @returns {any} - State value, undefined if the response does not contain a valid value
+ */
+function toStateValue(entry, settings, celsius) {
+    if (entry.followUnit && celsius === undefined) {
+        return undefined;
+    }
+    const raw = entry.followUnit && !celsius ? settings[entry.keyF] : settings[entry.key];
+    if (typeof raw !== 'number') {
+        return undefined;
+    }
+
+    switch (entry.kind) {
+        case 'boolean':
+            return raw !== (entry.offValue ?? 0);
+        case 'enum':
+            return entry.options[raw];
+        case 'time':
+            if (raw === entry.offValue) {
+                return undefined;
+            }
+            return `${String(Math.floor(raw / 60)).padStart(2, '0')}:${String(raw % 60).padStart(2, '0')}`;
+        default:
+            if (entry.states && !(raw in entry.states)) {
+                return undefined;
+            }
+            return parseFloat((raw / (entry.scale || 1)).toFixed(entry.decimals || 0));
+    }
+}
+
+/**
+ * Converts a state value into the API fields to write
+ *
+ * @param {object} entry - Registry entry
+ * @param {any} value - State value
+ * @param {boolean} celsius - Temperature unit of the controller
+ * @returns {Array<[string, number]>} - API fields and values; both fields of a temperature pair
+ * @throws {ValidationError} If the value is not valid for the setting
+ */
+function toApiValues(entry, value, celsius) {
+    if (entry.write === false) {
+        throw new ValidationError(`${entry.id} is read-only`);
+    }
+
+    let apiValue;
+    switch (entry.kind) {
+        case 'boolean':
+            apiValue = value ? (entry.onValue ?? 1) : (entry.offValue ?? 0);
+            break;
+        case 'enum':
+            apiValue = entry.options.indexOf(value);
+            if (apiValue < 0) {
+                throw new ValidationError(
+                    `Invalid value for ${entry.id}: ${value} (allowed: ${entry.options.join(', ')})`,
+                );
+            }
+            break;
+        case 'time': {
+            const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+            if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+                throw new ValidationError(`Invalid time for ${entry.id}: ${value} (expected HH:MM)`);
+            }
+            apiValue = Number(match[1]) * 60 + Number(match[2]);
+            break;
+        }
+        default: {
+            const number = Number(value);
+            if (
+                value === '' ||
+                value === null ||
+                !Number.isFinite(number) ||
+                (entry.min !== undefined && number < entry.min) ||
+                (entry.max !== undefined && number > entry.max)
+            ) {
+                throw new ValidationError(`Invalid value for ${entry.id}: ${value}`);
+            }
+            apiValue = Math.round(number * (entry.scale || 1));
+            if (entry.states && !(apiValue in entry.states)) {
+                throw new ValidationError(`Invalid value for ${entry.id}: ${value}`);
+            }
+        }
+    }
+
+    if (!entry.keyF) {
+        return [[entry.key, apiValue]];
+    }
+    if (entry.followUnit && !celsius) {
+        return [
+            [entry.key, entry.fahrenheit.toC(apiValue)],
+            [entry.keyF, apiValue],
+        ];
+    }
+    return [
+        [entry.key, apiValue],
+        [entry.keyF, entry.fahrenheit.toF(apiValue)],
+    ];
+}
+
+module.exports = {
+    SCOPE,
+    SOURCE,
+    STATE_REGISTRY,
+    findEntry,
+    getEntries,
+    createDefinitions,
+    isCelsius,
+    toStateValue,
+    toApiValues,
+};
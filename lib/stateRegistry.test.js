@@ -0,0 +1,149 @@
+'use strict';
+
+const { expect } = require('chai');
+const { SCOPE, findEntry, isCelsius, toStateValue, toApiValues } = require('./stateRegistry');
+const { ValidationError } = require('./errors');
+
+/**
+ * Writes a state value and reads the resulting API fields back
+ *
+ * @param {object} entry - Registry entry
+ * @param {any} value - State value
+ * @param {boolean} celsius - Temperature unit of the controller
+ * @returns {any} - State value read back
+ */
+function roundTrip(entry, value, celsius) {
+    return toStateValue(entry, Object.fromEntries(toApiValues(entry, value, celsius)), celsius);
+}
+
+describe('stateRegistry', () => {
+    const calibration = findEntry(SCOPE.CONTROLLER, 'settings.temperatureCalibration');
+    const targetTemp = findEntry(SCOPE.PORT, 'mode.auto.targetTemp');
+
+    describe('isCelsius()', () => {
+        it('reads the temperature unit of a settings response', () => {
+            expect(isCelsius({ devCompany: 1 })).to.equal(true);
+            expect(isCelsius({ devCompany: 0 })).to.equal(false);
+            expect(isCelsius({})).to.equal(undefined);
+        });
+    });
+
+    describe('temperature differences', () => {
+        it('write both fields with the °F field at twice the °C field', () => {
+            expect(toApiValues(calibration, 7, true)).to.deep.equal([
+                ['devCt', 7],
+                ['devCth', 14],
+            ]);
+            expect(toApiValues(calibration, 15, false)).to.deep.equal([
+                ['devCt', 8],
+                ['devCth', 15],
+            ]);
+            expect(toApiValues(calibration, -3, true)).to.deep.equal([
+                ['devCt', -3],
+                ['devCth', -6],
+            ]);
+        });
+
+        it('are read in the unit of the controller', () => {
+            const settings = { devCt: 8, devCth: 15 };
+            expect(toStateValue(calibration, settings, true)).to.equal(8);
+            expect(toStateValue(calibration, settings, false)).to.equal(15);
+            expect(toStateValue(calibration, settings, undefined)).to.equal(undefined);
+        });
+
+        it('survive a round trip in both units', () => {
+            for (const value of [-10, -1, 0, 1, 7, 10]) {
+                expect(roundTrip(calibration, value, true)).to.equal(value);
+                expect(roundTrip(calibration, value * 2 + 1, false)).to.equal(value * 2 + 1);
+            }
+        });
+    });
+
+    describe('temperature pairs', () => {
+        it('are set in °C and written with the converted °F field', () => {
+            expect(toApiValues(targetTemp, 25, true)).to.deep.equal([
+                ['targetTemp', 25],
+                ['targetTempF', 77],
+            ]);
+            // The state always shows °C, also on a °F controller
+            expect(toApiValues(targetTemp, 25, false)).to.deep.equal([
+                ['targetTemp', 25],
+                ['targetTempF', 77],
+            ]);
+            expect(toStateValue(targetTemp, { targetTemp: 25, targetTempF: 77 }, false)).to.equal(25);
+        });
+
+        it('reject values outside the allowed range', () => {
+            expect(() => toApiValues(targetTemp, 91, true)).to.throw(ValidationError);
+            expect(() => toApiValues(targetTemp, -1, true)).to.throw(ValidationError);
+        });
+    });
+
+    describe('scaled numbers', () => {
+        it('send minutes as seconds', () => {
+            const entry = findEntry(SCOPE.PORT, 'mode.timer.toOnMinutes');
+            expect(toApiValues(entry, 15, true)).to.deep.equal([['acitveTimerOn', 900]]);
+            expect(toStateValue(entry, { acitveTimerOn: 900 }, true)).to.equal(15);
+            expect(roundTrip(entry, 1440, true)).to.equal(1440);
+        });
+
+        it('send VPD values in tenths', () => {
+            const entry = findEntry(SCOPE.PORT, 'mode.vpd.target');
+            expect(toApiValues(entry, 1.2, true)).to.deep.equal([['targetVpd', 12]]);
+            expect(toStateValue(entry, { targetVpd: 12 }, true)).to.equal(1.2);
+            expect(roundTrip(entry, 9.9, true)).to.equal(9.9);
+        });
+
+        it('reject empty and non-numeric values', () => {
+            const entry = findEntry(SCOPE.PORT, 'mode.timer.toOnMinutes');
+            for (const value of ['', null, 'abc', NaN]) {
+                expect(() => toApiValues(entry, value, true)).to.throw(ValidationError);
+            }
+        });
+    });
+
+    describe('schedule times', () => {
+        const startTime = findEntry(SCOPE.PORT, 'mode.schedule.startTime');
+        const startEnabled = findEntry(SCOPE.PORT, 'mode.schedule.startEnabled');
+
+        it('convert between HH:MM and minutes of the day', () => {
+            expect(toApiValues(startTime, '7:05', true)).to.deep.equal([['schedStartTime', 425]]);
+            expect(toStateValue(startTime, { schedStartTime: 425 }, true)).to.equal('07:05');
+            expect(roundTrip(startTime, '23:59', true)).to.equal('23:59');
+        });
+
+        it('treat the off value as not set', () => {
+            expect(toStateValue(startTime, { schedStartTime: 65535 }, true)).to.equal(undefined);
+            expect(toStateValue(startEnabled, { schedStartTime: 65535 }, true)).to.equal(false);
+            expect(toStateValue(startEnabled, { schedStartTime: 425 }, true)).to.equal(true);
+            expect(toApiValues(startEnabled, false, true)).to.deep.equal([['schedStartTime', 65535]]);
+        });
+
+        it('reject invalid times', () => {
+            for (const value of ['24:00', '12:60', '12', 'noon']) {
+                expect(() => toApiValues(startTime, value, true)).to.throw(ValidationError);
+            }
+        });
+    });
+
+    describe('enums and allowed values', () => {
+        it('send the index of an option', () => {
+            const entry = findEntry(SCOPE.CONTROLLER, 'settings.outsideTemperature');
+            expect(toApiValues(entry, 'Higher', true)).to.deep.equal([['tempCompare', 2]]);
+            expect(toStateValue(entry, { tempCompare: 1 }, true)).to.equal('Lower');
+            expect(() => toApiValues(entry, 'Hotter', true)).to.throw(ValidationError);
+        });
+
+        it('only accept the listed numeric values', () => {
+            const entry = findEntry(SCOPE.PORT, 'settings.deviceType');
+            expect(roundTrip(entry, 6, true)).to.equal(6);
+            expect(toStateValue(entry, { loadType: 3 }, true)).to.equal(undefined);
+            expect(() => toApiValues(entry, 3, true)).to.throw(ValidationError);
+        });
+
+        it('reject writes to read-only settings', () => {
+            const entry = findEntry(SCOPE.CONTROLLER, 'settings.temperatureUnit');
+            expect(() => toApiValues(entry, 'C', true)).to.throw(ValidationError, 'read-only');
+        });
+    });
+});
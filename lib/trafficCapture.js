@@ -0,0 +1,232 @@
+/**
+ * Capture and replay of AC Infinity API traffic
+ * Records redacted request/response pairs as a JSON fixture and serves them again in place of the network
+ */
+
+'use strict';
+
+const { API_ENDPOINTS } = require('./constants');
+
+// Format version of the fixture file
+const FIXTURE_VERSION = 1;
+
+// Upper bound for recorded entries; capture is meant to run for a few polling cycles
+const MAX_CAPTURE_ENTRIES = 1000;
+
+// Keys whose values are replaced before anything is stored
+// Values of the same kind get stable pseudonyms, so a replay still sees consistent data
+const REDACTED_KEYS = {
+    appId: 'token',
+    userId: 'token',
+    token: 'token',
+    appEmail: 'email',
+    email: 'email',
+    appPasswordl: 'password',
+    password: 'password',
+    devMacAddr: 'mac',
+    macAddr: 'mac',
+    devName: 'name',
+    portName: 'name',
+};
+
+// Request parameters that identify which recorded response belongs to a request
+const MATCH_KEYS = ['devId', 'port', 'externalPort'];
+
+class Redactor {
+    constructor() {
+        this.pseudonyms = new Map(); // kind -> (original value -> pseudonym)
+    }
+
+    /**
+     * Returns the stable pseudonym for a sensitive value
+     *
+     * @param {string} kind - One of the REDACTED_KEYS values
+     * @param {any} value - Original value
+     * @returns {any} - Replacement value
+     */
+    replace(kind, value) {
+        if (value === null || value === undefined || value === '') {
+            return value;
+        }
+        if (kind === 'password') {
+            return '<redacted>';
+        }
+        if (!this.pseudonyms.has(kind)) {
+            this.pseudonyms.set(kind, new Map());
+        }
+        const known = this.pseudonyms.get(kind);
+        if (!known.has(value)) {
+            const index = known.size + 1;
+            const pseudonyms = {
+                token: `<token-${index}>`,
+                email: `user${index}@example.com`,
+                mac: `00000000000${index.toString(16)}`.slice(-12).toUpperCase(),
+                name: `Redacted ${index}`,
+            };
+            known.set(value, pseudonyms[kind]);
+        }
+        return known.get(value);
+    }
+
+    /**
+     * Returns a redacted deep copy of a value
+     *
+     * @param {any} value - Request parameters or response body
+     * @returns {any} - Redacted copy
+     */
+    redact(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.redact(item));
+        }
+        if (value && typeof value === 'object') {
+            const copy = {};
+            for (const [key, item] of Object.entries(value)) {
+                copy[key] = REDACTED_KEYS[key] ? this.replace(REDACTED_KEYS[key], item) : this.redact(item);
+            }
+            return copy;
+        }
+        return value;
+    }
+}
+
+/**
+ * Decodes a URL-encoded form payload into an object
+ *
+ * @param {string} payload - URL-encoded form data
+ * @returns {Record<string, string>} - Decoded parameters
+ */
+function parseForm(payload) {
+    return Object.fromEntries(new URLSearchParams(typeof payload === 'string' ? payload : ''));
+}
+
+class TrafficRecorder {
+    /**
+     * Creates a new traffic recorder
+     *
+     * @param {object} [options] - Recorder options
+     * @param {string} [options.adapterVersion] - Written into the fixture header
+     * @param {() => void} [options.onChange] - Called after an entry was added
+     */
+    constructor(options = {}) {
+        this.redactor = new Redactor();
+        this.onChange = options.onChange || null;
+        this.fixture = {
+            version: FIXTURE_VERSION,
+            adapterVersion: options.adapterVersion || null,
+            created: new Date().toISOString(),
+            truncated: false,
+            entries: [],
+        };
+    }
+
+    /**
+     * Records one request with its response or error
+     *
+     * @param {string} endpoint - API endpoint path
+     * @param {string} payload - URL-encoded request payload
+     * @param {{status?: number, data?: any, error?: {code?: string, message: string}}} result - Outcome of the request
+     */
+    record(endpoint, payload, result) {
+        if (this.fixture.entries.length >= MAX_CAPTURE_ENTRIES) {
+            this.fixture.truncated = true;
+            return;
+        }
+
+        const entry = {
+            time: new Date().toISOString(),
+            endpoint,
+            request: this.redactor.redact(parseForm(payload)),
+        };
+        if (result.error) {
+            entry.error = { code: result.error.code || null, message: result.error.message };
+        } else {
+            entry.status = result.status;
+            entry.response = this.redactor.redact(result.data);
+        }
+        this.fixture.entries.push(entry);
+
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    /**
+     * Whether the entry limit has been reached
+     *
+     * @returns {boolean} - True if further requests are not recorded
+     */
+    isFull() {
+        return this.fixture.entries.length >= MAX_CAPTURE_ENTRIES;
+    }
+
+    /**
+     * Serializes the fixture
+     *
+     * @returns {string} - Fixture as formatted JSON
+     */
+    toJSON() {
+        return JSON.stringify(this.fixture, null, 2);
+    }
+}
+
+class TrafficReplayer {
+    /**
+     * Creates a new replayer from a fixture recorded by TrafficRecorder
+     *
+     * @param {object} fixture - Parsed fixture file
+     */
+    constructor(fixture) {
+        if (!fixture || !Array.isArray(fixture.entries)) {
+            throw new Error('Invalid capture fixture: "entries" is missing');
+        }
+        this.sequences = new Map(); // match key -> { entries, cursor }
+        for (const entry of fixture.entries) {
+            const key = this.getKey(entry.endpoint, entry.request || {});
+            if (!this.sequences.has(key)) {
+                this.sequences.set(key, { entries: [], cursor: 0 });
+            }
+            this.sequences.get(key).entries.push(entry);
+        }
+    }
+
+    /**
+     * Builds the key that ties a request to its recorded responses
+     *
+     * @param {string} endpoint - API endpoint path
+     * @param {Record<string, any>} params - Request parameters
+     * @returns {string} - Match key
+     */
+    getKey(endpoint, params) {
+        // Writes are answered regardless of their target, so replays of different write sequences still work
+        if (endpoint === API_ENDPOINTS.UPDATE_DEVICE_MODE || endpoint === API_ENDPOINTS.UPDATE_ADVANCED_SETTINGS) {
+            return endpoint;
+        }
+        const parts = MATCH_KEYS.filter(key => params[key] !== undefined).map(key => `${key}=${params[key]}`);
+        return [endpoint, ...parts].join('|');
+    }
+
+    /**
+     * Returns the next recorded outcome for a request
+     * Recorded responses are served in order; the last one is repeated once the sequence is used up.
+     *
+     * @param {string} endpoint - API endpoint path
+     * @param {string} payload - URL-encoded request payload
+     * @returns {{status?: number, data?: any, error?: {code: string|null, message: string}}|null} - Recorded outcome or null if none matches
+     */
+    next(endpoint, payload) {
+        const sequence = this.sequences.get(this.getKey(endpoint, parseForm(payload)));
+        if (!sequence) {
+            return null;
+        }
+        const entry = sequence.entries[Math.min(sequence.cursor, sequence.entries.length - 1)];
+        sequence.cursor++;
+        return entry.error ? { error: entry.error } : { status: entry.status, data: entry.response };
+    }
+}
+
+module.exports = {
+    TrafficRecorder,
+    TrafficReplayer,
+    Redactor,
+    MAX_CAPTURE_ENTRIES,
+};
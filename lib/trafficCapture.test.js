@@ -0,0 +1,163 @@
+'use strict';
+
+const { expect } = require('chai');
+const { API_ENDPOINTS } = require('./constants');
+const { TrafficRecorder, TrafficReplayer, Redactor, MAX_CAPTURE_ENTRIES } = require('./trafficCapture');
+
+/**
+ * Builds a device list response as returned by the cloud
+ *
+ * @param {string} devName - Controller name
+ * @param {Array<string>} portNames - Names of the ports
+ * @returns {object} - Response body
+ */
+function deviceList(devName, portNames) {
+    return {
+        code: 200,
+        data: [
+            {
+                devId: '1',
+                devName,
+                devMacAddr: 'AABBCCDDEEFF',
+                deviceInfo: {
+                    ports: portNames.map((portName, index) => ({ port: index + 1, portName, speak: 5 })),
+                },
+            },
+        ],
+    };
+}
+
+describe('trafficCapture', () => {
+    describe('Redactor', () => {
+        it('replaces sensitive values in nested objects and arrays', () => {
+            const redacted = new Redactor().redact(deviceList('Grow Tent', ['Lüfter', 'Licht']));
+
+            const [device] = redacted.data;
+            expect(device).to.include({ devId: '1', devName: 'Redacted 1', devMacAddr: '000000000001' });
+            expect(device.deviceInfo.ports).to.deep.equal([
+                { port: 1, portName: 'Redacted 2', speak: 5 },
+                { port: 2, portName: 'Redacted 3', speak: 5 },
+            ]);
+        });
+
+        it('keeps pseudonyms stable per value', () => {
+            const redactor = new Redactor();
+            const first = redactor.redact({ token: 'abc', devName: 'Zelt', devMacAddr: 'AABBCCDDEEFF' });
+            const second = redactor.redact({ appId: 'abc', portName: 'Zelt', macAddr: 'AABBCCDDEEFF', userId: 'xyz' });
+
+            expect(second).to.deep.equal({
+                appId: first.token,
+                portName: first.devName,
+                macAddr: first.devMacAddr,
+                userId: '<token-2>',
+            });
+        });
+
+        it('does not touch the original value', () => {
+            const original = { devName: 'Zelt', nested: [{ portName: 'Lüfter' }] };
+            new Redactor().redact(original);
+            expect(original).to.deep.equal({ devName: 'Zelt', nested: [{ portName: 'Lüfter' }] });
+        });
+    });
+
+    describe('TrafficRecorder', () => {
+        it('redacts the form payload and the response', () => {
+            const recorder = new TrafficRecorder({ adapterVersion: '1.2.3' });
+            recorder.record(API_ENDPOINTS.LOGIN, 'appEmail=grow%40example.com&appPasswordl=secret', {
+                status: 200,
+                data: { code: 200, data: { appId: 'session-token' } },
+            });
+            recorder.record(API_ENDPOINTS.DEVICE_LIST, 'userId=session-token', {
+                status: 200,
+                data: deviceList('Grow Tent', ['Lüfter']),
+            });
+
+            const fixture = JSON.parse(recorder.toJSON());
+            expect(fixture).to.include({ version: 1, adapterVersion: '1.2.3', truncated: false });
+            expect(fixture.entries[0].request).to.deep.equal({
+                appEmail: 'user1@example.com',
+                appPasswordl: '<redacted>',
+            });
+            expect(fixture.entries[0].response.data).to.deep.equal({ appId: '<token-1>' });
+            expect(fixture.entries[1].request).to.deep.equal({ userId: '<token-1>' });
+
+            const serialized = recorder.toJSON();
+            for (const secret of [
+                'grow@example.com',
+                'secret',
+                'session-token',
+                'AABBCCDDEEFF',
+                'Grow Tent',
+                'Lüfter',
+            ]) {
+                expect(serialized).to.not.include(secret);
+            }
+        });
+
+        it('records errors without a response', () => {
+            const recorder = new TrafficRecorder();
+            recorder.record(API_ENDPOINTS.DEVICE_LIST, '', { error: { code: 'ETIMEDOUT', message: 'timeout' } });
+
+            const [entry] = recorder.fixture.entries;
+            expect(entry.error).to.deep.equal({ code: 'ETIMEDOUT', message: 'timeout' });
+            expect(entry).to.not.have.property('response');
+        });
+
+        it('stops recording at MAX_CAPTURE_ENTRIES', () => {
+            let changes = 0;
+            const recorder = new TrafficRecorder({ onChange: () => changes++ });
+            for (let i = 0; i <= MAX_CAPTURE_ENTRIES; i++) {
+                expect(recorder.isFull()).to.equal(i >= MAX_CAPTURE_ENTRIES);
+                recorder.record(API_ENDPOINTS.DEVICE_LIST, '', { status: 200, data: { code: 200 } });
+            }
+
+            expect(recorder.fixture.entries).to.have.length(MAX_CAPTURE_ENTRIES);
+            expect(recorder.fixture.truncated).to.equal(true);
+            expect(changes).to.equal(MAX_CAPTURE_ENTRIES);
+        });
+    });
+
+    describe('TrafficReplayer', () => {
+        it('serves a recorded fixture in order and repeats the last response', () => {
+            const recorder = new TrafficRecorder();
+            const settings = API_ENDPOINTS.DEVICE_MODE_SETTINGS;
+            recorder.record(settings, 'devId=1&port=1', { status: 200, data: { code: 200, data: { onSpead: 3 } } });
+            recorder.record(settings, 'devId=1&port=2', { status: 200, data: { code: 200, data: { onSpead: 7 } } });
+            recorder.record(settings, 'devId=1&port=1', { error: { code: 'ECONNRESET', message: 'reset' } });
+            recorder.record(settings, 'devId=1&port=1', { status: 200, data: { code: 200, data: { onSpead: 5 } } });
+
+            const replayer = new TrafficReplayer(JSON.parse(recorder.toJSON()));
+
+            expect(replayer.next(settings, 'devId=1&port=1')).to.deep.equal({
+                status: 200,
+                data: { code: 200, data: { onSpead: 3 } },
+            });
+            expect(replayer.next(settings, 'devId=1&port=1')).to.deep.equal({
+                error: { code: 'ECONNRESET', message: 'reset' },
+            });
+            expect(replayer.next(settings, 'devId=1&port=1').data.data).to.deep.equal({ onSpead: 5 });
+            expect(replayer.next(settings, 'devId=1&port=1').data.data).to.deep.equal({ onSpead: 5 });
+            expect(replayer.next(settings, 'devId=1&port=2').data.data).to.deep.equal({ onSpead: 7 });
+            expect(replayer.next(settings, 'devId=2&port=1')).to.equal(null);
+        });
+
+        it('answers writes regardless of their target', () => {
+            const recorder = new TrafficRecorder();
+            recorder.record(API_ENDPOINTS.UPDATE_DEVICE_MODE, 'devId=1&externalPort=1&onSpead=5', {
+                status: 200,
+                data: { code: 200 },
+            });
+
+            const replayer = new TrafficReplayer(JSON.parse(recorder.toJSON()));
+
+            expect(replayer.next(API_ENDPOINTS.UPDATE_DEVICE_MODE, 'devId=2&externalPort=4&onSpead=1')).to.deep.equal({
+                status: 200,
+                data: { code: 200 },
+            });
+        });
+
+        it('rejects a fixture without entries', () => {
+            expect(() => new TrafficReplayer({ version: 1 })).to.throw('entries');
+        });
+    });
+});
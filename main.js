@@ -9,9 +9,23 @@
 'use strict';
 
 const utils = require('@iobroker/adapter-core');
-const ACInfinityClient = require('./lib/client');
-const StateManager = require('./lib/stateManager');
-const { DEFAULT_POLLING_INTERVAL, MINIMUM_POLLING_INTERVAL } = require('./lib/constants');
+const Account = require('./lib/account');
+const SimulationServer = require('./lib/simulation/simulationServer');
+const { TrafficRecorder, TrafficReplayer } = require('./lib/trafficCapture');
+const {
+    DEFAULT_RETRY_ATTEMPTS,
+    DEFAULT_RETRY_BASE_DELAY,
+    DEFAULT_RETRY_MAX_DELAY,
+    DEFAULT_BREAKER_THRESHOLD,
+    DEFAULT_BREAKER_RESET_DELAY,
+    DEFAULT_BREAKER_MAX_RESET_DELAY,
+    DEFAULT_REQUESTS_PER_SECOND,
+    DEFAULT_MAX_CONCURRENT_REQUESTS,
+    DEFAULT_SIMULATION_CONTROLLERS,
+    DEFAULT_SHUTDOWN_BUDGET,
+    MAXIMUM_SHUTDOWN_BUDGET,
+    DEVICE_ACCESS,
+} = require('./lib/constants');
 
 class ACInfinity extends utils.Adapter {
     /**
@@ -25,13 +39,14 @@ class ACInfinity extends utils.Adapter {
 
         this.on('ready', this.onReady.bind(this));
         this.on('stateChange', this.onStateChange.bind(this));
+        this.on('message', this.onMessage.bind(this));
         this.on('unload', this.onUnload.bind(this));
 
-        this.client = null;
-        this.stateManager = null;
-        this.pollingInterval = null;
-        this.isConnected = false;
-        this.isLoginInProgress = false;
+        this.accounts = new Map(); // account name ('' for the main account) -> Account
+        this.simulationServer = null;
+        this.trafficRecorder = null;
+        this.captureFile = null;
+        this.captureTimer = null;
     }
 
     /**
@@ -58,14 +73,21 @@ class ACInfinity extends utils.Adapter {
         }
 
         // Get adapter configuration
-        const email = this.config.email;
-        const password = this.config.password;
-        const pollingInterval = Math.max(
-            this.config.pollingInterval || DEFAULT_POLLING_INTERVAL,
-            MINIMUM_POLLING_INTERVAL,
-        );
-
-        if (!email || !password) {
+        const simulation = !!this.config.simulation;
+        const replay = this.config.trafficMode === 'replay';
+        // The simulated cloud and the replay fixture accept any credentials
+        const offline = simulation || replay;
+        const polling = {
+            interval: this.config.pollingInterval,
+            fastInterval: this.config.fastPollingInterval,
+            fastDuration: this.config.fastPollingDuration,
+            idleInterval: this.config.idlePollingInterval,
+            quietHoursStart: this.config.quietHoursStart,
+            quietHoursEnd: this.config.quietHoursEnd,
+        };
+
+        const credentials = this.getAccountCredentials(offline);
+        if (credentials.length === 0) {
             this.log.error('Missing login credentials. Please configure in adapter settings.');
             return;
         }
@@ -74,55 +96,83 @@ class ACInfinity extends utils.Adapter {
         await this.setStateAsync('info.connection', { val: false, ack: true });
 
         try {
-            // Initialize API client
-            this.client = new ACInfinityClient(email, password, this.log);
-            this.stateManager = new StateManager(this);
-
-            // Wichtig: Den Client an den StateManager weitergeben
-            this.stateManager.setClient(this.client);
-
-            // Attempt to login
-            this.log.info(`Logging in with email: ${email}`);
-            await this.client.login();
+            let baseUrl;
+            let replayer;
+            if (replay) {
+                replayer = await this.loadReplayFixture();
+            } else if (simulation) {
+                const controllers = Array.isArray(this.config.simulationControllers)
+                    ? this.config.simulationControllers
+                    : [];
+                this.simulationServer = new SimulationServer(
+                    controllers.length > 0 ? controllers : DEFAULT_SIMULATION_CONTROLLERS,
+                    this.log,
+                );
+                baseUrl = await this.simulationServer.start();
+                this.log.warn('Simulation mode is active - no requests are sent to the AC Infinity cloud');
+            }
 
-            // If we got here, login was successful
-            this.log.info('Login successful');
-            this.isConnected = true;
-            await this.setStateAsync('info.connection', { val: true, ack: true });
+            if (this.config.trafficMode === 'capture') {
+                this.startCapture();
+            }
 
-            // Store token information
-            await this.setStateAsync('info.token', { val: this.client.token, ack: true });
+            // Client settings shared by all accounts (the local simulation server is reached without the proxy)
+            const clientOptions = {
+                baseUrl: baseUrl || this.config.apiBaseUrl,
+                proxy: baseUrl
+                    ? undefined
+                    : {
+                          type: this.config.proxyType,
+                          host: this.config.proxyHost,
+                          port: this.config.proxyPort,
+                          username: this.config.proxyUsername,
+                          password: this.config.proxyPassword,
+                      },
+                recorder: this.trafficRecorder,
+                replayer,
+                retry: {
+                    maxAttempts: this.config.retryAttempts || DEFAULT_RETRY_ATTEMPTS,
+                    baseDelay: this.config.retryBaseDelay ?? DEFAULT_RETRY_BASE_DELAY,
+                    maxDelay: this.config.retryMaxDelay ?? DEFAULT_RETRY_MAX_DELAY,
+                },
+                breaker: {
+                    failureThreshold: this.config.breakerThreshold || DEFAULT_BREAKER_THRESHOLD,
+                    resetDelay: (this.config.breakerResetDelay || DEFAULT_BREAKER_RESET_DELAY / 1000) * 1000,
+                    maxResetDelay: (this.config.breakerMaxResetDelay || DEFAULT_BREAKER_MAX_RESET_DELAY / 1000) * 1000,
+                },
+                queue: {
+                    requestsPerSecond: this.config.requestsPerSecond || DEFAULT_REQUESTS_PER_SECOND,
+                    concurrency: this.config.maxConcurrentRequests || DEFAULT_MAX_CONCURRENT_REQUESTS,
+                },
+            };
+
+            for (const { name, email, password } of credentials) {
+                const account = new Account(this, {
+                    name,
+                    email,
+                    password,
+                    clientOptions,
+                    polling,
+                    settingsResyncInterval: this.config.settingsResyncInterval,
+                    pollConcurrency: this.config.pollConcurrency,
+                    stateHeartbeat: this.config.stateHeartbeat,
+                    removeMissingAfter: this.config.removeMissingAfter,
+                    deviceFilters: this.config.deviceFilters,
+                    onConnectionChange: () => this.updateConnectionState(),
+                });
+                this.accounts.set(name || '', account);
+                await account.createObjects();
+            }
 
             // Abonniere alle Zustände
             this.subscribeStates('*');
             this.log.debug("Abonniere alle Zustände mit subscribeStates('*')");
 
-            // Initialize adapter by fetching devices and setting up states
-            await this.initializeAdapter();
-
-            // Set up polling for regular updates
-            this.log.info(`Setting polling interval to ${pollingInterval} seconds`);
-            this.pollingInterval = setInterval(async () => {
-                try {
-                    await this.updateDeviceData();
-                } catch (error) {
-                    this.log.error(`Error during polling update: ${error.message}`);
-                    if (error.message.includes('unauthorized') || error.message.includes('auth')) {
-                        this.log.info('Authentication error detected, attempting to re-login');
-                        if (!this.isLoginInProgress) {
-                            this.isLoginInProgress = true;
-                            try {
-                                await this.client.login();
-                                this.log.info('Re-login successful');
-                            } catch (loginError) {
-                                this.log.error(`Failed to re-login: ${loginError.message}`);
-                            } finally {
-                                this.isLoginInProgress = false;
-                            }
-                        }
-                    }
-                }
-            }, pollingInterval * 1000);
+            // Accounts are started independently and retry until the cloud is reachable,
+            // a failing account does not stop the others
+            for (const account of this.accounts.values()) {
+                account.run().catch(error => account.log.error(`Startup aborted: ${error.message}`));
+            }
         } catch (error) {
             this.log.error(`Initialization error: ${error.message}`);
             await this.setStateAsync('info.connection', { val: false, ack: true });
@@ -130,115 +180,110 @@ class ACInfinity extends utils.Adapter {
     }
 
     /**
-     * Initialize adapter by fetching devices and setting up states
+     * Collects the configured accounts
+     * The account from the main settings keeps the original object tree; the accounts table adds further
+     * accounts below accounts.<name>.
+     *
+     * @param {boolean} offline - Simulation or replay is active, so placeholder credentials are accepted
+     * @returns {Array<{name: string|null, email: string, password: string}>} - Valid accounts
      */
-    async initializeAdapter() {
-        this.log.info('Initializing adapter and fetching devices');
-
-        try {
-            // Fetch all devices
-            const devices = await this.client.getDevicesList();
-
-            // Debug log - check structure
-            if (devices && devices.length > 0) {
-                this.log.debug(`First device sample: ${JSON.stringify(devices[0]).substring(0, 1000)}...`);
+    getAccountCredentials(offline) {
+        const credentials = [];
+        const names = new Set();
+
+        for (const entry of Array.isArray(this.config.accounts) ? this.config.accounts : []) {
+            const name = String((entry && entry.name) || '')
+                .trim()
+                .replace(this.FORBIDDEN_CHARS, '_')
+                .replace(/[.\s]/g, '_');
+            if (!name || !entry.email || !entry.password) {
+                this.log.warn(`Ignoring incomplete account "${name || entry.email || ''}" in the accounts table`);
+                continue;
             }
+            if (names.has(name)) {
+                this.log.warn(`Ignoring duplicate account name "${name}"`);
+                continue;
+            }
+            names.add(name);
+            credentials.push({ name, email: entry.email, password: this.decrypt(entry.password) });
+        }
 
-            this.log.info(`Found ${devices.length} devices`);
-
-            // Create device information in state tree
-            await this.stateManager.initializeDevices(devices);
+        const email = this.config.email || (offline && credentials.length === 0 ? 'simulation@localhost' : '');
+        const password = this.config.password || (offline && credentials.length === 0 ? 'simulation' : '');
+        if (email && password) {
+            credentials.unshift({ name: null, email, password });
+        }
+        return credentials;
+    }
 
-            // Perform initial data update
-            await this.updateDeviceData();
+    /**
+     * Sets info.connection to true when all accounts are connected
+     */
+    updateConnectionState() {
+        const connected = this.accounts.size > 0 && [...this.accounts.values()].every(a => a.connectionState);
+        this.setStateChangedAsync('info.connection', { val: connected, ack: true }).catch(error =>
+            this.log.debug(`Could not publish connection state: ${error.message}`),
+        );
+    }
 
-            this.log.info('Adapter initialization completed successfully');
-        } catch (error) {
-            this.log.error(`Failed to initialize adapter: ${error.message}`);
-            throw error;
+    /**
+     * Reads the fixture configured for replay mode from the adapter's file storage
+     *
+     * @returns {Promise<TrafficReplayer>} - Replayer for the configured fixture
+     */
+    async loadReplayFixture() {
+        const fileName = (this.config.replayFile || '').trim();
+        if (!fileName) {
+            throw new Error('Replay mode needs a capture file, please select one in the adapter settings');
         }
+        const { file } = await this.readFileAsync(this.namespace, fileName);
+        const replayer = new TrafficReplayer(JSON.parse(file.toString()));
+        this.log.warn(`Replay mode is active - requests are answered from ${this.namespace}/${fileName}`);
+        return replayer;
+    }
+
+    /**
+     * Starts recording API traffic to a new file in the adapter's file storage
+     */
+    startCapture() {
+        this.captureFile = `captures/capture-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+        this.trafficRecorder = new TrafficRecorder({
+            adapterVersion: this.version,
+            onChange: () => this.scheduleCaptureWrite(),
+        });
+        this.log.warn(`Capture mode is active - API traffic is written to ${this.namespace}/${this.captureFile}`);
     }
 
     /**
-     * Update all device data
+     * Writes the capture file a few seconds after the last recorded request
      */
-    async updateDeviceData() {
-        if (!this.isConnected || !this.client) {
-            this.log.debug('Not connected, skipping update');
+    scheduleCaptureWrite() {
+        if (this.captureTimer) {
             return;
         }
+        this.captureTimer = setTimeout(() => {
+            this.captureTimer = null;
+            void this.writeCapture();
+        }, 5000);
+    }
 
-        this.log.debug('Updating device data');
+    /**
+     * Writes the recorded traffic to the capture file
+     *
+     * @returns {Promise<void>}
+     */
+    async writeCapture() {
+        if (!this.trafficRecorder) {
+            return;
+        }
         try {
-            // Get latest device data
-            const devices = await this.client.getDevicesList();
-
-            this.log.debug(`Fetched ${devices.length} devices for update`);
-
-            // Update states for all devices
-            for (const device of devices) {
-                this.log.debug(`Updating device ${device.devId} (${device.devName})`);
-
-                // Debug logging for important values
-                if (typeof device.temperature !== 'undefined') {
-                    this.log.debug(
-                        `Device ${device.devId} temperature: ${device.temperature} (raw), ${device.temperature / 100} (converted)`,
-                    );
-                }
-                if (typeof device.humidity !== 'undefined') {
-                    this.log.debug(
-                        `Device ${device.devId} humidity: ${device.humidity} (raw), ${device.humidity / 100} (converted)`,
-                    );
-                }
-                if (typeof device.vpdnums !== 'undefined') {
-                    this.log.debug(
-                        `Device ${device.devId} vpd: ${device.vpdnums} (raw), ${device.vpdnums / 100} (converted)`,
-                    );
-                }
-
-                await this.stateManager.updateDeviceData(device);
-
-                // Fetch and update port settings for each device
-                if (device.deviceInfo && Array.isArray(device.deviceInfo.ports)) {
-                    for (const port of device.deviceInfo.ports) {
-                        const portId = port.port;
-                        this.log.debug(`Fetching settings for device ${device.devId}, port ${portId}`);
-
-                        try {
-                            const portSettings = await this.client.getDeviceModeSettings(device.devId, portId);
-                            await this.stateManager.updatePortSettings(device.devId, portId, portSettings);
-                        } catch (portError) {
-                            this.log.warn(
-                                `Error fetching port mode settings for device ${device.devId}, port ${portId}: ${portError.message}`,
-                            );
-                        }
-
-                        try {
-                            const advancedSettings = await this.client.getDeviceSettings(device.devId, portId);
-                            await this.stateManager.updateAdvancedSettings(device.devId, portId, advancedSettings);
-                        } catch (advError) {
-                            this.log.warn(
-                                `Error fetching advanced settings for device ${device.devId}, port ${portId}: ${advError.message}`,
-                            );
-                        }
-                    }
-                } else {
-                    this.log.warn(`No ports found for device ${device.devId}`);
-                }
-
-                // Fetch and update advanced settings for controller
-                try {
-                    const controllerSettings = await this.client.getDeviceSettings(device.devId, 0);
-                    await this.stateManager.updateAdvancedSettings(device.devId, 0, controllerSettings);
-                } catch (ctrlError) {
-                    this.log.warn(
-                        `Error fetching controller settings for device ${device.devId}: ${ctrlError.message}`,
-                    );
-                }
+            await this.writeFileAsync(this.namespace, this.captureFile, this.trafficRecorder.toJSON());
+            if (this.trafficRecorder.isFull()) {
+                this.log.info(`Capture limit reached, further requests are not recorded in ${this.captureFile}`);
+                this.trafficRecorder.onChange = null;
             }
         } catch (error) {
-            this.log.error(`Error updating device data: ${error.message}`);
-            throw error;
+            this.log.warn(`Could not write capture file: ${error.message}`);
         }
     }
 
@@ -248,15 +293,34 @@ class ACInfinity extends utils.Adapter {
      * @param {() => void} callback
      */
     onUnload(callback) {
+        // Queued commands may finish within the budget, everything else is cancelled
+        const budget =
+            Math.min(Math.max(this.config.shutdownBudget ?? DEFAULT_SHUTDOWN_BUDGET, 0), MAXIMUM_SHUTDOWN_BUDGET) *
+            1000;
+        Promise.all([...this.accounts.values()].map(account => account.shutdown(budget)))
+            .catch(error => this.log.warn(`Error while stopping accounts: ${error.message}`))
+            .finally(() => this.finishUnload(callback));
+    }
+
+    /**
+     * Releases the remaining resources once all accounts are stopped
+     *
+     * @param {() => void} callback - Unload callback of the adapter
+     */
+    finishUnload(callback) {
         try {
-            // Clear polling interval
-            if (this.pollingInterval) {
-                clearInterval(this.pollingInterval);
-                this.pollingInterval = null;
+            if (this.captureTimer) {
+                clearTimeout(this.captureTimer);
+                this.captureTimer = null;
+                void this.writeCapture();
+            }
+
+            if (this.simulationServer) {
+                void this.simulationServer.stop();
+                this.simulationServer = null;
             }
 
             this.log.info('AC Infinity adapter shutting down');
-            this.isConnected = false;
             callback();
         } catch {
             callback();
@@ -288,65 +352,77 @@ class ACInfinity extends utils.Adapter {
 
         this.log.debug(`User-initiated state change: ${id} = ${state.val}`);
 
-        try {
-            // Überprüfen, ob der Client und StateManager initialisiert wurden
-            if (!this.client || !this.stateManager) {
-                this.log.error(
-                    `Adapter not fully initialized. Client: ${!!this.client}, StateManager: ${!!this.stateManager}`,
-                );
-                throw new Error('Adapter is not fully initialized');
-            }
+        // Parse ID, um das zuständige Konto zu finden
+        const idParts = id.split('.').slice(2);
+        this.log.debug(`ID parts: ${JSON.stringify(idParts)}`);
 
-            // Überprüfen, ob wir angemeldet sind
-            if (!this.isConnected || !this.client.isLoggedIn()) {
-                this.log.info(
-                    `Not logged in, trying to log in again. isConnected: ${this.isConnected}, isLoggedIn: ${this.client ? this.client.isLoggedIn() : 'client is null'}`,
-                );
-                if (this.isLoginInProgress) {
-                    this.log.debug('Login already in progress, skipping duplicate re-login');
-                    return;
-                }
-                this.isLoginInProgress = true;
-                try {
-                    await this.client.login();
-                    this.log.info('Re-login successful');
-                    this.isConnected = true;
-                    await this.setStateAsync('info.connection', { val: true, ack: true });
-                } catch (loginError) {
-                    this.log.error(`Error during re-login: ${loginError.message}`);
-                    this.isConnected = false;
-                    await this.setStateAsync('info.connection', { val: false, ack: true });
-                    throw new Error('Login failed, state change cannot be processed');
-                } finally {
-                    this.isLoginInProgress = false;
-                }
-            }
+        // The refresh button of the instance reads all accounts again
+        if (idParts.join('.') === 'info.refresh') {
+            await Promise.all([...this.accounts.values()].map(account => account.refresh()));
+            await this.setStateAsync('info.refresh', { val: state.val, ack: true });
+            return;
+        }
 
-            // Parse ID, um zu prüfen, um welche Art von State es sich handelt
-            const idParts = id.split('.');
-            this.log.debug(`ID parts: ${JSON.stringify(idParts)}`);
+        const name = idParts[0] === 'accounts' ? idParts[1] : '';
+        const account = this.accounts.get(name);
+        if (!account) {
+            this.log.error(`Adapter not fully initialized or unknown account for state change: ${id}`);
+            return;
+        }
 
-            // Lasse den StateManager die Änderung verarbeiten
-            this.log.debug(`Forwarding state change to StateManager: ${id} = ${state.val}`);
-            await this.stateManager.handleStateChange(id, state);
-            this.log.debug(`StateManager processed state change: ${id}`);
-        } catch (error) {
-            this.log.error(`Error processing state change: ${error.message}`);
-            if (error.stack) {
-                this.log.debug(`Stack trace: ${error.stack}`);
+        await account.handleStateChange((name ? idParts.slice(2) : idParts).join('.'), state);
+    }
+
+    /**
+     * Is called for sendTo messages, e.g. from the admin UI
+     *
+     * @param {ioBroker.Message} obj - Message object
+     */
+    onMessage(obj) {
+        if (!obj || !obj.command) {
+            return;
+        }
+
+        if (obj.command === 'getDevices') {
+            // Fills the device table of the settings with all discovered controllers and ports
+            const message = obj.message && typeof obj.message === 'object' ? obj.message : {};
+            const rows = this.getDeviceTable(Array.isArray(message.filters) ? message.filters : []);
+            if (obj.callback) {
+                this.sendTo(obj.from, obj.command, { native: { deviceFilters: rows } }, obj.callback);
             }
+            return;
+        }
+
+        this.log.debug(`Unknown message command: ${obj.command}`);
+    }
 
-            // Bei Kommunikationsfehlern Verbindungsstatus aktualisieren
-            if (
-                error.message.includes('network') ||
-                error.message.includes('timeout') ||
-                error.message.includes('connection') ||
-                error.message.includes('connect')
-            ) {
-                this.isConnected = false;
-                await this.setStateAsync('info.connection', { val: false, ack: true });
+    /**
+     * Builds the rows of the device table from the discovered devices of all accounts
+     * Existing rows keep their access level; rows of devices that are no longer reported are kept as well.
+     *
+     * @param {Array<object>} filters - Current rows of the device table
+     * @returns {Array<{account: string, deviceId: string, portId: number, name: string, access: string}>} - Table rows
+     */
+    getDeviceTable(filters) {
+        const key = row => `${row.account || ''}|${row.deviceId}|${Number(row.portId) || 0}`;
+        const existing = new Map(filters.map(row => [key(row), row]));
+        const rows = [];
+        const add = row => {
+            const current = existing.get(key(row));
+            rows.push({ ...row, access: (current && current.access) || DEVICE_ACCESS.ENABLED });
+            existing.delete(key(row));
+        };
+
+        for (const [account, { lastDevices }] of this.accounts) {
+            for (const device of lastDevices) {
+                const deviceId = device.deviceId;
+                add({ account, deviceId, portId: 0, name: device.deviceName });
+                for (const port of device.ports) {
+                    add({ account, deviceId, portId: port.portId, name: `${device.deviceName} / ${port.portName}` });
+                }
             }
         }
+        return rows.concat([...existing.values()]);
     }
 }
 
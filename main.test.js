@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+ * Unit tests for the adapter class
+ * The adapter core is replaced by the mock of @iobroker/testing, so no js-controller is needed.
+ */
+
+const Module = require('module');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { MockDatabase } = require('@iobroker/testing');
+const { mockAdapterCore } = require('@iobroker/testing/build/tests/unit/mocks/mockAdapterCore');
+
+const corePath = require.resolve('@iobroker/adapter-core');
+const mainPath = require.resolve('./main');
+
+/**
+ * Loads main.js on top of the mocked adapter core
+ *
+ * @returns {Function} - Adapter factory exported by main.js
+ */
+function loadAdapterFactory() {
+    const core = new Module(corePath);
+    core.exports = mockAdapterCore(new MockDatabase(), { adapterDir: __dirname });
+    core.loaded = true;
+    require.cache[corePath] = core;
+    return require('./main');
+}
+
+/**
+ * Builds an account stub whose shutdown ends when the test decides
+ *
+ * @returns {{shutdown: sinon.SinonStub, finish: () => void, fail: (error: Error) => void}} - Account stub
+ */
+function pendingAccount() {
+    let finish;
+    let fail;
+    const done = new Promise((resolve, reject) => {
+        finish = resolve;
+        fail = reject;
+    });
+    return { shutdown: sinon.stub().returns(done), finish, fail };
+}
+
+describe('ACInfinity', () => {
+    let createAdapter;
+
+    before(() => {
+        createAdapter = loadAdapterFactory();
+    });
+
+    after(() => {
+        delete require.cache[mainPath];
+        delete require.cache[corePath];
+    });
+
+    describe('onUnload()', () => {
+        let adapter;
+
+        beforeEach(() => {
+            adapter = createAdapter();
+        });
+
+        it('passes the configured budget to every account and waits for them', async () => {
+            adapter.config.shutdownBudget = 2;
+            const main = pendingAccount();
+            const greenhouse = pendingAccount();
+            adapter.accounts.set('', main);
+            adapter.accounts.set('greenhouse', greenhouse);
+            const callback = sinon.spy();
+
+            adapter.onUnload(callback);
+
+            expect(main.shutdown.calledOnceWith(2000)).to.equal(true);
+            expect(greenhouse.shutdown.calledOnceWith(2000)).to.equal(true);
+
+            main.finish();
+            await new Promise(resolve => setImmediate(resolve));
+            expect(callback.called).to.equal(false);
+
+            greenhouse.finish();
+            await new Promise(resolve => setImmediate(resolve));
+            expect(callback.calledOnce).to.equal(true);
+        });
+
+        it('keeps the budget below the stop timeout of the controller', () => {
+            const account = pendingAccount();
+            adapter.accounts.set('', account);
+
+            adapter.config.shutdownBudget = 60;
+            adapter.onUnload(() => {});
+            adapter.config.shutdownBudget = -1;
+            adapter.onUnload(() => {});
+            delete adapter.config.shutdownBudget;
+            adapter.onUnload(() => {});
+
+            expect(account.shutdown.args).to.deep.equal([[4000], [0], [3000]]);
+        });
+
+        it('still calls back when an account fails to stop', async () => {
+            const account = pendingAccount();
+            adapter.accounts.set('', account);
+            const callback = sinon.spy();
+
+            adapter.onUnload(callback);
+            account.fail(new Error('boom'));
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(callback.calledOnce).to.equal(true);
+            expect(adapter.log.warn.calledWith('Error while stopping accounts: boom')).to.equal(true);
+        });
+    });
+});